@@ -1,25 +1,33 @@
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
+const LLMService = require('./src/services/LLMService');
+const DatabaseService = require('./src/services/DatabaseService');
+const KnowledgeBaseService = require('./src/services/KnowledgeBaseService');
 
 const app = express();
 
 // Basic middleware
 app.use(express.json());
 
-// Initialize Google Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+// Shared LLM layer (Gemini, Anthropic, local fallback)
+const llmService = new LLMService();
+
+// Business catalogue - read from Supabase when configured, otherwise the built-in defaults
+const knowledgeBase = new KnowledgeBaseService(
+  process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY ? new DatabaseService() : null
+);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    llmProviders: llmService.getProviderStatus()
   });
 });
 
-// Chat endpoint with Google Gemini AI
+// Chat endpoint backed by the shared LLM layer
 app.post('/api/agents/chat', async (req, res) => {
   try {
     const { message } = req.body;
@@ -28,18 +36,16 @@ app.post('/api/agents/chat', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Initialize the model
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
+    const knowledge = await knowledgeBase.getBusinessKnowledge(process.env.BUSINESS_ID);
+    const { pack } = knowledge;
 
     // Create context for the receptionist agent
-    const prompt = `You are a professional virtual receptionist for a web development company. Your role is to:
+    const prompt = `You are a professional virtual receptionist for ${knowledge.businessName}, ${pack.businessDescription}. Your role is to:
 
 1. Greet customers warmly and professionally
 2. Gather basic project requirements
-3. Provide initial pricing estimates:
-   - Simple websites: $1,500-$3,000
-   - Business websites: $3,000-$8,000
-   - E-commerce sites: $8,000-$15,000+
+3. Provide initial pricing estimates, only from this catalogue:
+${knowledgeBase.buildCatalogueText(knowledge)}
 4. Collect contact information when customers show serious interest
 5. Escalate urgent matters or qualified leads to human staff
 
@@ -47,42 +53,59 @@ For urgent inquiries, prioritize connecting them with human staff immediately.
 
 Customer message: "${message}"
 
-Respond as a professional receptionist would, being helpful and knowledgeable about web development services.`;
+Respond as a professional receptionist would, being helpful and knowledgeable about ${pack.specialty}.`;
+
+    // Generate response, failing over to the local fallback if every provider is down
+    let result;
 
-    // Generate response
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const responseText = response.text();
+    try {
+      result = await llmService.generate({
+        prompt,
+        fallback: () => getFallbackResponse(message, knowledge)
+      });
+    } catch (aiError) {
+      // LLM_PROVIDER_ORDER may leave out 'local', so every provider can fail
+      console.error('AI Error:', aiError);
+      result = { text: getFallbackResponse(message, knowledge), provider: null };
+    }
 
     res.json({
       response: {
-        message: responseText,
-        agentType: 'receptionist'
+        message: result.text,
+        agentType: 'receptionist',
+        provider: result.provider
       }
     });
 
   } catch (error) {
     console.error('Error processing chat message:', error);
+    res.status(500).json({ error: 'Failed to process message' });
+  }
+});
 
-    // Fallback response if AI fails
-    let fallbackResponse = "Thanks for reaching out! I'd be happy to help you with your website project. What type of website are you looking for?";
+function getFallbackResponse(message, knowledge) {
+  const { prompts } = knowledge.pack;
+  const overall = knowledgeBase.getOverallRange(knowledge);
+  const priceRange = overall ?
+    ` Prices typically range from ${knowledgeBase.formatPrice(overall.min)} to ${knowledgeBase.formatPrice(overall.max)}+.` : '';
+  const tierNames = Object.keys(knowledge.pricingTiers).map(key => knowledgeBase.humanize(key).toLowerCase());
 
-    if (message && message.toLowerCase().includes('price')) {
-      fallbackResponse = "I'd rather give you a total project cost upfront so there's no confusion. What type of website are you looking for - a simple one-page site, business website, or e-commerce store? Projects typically range from $1,500 for simple sites to $15,000+ for complex e-commerce.";
-    }
+  let fallbackResponse = prompts.generalResponse;
 
-    if (message && message.toLowerCase().includes('urgent')) {
-      fallbackResponse = "I understand this is urgent! To get you immediate assistance, I need to connect you with someone right away. Could I get your name and phone number so our team can reach you within the next few minutes?";
-    }
+  if (message.toLowerCase().includes('price')) {
+    const question = tierNames.length > 0 ?
+      `What are you looking for - ${tierNames.join(', ')}?` :
+      'What are you looking for?';
 
-    res.json({
-      response: {
-        message: fallbackResponse,
-        agentType: 'receptionist'
-      }
-    });
+    fallbackResponse = `${prompts.pricingIntro}${question}${priceRange}`;
   }
-});
+
+  if (message.toLowerCase().includes('urgent')) {
+    fallbackResponse = "I understand this is urgent! To get you immediate assistance, I need to connect you with someone right away. Could I get your name and phone number so our team can reach you within the next few minutes?";
+  }
+
+  return fallbackResponse;
+}
 
 // Debug environment
 console.log('Starting chat server...');
@@ -90,6 +113,8 @@ console.log('Environment variables:');
 console.log('- PORT:', process.env.PORT);
 console.log('- NODE_ENV:', process.env.NODE_ENV);
 console.log('- GOOGLE_AI_API_KEY:', process.env.GOOGLE_AI_API_KEY ? 'Set' : 'Not set');
+console.log('- ANTHROPIC_API_KEY:', process.env.ANTHROPIC_API_KEY ? 'Set' : 'Not set');
+console.log('- LLM_PROVIDER_ORDER:', llmService.defaultOrder.join(', '));
 
 // Start server
 const PORT = process.env.PORT || 3001;
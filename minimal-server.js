@@ -1,13 +1,26 @@
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const nodemailer = require('nodemailer');
 const cron = require('node-cron');
 require('dotenv').config();
+const LLMService = require('./src/services/LLMService');
+const DatabaseService = require('./src/services/DatabaseService');
+const KnowledgeBaseService = require('./src/services/KnowledgeBaseService');
+const FaqRetrievalService = require('./src/services/FaqRetrievalService');
+const NotificationWorker = require('./src/services/NotificationWorker');
+const { extractContactInfo } = require('./src/utils/contactExtraction');
+const { getLocalTime, addDays, toInstant, formatDateTime, isValidTimezone } = require('./src/utils/businessHours');
 
 const app = express();
 
-// Initialize Google Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+// Shared LLM layer (Gemini, Anthropic, local fallback)
+const llmService = new LLMService();
+
+const dbService = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY ? new DatabaseService() : null;
+
+// Business catalogue (services, pricing tiers) - read from Supabase when configured,
+// otherwise the built-in defaults
+const knowledgeBase = new KnowledgeBaseService(dbService);
+const faqRetrieval = new FaqRetrievalService();
 
 // In-memory session storage (use Redis/database in production)
 const sessions = new Map();
@@ -15,14 +28,51 @@ const sessions = new Map();
 // In-memory lead storage with timestamps
 const leads = [];
 
-// Owner notification settings
+// Owner notification settings. With Supabase and BUSINESS_ID set they're
+// stored on the business (notification_settings, and the timezone column) and
+// loaded at startup; these are the defaults until then.
 let notificationSettings = {
   enabled: true,
   frequency: 'hourly', // hourly, daily, twice-daily, weekly
   ownerEmail: process.env.OWNER_EMAIL || 'owner@example.com',
+  // Report schedules and timestamps use the business's timezone (server time when unset)
+  timezone: process.env.BUSINESS_TIMEZONE || null,
   lastSent: new Date()
 };
 
+const canStoreSettings = () => Boolean(dbService && process.env.BUSINESS_ID);
+
+async function loadNotificationSettings() {
+  if (!canStoreSettings()) return;
+
+  try {
+    const business = await dbService.getBusinessConfig(process.env.BUSINESS_ID);
+    const stored = business?.notification_settings || {};
+
+    if (typeof stored.enabled === 'boolean') notificationSettings.enabled = stored.enabled;
+    if (stored.frequency) notificationSettings.frequency = stored.frequency;
+    if (stored.owner_email) notificationSettings.ownerEmail = stored.owner_email;
+    if (stored.last_sent) notificationSettings.lastSent = new Date(stored.last_sent);
+  } catch (error) {
+    console.error('❌ Error loading notification settings, using the defaults:', error.message);
+  }
+}
+
+// The timezone is the business's own, so it's only written when it changes
+async function saveNotificationSettings(settings, { timezoneChanged = false } = {}) {
+  if (!canStoreSettings()) return;
+
+  await dbService.updateBusiness(process.env.BUSINESS_ID, {
+    notification_settings: {
+      enabled: settings.enabled,
+      frequency: settings.frequency,
+      owner_email: settings.ownerEmail,
+      last_sent: settings.lastSent ? new Date(settings.lastSent).toISOString() : null
+    },
+    ...(timezoneChanged ? { timezone: settings.timezone } : {})
+  });
+}
+
 // Email service setup
 let emailTransporter = null;
 
@@ -52,6 +102,35 @@ if (process.env.EMAIL_SERVICE && process.env.EMAIL_USER && process.env.EMAIL_PAS
   console.log('📧 Email service not configured - notifications will be logged only');
 }
 
+// With Supabase configured, emails go through the notification outbox so a
+// failed send is retried (and logged) rather than lost
+const emailOutbox = dbService ? new NotificationWorker(dbService, {
+  email: (mailOptions) => {
+    if (!emailTransporter) {
+      throw new Error('Email service not configured');
+    }
+    return emailTransporter.sendMail(mailOptions);
+  }
+}) : null;
+
+async function sendEmail(mailOptions) {
+  if (emailOutbox) {
+    try {
+      await emailOutbox.enqueue({
+        channel: 'email',
+        payload: mailOptions,
+        recipient: mailOptions.to,
+        businessId: process.env.BUSINESS_ID || null
+      });
+      return;
+    } catch (error) {
+      console.error('❌ Error queueing email, sending it now instead:', error.message);
+    }
+  }
+
+  await emailTransporter.sendMail(mailOptions);
+}
+
 // Lead logging function with Google Sheets integration
 async function logLeadToSheet(leadData) {
   try {
@@ -197,7 +276,7 @@ async function sendImmediateLeadNotification(lead) {
           <p><strong>Name:</strong> ${lead.name}</p>
           <p><strong>Email:</strong> ${lead.email}</p>
           <p><strong>Phone:</strong> ${lead.phone}</p>
-          <p><strong>Time:</strong> ${new Date(lead.timestamp).toLocaleString()}</p>
+          <p><strong>Time:</strong> ${formatDateTime(lead.timestamp, notificationSettings.timezone)}</p>
         </div>
         <div style="background: #e8f4fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="margin-top: 0; color: #0066cc;">Project Inquiry</h3>
@@ -218,7 +297,7 @@ async function sendImmediateLeadNotification(lead) {
   };
 
   try {
-    await emailTransporter.sendMail(mailOptions);
+    await sendEmail(mailOptions);
     console.log(`📧 Immediate lead notification sent to ${notificationSettings.ownerEmail}`);
   } catch (error) {
     console.error('❌ Error sending immediate lead notification:', error.message);
@@ -229,7 +308,7 @@ async function sendPeriodicReport() {
   if (!emailTransporter || !notificationSettings.enabled) return;
 
   const now = new Date();
-  const timeFrame = getTimeFrameForFrequency(notificationSettings.frequency);
+  const timeFrame = getTimeFrameForFrequency(notificationSettings.frequency, notificationSettings.timezone, now);
   const recentLeads = leads.filter(lead => {
     const leadTime = new Date(lead.timestamp);
     return leadTime >= timeFrame.start && leadTime <= now;
@@ -248,16 +327,26 @@ async function sendPeriodicReport() {
   };
 
   try {
-    await emailTransporter.sendMail(mailOptions);
+    await sendEmail(mailOptions);
     notificationSettings.lastSent = now;
     console.log(`📧 Periodic report sent to ${notificationSettings.ownerEmail} (${recentLeads.length} leads)`);
   } catch (error) {
     console.error('❌ Error sending periodic report:', error.message);
+    return;
+  }
+
+  try {
+    await saveNotificationSettings(notificationSettings);
+  } catch (error) {
+    console.error('❌ Error saving the report time:', error.message);
   }
 }
 
-function getTimeFrameForFrequency(frequency) {
-  const now = new Date();
+// Windows reach back to the same wall-clock time in the business's timezone,
+// so a daily report always covers one local day, even across a DST change
+function getTimeFrameForFrequency(frequency, timezone = null, now = new Date()) {
+  const local = getLocalTime(now, timezone);
+  const wallClockAgo = (days, minutes = 0) => toInstant(addDays(local.date, -days), local.minutes - minutes, timezone);
   let start, label;
 
   switch (frequency) {
@@ -266,15 +355,15 @@ function getTimeFrameForFrequency(frequency) {
       label = 'hour';
       break;
     case 'twice-daily':
-      start = new Date(now - 12 * 60 * 60 * 1000);
+      start = wallClockAgo(0, 12 * 60);
       label = '12 hours';
       break;
     case 'daily':
-      start = new Date(now - 24 * 60 * 60 * 1000);
+      start = wallClockAgo(1);
       label = 'day';
       break;
     case 'weekly':
-      start = new Date(now - 7 * 24 * 60 * 60 * 1000);
+      start = wallClockAgo(7);
       label = 'week';
       break;
     default:
@@ -282,7 +371,7 @@ function getTimeFrameForFrequency(frequency) {
       label = 'hour';
   }
 
-  return { start, label };
+  return { start, label, since: formatDateTime(start, timezone) };
 }
 
 function generateReportHTML(recentLeads, timeFrame) {
@@ -294,13 +383,14 @@ function generateReportHTML(recentLeads, timeFrame) {
       <h4 style="margin: 0 0 10px 0; color: #333;">${lead.name}</h4>
       <p style="margin: 5px 0; color: #666;"><strong>Contact:</strong> ${lead.email} | ${lead.phone}</p>
       <p style="margin: 5px 0; color: #666;"><strong>Inquiry:</strong> "${lead.inquiry}"</p>
-      <p style="margin: 5px 0; font-size: 12px; color: #999;">${new Date(lead.timestamp).toLocaleString()}</p>
+      <p style="margin: 5px 0; font-size: 12px; color: #999;">${formatDateTime(lead.timestamp, notificationSettings.timezone)}</p>
     </div>
   `).join('');
 
   return `
     <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
       <h2 style="color: #007AFF;">📊 Lead Report - Last ${timeFrame.label}</h2>
+      <p style="color: #666; margin-top: -10px;">Since ${timeFrame.since}</p>
 
       <div style="display: flex; gap: 20px; margin: 20px 0;">
         <div style="background: #e8f4fd; padding: 20px; border-radius: 8px; flex: 1; text-align: center;">
@@ -361,7 +451,8 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    llmProviders: llmService.getProviderStatus()
   });
 });
 
@@ -443,7 +534,7 @@ app.get('/dashboard', (req, res) => {
                         <h4 style="margin: 0 0 10px 0;">${lead.name}</h4>
                         <p style="margin: 5px 0;"><strong>Contact:</strong> ${lead.email} | ${lead.phone}</p>
                         <p style="margin: 5px 0;"><strong>Inquiry:</strong> "${lead.inquiry}"</p>
-                        <p style="margin: 5px 0; font-size: 12px; color: #666;">${new Date(lead.timestamp).toLocaleString()}</p>
+                        <p style="margin: 5px 0; font-size: 12px; color: #666;">${formatDateTime(lead.timestamp, notificationSettings.timezone)}</p>
                     </div>
                   `).join('')}
             </div>
@@ -471,11 +562,15 @@ app.get('/dashboard', (req, res) => {
                         <label>Owner Email:</label>
                         <input type="email" id="ownerEmail" value="${notificationSettings.ownerEmail}">
                     </div>
+                    <div class="form-group">
+                        <label>Timezone:</label>
+                        <input type="text" id="timezone" placeholder="e.g. America/New_York" value="${notificationSettings.timezone || ''}">
+                    </div>
                     <button type="submit">Save Settings</button>
                 </form>
                 <div id="status"></div>
                 <p style="color: #666; font-size: 12px; margin-top: 20px;">
-                    Last email sent: ${notificationSettings.lastSent.toLocaleString()}<br>
+                    Last email sent: ${formatDateTime(notificationSettings.lastSent, notificationSettings.timezone)}<br>
                     Email service: ${emailTransporter ? 'Configured ✅' : 'Not configured ❌'}
                 </p>
             </div>
@@ -488,7 +583,8 @@ app.get('/dashboard', (req, res) => {
                 const settings = {
                     enabled: document.getElementById('enabled').value === 'true',
                     frequency: document.getElementById('frequency').value,
-                    ownerEmail: document.getElementById('ownerEmail').value
+                    ownerEmail: document.getElementById('ownerEmail').value,
+                    timezone: document.getElementById('timezone').value || null
                 };
 
                 try {
@@ -518,9 +614,9 @@ app.get('/dashboard', (req, res) => {
 });
 
 // API endpoint to update notification settings
-app.post('/api/settings/notifications', (req, res) => {
+app.post('/api/settings/notifications', async (req, res) => {
   try {
-    const { enabled, frequency, ownerEmail } = req.body;
+    const { enabled, frequency, ownerEmail, timezone } = req.body;
 
     if (typeof enabled !== 'boolean' || !frequency || !ownerEmail) {
       return res.status(400).json({ error: 'Invalid settings data' });
@@ -531,14 +627,33 @@ app.post('/api/settings/notifications', (req, res) => {
       return res.status(400).json({ error: 'Invalid frequency' });
     }
 
-    notificationSettings.enabled = enabled;
-    notificationSettings.frequency = frequency;
-    notificationSettings.ownerEmail = ownerEmail;
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const updated = {
+      ...notificationSettings,
+      enabled,
+      frequency,
+      ownerEmail,
+      timezone: timezone === undefined ? notificationSettings.timezone : timezone || null
+    };
+    const timezoneChanged = updated.timezone !== notificationSettings.timezone;
+
+    // Stored first, so a failed save doesn't leave settings that vanish on restart
+    await saveNotificationSettings(updated, { timezoneChanged });
+    notificationSettings = updated;
+
+    // Reports follow the new timezone from the next run
+    if (timezoneChanged) {
+      setupCronJobs();
+    }
 
     console.log('📧 Notification settings updated:', notificationSettings);
 
     res.json({
       success: true,
+      persisted: canStoreSettings(),
       settings: notificationSettings
     });
   } catch (error) {
@@ -558,6 +673,7 @@ app.get('/api/leads', (req, res) => {
     settings: {
       notificationsEnabled: notificationSettings.enabled,
       frequency: notificationSettings.frequency,
+      timezone: notificationSettings.timezone,
       lastSent: notificationSettings.lastSent
     }
   });
@@ -575,11 +691,14 @@ app.post('/api/agents/chat', async (req, res) => {
     const session = getSession(sessionId);
     session.messages.push({ role: 'user', content: message });
 
+    const knowledge = await knowledgeBase.getBusinessKnowledge(process.env.BUSINESS_ID);
+    const faqMatches = faqRetrieval.search(knowledge, message);
+
     const lowerMessage = message.toLowerCase();
 
     // Always try to extract lead information if we haven't collected a lead yet
     if (session.hasMadeBusinessInquiry && !session.leadCollected) {
-      const leadData = extractLeadInfo(message);
+      const leadData = extractContactInfo(message);
       if (leadData.hasContact) {
         // Merge new info with existing info
         session.leadInfo = { ...session.leadInfo, ...leadData };
@@ -598,7 +717,7 @@ app.post('/api/agents/chat', async (req, res) => {
 
           return res.json({
             response: {
-              message: `Thanks ${session.leadInfo.name}! I've got your information and someone from our team will reach out to you soon about your project. In the meantime, is there anything specific about your website requirements you'd like to discuss?`,
+              message: `Thanks ${session.leadInfo.name}! I've got your information and someone from our team will reach out to you soon about your ${knowledge.pack.offering}. In the meantime, is there anything else I can help with?`,
               agentType: 'receptionist'
             }
           });
@@ -634,7 +753,7 @@ app.post('/api/agents/chat', async (req, res) => {
       session.hasGreeted = true;
       return res.json({
         response: {
-          message: "Hello! I'm here to help with your web development needs. What can I assist you with today?",
+          message: knowledge.pack.prompts.greeting,
           agentType: 'receptionist'
         }
       });
@@ -648,20 +767,18 @@ app.post('/api/agents/chat', async (req, res) => {
 
     // Use AI for intelligent responses - primary conversation handler
     try {
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
       // Build conversation history for context
       const recentMessages = session.messages.slice(-6); // Last 6 messages for context
       const conversationContext = recentMessages.map(msg => `${msg.role}: ${msg.content}`).join('\n');
 
-      let prompt = `You are a professional virtual receptionist for a web development company.
+      let prompt = `You are a professional virtual receptionist for ${knowledge.businessName}, ${knowledge.pack.businessDescription}.
 
 CRITICAL RULES:
 - NEVER make up phone numbers, emails, or any contact information
 - NEVER claim you will call someone unless they've provided a phone number
 - Be conversational and helpful, not robotic
 - Progress the conversation naturally toward understanding their needs
-- If someone asks non-business questions (what time is it, are you human, etc), politely redirect to web development
+- If someone asks non-business questions (what time is it, are you human, etc), politely redirect to ${knowledge.pack.specialty}
 
 CONVERSATION CONTEXT:
 ${conversationContext}
@@ -671,22 +788,27 @@ SESSION INFO:
 - Lead collected: ${session.leadCollected}
 - Known info: Name="${session.leadInfo.name || 'none'}", Email="${session.leadInfo.email || 'none'}", Phone="${session.leadInfo.phone || 'none'}"
 
-PRICING REFERENCE:
-- Simple sites: $1,500-$3,000
-- Business sites: $3,000-$8,000
-- E-commerce: $8,000-$15,000+
+PRICING REFERENCE (only quote these prices):
+${knowledgeBase.buildCatalogueText(knowledge)}
+
+RELEVANT FAQS (prefer these answers when they fit the question):
+${faqRetrieval.formatForPrompt(faqMatches)}
 
 CURRENT MESSAGE: "${message}"
 
 Instructions:
-- If they mention website needs (simple site, business, etc), acknowledge and ask follow-up questions
+- If they describe what they need, acknowledge it and ask follow-up questions
 - If they ask about pricing, provide ranges and ask about their specific needs
 - If they seem ready to move forward, ask for contact information
 - Keep responses natural and conversational, not repetitive
 - Don't ask for information you already have`;
 
-      const result = await model.generateContent(prompt);
-      const aiResponse = result.response.text();
+      // The local provider at the end of the chain answers with the rule-based fallback
+      const result = await llmService.generate({
+        prompt,
+        fallback: () => getFaqAnswer(faqMatches) || getIntelligentFallback(message, session, knowledge)
+      });
+      const aiResponse = result.text;
 
       // Update session state based on AI conversation
       if (isBusinessInquiry(message) && !session.hasMadeBusinessInquiry) {
@@ -697,17 +819,18 @@ Instructions:
       return res.json({
         response: {
           message: aiResponse,
-          agentType: 'receptionist'
+          agentType: 'receptionist',
+          provider: result.provider
         }
       });
 
     } catch (aiError) {
       console.error('AI Error:', aiError);
-      // Fall back to smart fallback only if AI fails
+      // Fall back to smart fallback only if every provider fails
     }
 
     // Intelligent fallback only for AI failures
-    let response = getIntelligentFallback(message, session);
+    let response = getFaqAnswer(faqMatches) || getIntelligentFallback(message, session, knowledge);
 
     res.json({
       response: {
@@ -745,113 +868,64 @@ function shouldCollectLead(message) {
   return leadTriggers.some(trigger => message.toLowerCase().includes(trigger));
 }
 
-function extractLeadInfo(message) {
-  const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
-  const phoneRegex = /(\+?1?[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})/;
-
-  // Multiple name patterns
-  const namePatterns = [
-    /(?:my name is|i'm|i am|call me)\s+([a-zA-Z\s]{2,30})(?:\s+and|,|$)/i,
-    /(?:it'?s|this is)\s+([a-zA-Z\s]{2,30})(?:\s+and|,|$)/i,
-    /(?:my nae is|my nam is)\s+([a-zA-Z\s]{2,30})(?:\s+and|,|$)/i, // Handle typos
-  ];
-
-  const result = {
-    hasContact: false
-  };
+function getFaqAnswer(faqMatches) {
+  const match = faqRetrieval.getDirectAnswer(faqMatches);
+  return match ? match.answer : null;
+}
 
-  // Extract email
-  const email = message.match(emailRegex);
-  if (email) {
-    result.email = email[0];
-    result.hasContact = true;
-  }
+function getPriceRangeSentence(knowledge) {
+  const overall = knowledgeBase.getOverallRange(knowledge);
 
-  // Extract phone
-  const phone = message.match(phoneRegex);
-  if (phone) {
-    result.phone = phone[0];
-    result.hasContact = true;
+  if (!overall) {
+    return 'Pricing depends on the scope of your project.';
   }
 
-  // Extract name using multiple patterns
-  for (const pattern of namePatterns) {
-    const nameMatch = message.match(pattern);
-    if (nameMatch) {
-      result.name = nameMatch[1].trim();
-      result.hasContact = true;
-      break;
-    }
-  }
+  return `Our projects range from ${knowledgeBase.formatPrice(overall.min)} to ${knowledgeBase.formatPrice(overall.max)}+.`;
+}
 
-  // Handle "Name, email@domain.com" format
-  if (email && !result.name) {
-    const parts = message.split(',');
-    if (parts.length >= 2) {
-      const potentialName = parts[0].trim();
-      if (potentialName.length >= 2 && potentialName.length <= 30 && /^[a-zA-Z\s]+$/.test(potentialName)) {
-        result.name = potentialName;
-      }
-    }
-  }
+function getStartingPrice(knowledge, projectType) {
+  const tier = knowledgeBase.getTierForProjectType(knowledge, projectType);
+  const min = tier ? tier.min : knowledgeBase.getOverallRange(knowledge)?.min;
 
-  // Simple name detection for standalone names (but be more careful)
-  if (!result.name && !email && !phone) {
-    const trimmed = message.trim();
-    const words = trimmed.split(/\s+/);
-
-    // Check if it looks like a name (1-3 words, only letters and spaces, reasonable length)
-    if (words.length >= 1 && words.length <= 3 &&
-        trimmed.length >= 2 && trimmed.length <= 30 &&
-        /^[a-zA-Z\s]+$/.test(trimmed) &&
-        !['ok', 'yes', 'no', 'sure', 'thanks', 'hello', 'hi', 'hey'].includes(trimmed.toLowerCase())) {
-      result.name = trimmed;
-      result.hasContact = true;
-    }
-  }
-
-  return result;
+  return min != null ? knowledgeBase.formatPrice(min) : null;
 }
 
-function getIntelligentFallback(message, session) {
+function getIntelligentFallback(message, session, knowledge) {
   const lowerMessage = message.toLowerCase();
 
   // Handle greetings after initial greeting
   if (session.hasGreeted && isGreeting(message)) {
-    return "What can I help you with for your website project?";
+    return `What can I help you with today? We handle ${knowledge.pack.specialty}.`;
   }
 
-  // Handle specific business types intelligently FIRST
-  if (lowerMessage === 'salon' || lowerMessage.includes('salon')) {
+  // Customer segments the industry pack knows how to answer (e.g. "salon" for a web design studio)
+  const segments = Object.values(knowledge.pack.customerSegments || {});
+  const segment = segments.find(candidate =>
+    (candidate.exact || []).includes(lowerMessage) ||
+    candidate.keywords.some(keyword => lowerMessage.includes(keyword))
+  );
+
+  if (segment) {
     session.hasMadeBusinessInquiry = true;
     session.leadInfo.inquiry = message;
-    return "Great! A salon website is a perfect way to showcase your services and allow online booking. What specific features are you looking for - online appointments, service galleries, or something else?";
+    return segment.reply;
   }
 
   // Handle name detection specially (but not if it's a business type)
-  const businessTypes = ['salon', 'restaurant', 'store', 'shop', 'business', 'website'];
+  const businessTypes = [
+    ...segments.flatMap(candidate => candidate.keywords),
+    'store', 'shop', 'business', 'website'
+  ];
   const isBusinessType = businessTypes.some(type => lowerMessage.includes(type));
 
   if (!isBusinessType) {
-    const leadData = extractLeadInfo(message);
+    const leadData = extractContactInfo(message);
     if (leadData.hasContact && leadData.name) {
       session.leadInfo = { ...session.leadInfo, ...leadData };
-      return `Hi ${leadData.name}! Nice to meet you. What type of website project can I help you with?`;
+      return `Hi ${leadData.name}! Nice to meet you. What can I help you with today?`;
     }
   }
 
-  if (lowerMessage === 'restaurant' || lowerMessage.includes('restaurant')) {
-    session.hasMadeBusinessInquiry = true;
-    session.leadInfo.inquiry = message;
-    return "Excellent! Restaurant websites are great for showcasing your menu and taking online orders. Are you looking for online ordering, reservations, or just an informational site?";
-  }
-
-  if (lowerMessage === 'business' || lowerMessage.includes('business website')) {
-    session.hasMadeBusinessInquiry = true;
-    session.leadInfo.inquiry = message;
-    return "Perfect! Business websites help establish credibility and attract customers. What type of business is this for, and what key information do you want to showcase?";
-  }
-
   // Detect bot testing/spam behavior
   const spamIndicators = ['you are human', 'are you a bot', 'what time is it', 'i like you', 'what you do', 'what is your name'];
   const isSpammy = spamIndicators.some(indicator => lowerMessage.includes(indicator));
@@ -863,11 +937,11 @@ function getIntelligentFallback(message, session) {
     session.consecutiveNonBusiness++;
 
     if (session.consecutiveNonBusiness >= 4) {
-      return "I'm here specifically to help with web development projects. If you need a website, I'm happy to assist. Otherwise, have a great day!";
+      return `I'm here specifically to help with ${knowledge.pack.specialty}. If you need a hand with that, I'm happy to assist. Otherwise, have a great day!`;
     } else if (session.consecutiveNonBusiness >= 3) {
-      return "I'm a virtual assistant focused on web development services. Do you have a website project I can help you with?";
+      return `I'm a virtual assistant focused on ${knowledge.pack.specialty}. ${knowledge.pack.prompts.scopeReminder}`;
     } else {
-      return "I help with web development projects. Are you looking to build a website?";
+      return knowledge.pack.prompts.scopeReminder;
     }
   }
 
@@ -879,7 +953,7 @@ function getIntelligentFallback(message, session) {
   // If we need to collect lead info
   if (session.hasMadeBusinessInquiry && !session.leadCollected && shouldCollectLead(message)) {
     if (lowerMessage.includes('price') || lowerMessage.includes('cost') || lowerMessage.includes('how much')) {
-      return "Our websites range from $1,500 for simple sites to $15,000+ for e-commerce. To give you an accurate quote, could I get your name and email or phone number?";
+      return `${getPriceRangeSentence(knowledge)} To give you an accurate quote, could I get your name and email or phone number?`;
     }
     if (lowerMessage.includes('urgent')) {
       return "I understand this is urgent! I'll connect you with someone right away. Could I get your name and phone number?";
@@ -892,71 +966,99 @@ function getIntelligentFallback(message, session) {
     session.hasMadeBusinessInquiry = true;
     session.leadInfo.inquiry = message;
 
-    if (lowerMessage.includes('simple') || lowerMessage.includes('basic')) {
-      return "A simple website is a great choice! These typically include a homepage, about page, services, and contact info. Pricing starts around $1,500. What's your business about?";
-    }
+    // Project types (and their follow-up questions) come from the industry pack
+    const projectType = Object.keys(knowledge.pack.projectTypes).find(type =>
+      knowledge.pack.projectTypes[type].some(keyword => lowerMessage.includes(keyword))
+    );
+    const pricingQuestion = projectType && knowledge.pack.pricingQuestions[projectType];
 
-    if (lowerMessage.includes('ecommerce') || lowerMessage.includes('store') || lowerMessage.includes('shop')) {
-      return "An online store is excellent for growing your business! E-commerce sites start around $8,000 and include product pages, shopping cart, and payment processing. What will you be selling?";
+    if (pricingQuestion) {
+      const startingPrice = getStartingPrice(knowledge, projectType);
+      return `${pricingQuestion.question}${startingPrice ? ` Prices start around ${startingPrice}.` : ''}`;
     }
 
     if (lowerMessage.includes('need') || lowerMessage.includes('want') || lowerMessage.includes('looking for')) {
-      return "I'd love to help you get the website you need! What type of business or project is this for? That'll help me give you the best recommendations.";
+      return knowledge.pack.prompts.generalResponse;
     }
   }
 
   // Standard fallback responses
   if (lowerMessage.includes('price') || lowerMessage.includes('cost') || lowerMessage.includes('how much')) {
-    return "Our websites range from $1,500 for simple sites to $15,000+ for e-commerce. What type of project do you have in mind?";
+    return `${getPriceRangeSentence(knowledge)} What type of project do you have in mind?`;
   }
 
   if (lowerMessage.includes('urgent')) {
-    return "I understand this is urgent! What type of website assistance do you need?";
+    return `I understand this is urgent! What do you need help with? We handle ${knowledge.pack.specialty}.`;
   }
 
   // Final fallback - but make it less generic
-  return "I'm here to help with your website project! What type of website are you thinking about?";
+  return knowledge.pack.prompts.finalFallback;
 }
 
-// Setup cron jobs for periodic email reports
+// Scheduled report jobs, replaced whenever the timezone changes
+let cronJobs = [];
+
+// Setup cron jobs for periodic email reports, run on the business's local clock
 function setupCronJobs() {
-  // Every hour check for hourly reports
-  cron.schedule('0 * * * *', () => {
-    if (notificationSettings.enabled && notificationSettings.frequency === 'hourly') {
-      console.log('⏰ Running hourly email report...');
-      sendPeriodicReport();
-    }
-  });
+  cronJobs.forEach(job => job.stop());
 
-  // Twice daily at 9 AM and 9 PM
-  cron.schedule('0 9,21 * * *', () => {
-    if (notificationSettings.enabled && notificationSettings.frequency === 'twice-daily') {
-      console.log('⏰ Running twice-daily email report...');
-      sendPeriodicReport();
-    }
-  });
+  const options = notificationSettings.timezone ? { timezone: notificationSettings.timezone } : {};
 
-  // Daily at 9 AM
-  cron.schedule('0 9 * * *', () => {
-    if (notificationSettings.enabled && notificationSettings.frequency === 'daily') {
-      console.log('⏰ Running daily email report...');
-      sendPeriodicReport();
-    }
-  });
+  cronJobs = [
+    // Every hour check for hourly reports
+    cron.schedule('0 * * * *', () => {
+      if (notificationSettings.enabled && notificationSettings.frequency === 'hourly') {
+        console.log('⏰ Running hourly email report...');
+        sendPeriodicReport();
+      }
+    }, options),
 
-  // Weekly on Mondays at 9 AM
-  cron.schedule('0 9 * * 1', () => {
-    if (notificationSettings.enabled && notificationSettings.frequency === 'weekly') {
-      console.log('⏰ Running weekly email report...');
-      sendPeriodicReport();
-    }
-  });
+    // Twice daily at 9 AM and 9 PM
+    cron.schedule('0 9,21 * * *', () => {
+      if (notificationSettings.enabled && notificationSettings.frequency === 'twice-daily') {
+        console.log('⏰ Running twice-daily email report...');
+        sendPeriodicReport();
+      }
+    }, options),
+
+    // Daily at 9 AM
+    cron.schedule('0 9 * * *', () => {
+      if (notificationSettings.enabled && notificationSettings.frequency === 'daily') {
+        console.log('⏰ Running daily email report...');
+        sendPeriodicReport();
+      }
+    }, options),
+
+    // Weekly on Mondays at 9 AM
+    cron.schedule('0 9 * * 1', () => {
+      if (notificationSettings.enabled && notificationSettings.frequency === 'weekly') {
+        console.log('⏰ Running weekly email report...');
+        sendPeriodicReport();
+      }
+    }, options)
+  ];
 
-  console.log('📅 Cron jobs scheduled for email notifications');
+  // Retry outbox emails whose delivery failed
+  if (emailOutbox) {
+    cronJobs.push(cron.schedule('* * * * *', () => {
+      emailOutbox.processDue().catch(error => console.error('❌ Error retrying queued emails:', error.message));
+    }));
+  }
+
+  console.log(`📅 Cron jobs scheduled for email notifications (${notificationSettings.timezone || 'server time'})`);
 }
 
-// Setup cron jobs when server starts
+// Setup cron jobs when server starts, then switch to the business's stored
+// timezone once its record has loaded
 setupCronJobs();
+loadNotificationSettings();
+
+knowledgeBase.getBusinessKnowledge(process.env.BUSINESS_ID).then(knowledge => {
+  if (knowledge.timezone && knowledge.timezone !== notificationSettings.timezone && isValidTimezone(knowledge.timezone)) {
+    notificationSettings.timezone = knowledge.timezone;
+    setupCronJobs();
+  }
+});
 
 // Debug environment
 console.log('Starting server...');
@@ -964,6 +1066,8 @@ console.log('Environment variables:');
 console.log('- PORT:', process.env.PORT);
 console.log('- NODE_ENV:', process.env.NODE_ENV);
 console.log('- GOOGLE_AI_API_KEY:', process.env.GOOGLE_AI_API_KEY ? 'Set ✓' : 'Not set ✗');
+console.log('- ANTHROPIC_API_KEY:', process.env.ANTHROPIC_API_KEY ? 'Set ✓' : 'Not set ✗');
+console.log('- LLM_PROVIDER_ORDER:', llmService.defaultOrder.join(', '));
 console.log('- GOOGLE_SHEETS_ID:', process.env.GOOGLE_SHEETS_ID ? 'Set ✓' : 'Not set ✗');
 console.log('- GOOGLE_SERVICE_ACCOUNT_EMAIL:', process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ? 'Set ✓' : 'Not set ✗');
 console.log('- GOOGLE_PRIVATE_KEY:', process.env.GOOGLE_PRIVATE_KEY ? 'Set ✓' : 'Not set ✗');
@@ -971,6 +1075,7 @@ console.log('- EMAIL_SERVICE:', process.env.EMAIL_SERVICE ? 'Set ✓' : 'Not set
 console.log('- EMAIL_USER:', process.env.EMAIL_USER ? 'Set ✓' : 'Not set ✗');
 console.log('- EMAIL_PASS:', process.env.EMAIL_PASS ? 'Set ✓' : 'Not set ✗');
 console.log('- OWNER_EMAIL:', process.env.OWNER_EMAIL ? 'Set ✓' : 'Not set ✗');
+console.log('- BUSINESS_ID:', process.env.BUSINESS_ID ? 'Set ✓' : 'Not set ✗ (using default catalogue)');
 
 // Start server
 const PORT = process.env.PORT || 3001;
@@ -0,0 +1,81 @@
+// Subscribes a staff member's browser to Web Push alerts. Include it on the
+// dashboard (with sw.js on the same origin) and call, from a button click:
+//
+//   StaffInABoxPush.subscribe({ apiBaseUrl, businessId, staffMemberId })
+//
+// On iPhone and iPad this only works once the dashboard is installed to the
+// home screen.
+(function () {
+    function isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    // The VAPID key comes base64url encoded; PushManager wants the raw bytes
+    function toUint8Array(base64Url) {
+        const padding = '='.repeat((4 - base64Url.length % 4) % 4);
+        const raw = atob((base64Url + padding).replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+    }
+
+    function subscriptionsUrl({ apiBaseUrl = '', businessId, staffMemberId }) {
+        return `${apiBaseUrl}/api/business/${businessId}/staff/${staffMemberId}/push-subscriptions`;
+    }
+
+    async function subscribe(options) {
+        if (!isSupported()) {
+            throw new Error('This browser does not support push notifications');
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error('Notifications are blocked for this site');
+        }
+
+        const keyResponse = await fetch(`${options.apiBaseUrl || ''}/api/notifications/push/public-key`);
+        if (!keyResponse.ok) {
+            throw new Error('Push notifications are not configured on the server');
+        }
+        const { publicKey } = await keyResponse.json();
+
+        const registration = await navigator.serviceWorker.register(options.serviceWorkerUrl || '/sw.js');
+        await navigator.serviceWorker.ready;
+
+        const subscription = await registration.pushManager.getSubscription() ||
+            await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: toUint8Array(publicKey)
+            });
+
+        const response = await fetch(subscriptionsUrl(options), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(subscription)
+        });
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || 'Failed to save the push subscription');
+        }
+
+        return subscription;
+    }
+
+    async function unsubscribe(options) {
+        if (!isSupported()) return false;
+
+        const registration = await navigator.serviceWorker.getRegistration(options.serviceWorkerUrl || '/sw.js');
+        const subscription = registration && await registration.pushManager.getSubscription();
+
+        if (!subscription) return false;
+
+        await fetch(subscriptionsUrl(options), {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+
+        return subscription.unsubscribe();
+    }
+
+    window.StaffInABoxPush = { isSupported, subscribe, unsubscribe };
+})();
@@ -0,0 +1,63 @@
+// Staff in a Box service worker: shows escalation and hot lead alerts sent
+// with Web Push, and opens the conversation when one is tapped. Must be served
+// from the same origin as the dashboard that registers it.
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+    let alert = {};
+
+    try {
+        alert = event.data ? event.data.json() : {};
+    } catch (error) {
+        alert = { body: event.data.text() };
+    }
+
+    const options = {
+        body: alert.body || 'Something needs your attention.',
+        icon: '/icon.svg',
+        badge: '/icon.svg',
+        data: { url: alert.url || '/' },
+        // Urgent alerts stay on screen and buzz again when they replace an earlier one
+        requireInteraction: Boolean(alert.urgent),
+        renotify: Boolean(alert.urgent && alert.tag)
+    };
+
+    if (alert.tag) {
+        options.tag = alert.tag;
+    }
+
+    event.waitUntil(self.registration.showNotification(alert.title || 'Staff in a Box', options));
+});
+
+// Reuse an open dashboard window if there is one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+        for (const client of windows) {
+            if (client.url === url && 'focus' in client) {
+                return client.focus();
+            }
+        }
+
+        for (const client of windows) {
+            if ('navigate' in client && new URL(client.url).origin === new URL(url).origin) {
+                await client.navigate(url);
+                return client.focus();
+            }
+        }
+
+        return self.clients.openWindow(url);
+    })());
+});
@@ -21,6 +21,11 @@ CREATE TABLE businesses (
   escalation_rules JSONB DEFAULT '{"immediate": ["existing_site_modifications", "angry_customer"], "schedule_call": ["complex_requirements", "budget_over_15k"]}',
   enabled_agents JSONB DEFAULT '["receptionist", "coordinator"]',
   agent_configs JSONB DEFAULT '{}',
+  llm_providers JSONB DEFAULT '["gemini", "anthropic", "local"]', -- LLM failover order
+  timezone TEXT, -- IANA name, e.g. 'America/New_York'; server time when null
+  hours_overrides JSONB DEFAULT '{}', -- {"2026-12-25": "closed", "2026-12-24": "9-13"}
+  sla_policies JSONB DEFAULT '{}', -- per-priority overrides of the built-in acknowledgement SLAs
+  notification_settings JSONB DEFAULT '{}', -- lead report emails: {"enabled": true, "frequency": "daily", "owner_email": "..."}
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -69,12 +74,29 @@ CREATE TABLE agent_configs (
   capabilities JSONB DEFAULT '[]', -- What this agent can/cannot do
   decision_thresholds JSONB DEFAULT '{}', -- When to escalate, pricing limits
   voice_settings JSONB DEFAULT '{"gender": "female", "tone": "professional"}',
+  llm_settings JSONB DEFAULT '{"provider": null, "model": null, "temperature": 0.7, "max_tokens": 1024}',
   active BOOLEAN DEFAULT true,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW(),
   UNIQUE(business_id, agent_type)
 );
 
+-- Staff who can be assigned escalations
+CREATE TABLE staff_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  email TEXT,
+  phone TEXT,
+  role TEXT DEFAULT 'staff', -- 'owner', 'manager', 'staff'
+  active BOOLEAN DEFAULT true,
+  receives_alerts BOOLEAN DEFAULT false, -- escalation alerts go to the owner until someone is set up
+  notification_preferences JSONB DEFAULT '{}', -- {"escalation": {"high": ["sms", "email"], "low": []}}
+  quiet_hours JSONB, -- {"start": "22:00", "end": "07:00", "allow_urgent": true}
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Escalations table
 CREATE TABLE escalations (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -87,12 +109,101 @@ CREATE TABLE escalations (
   original_message TEXT,
   agent_response TEXT,
   summary TEXT,
-  status TEXT DEFAULT 'pending', -- 'pending', 'in_progress', 'resolved'
+  key_requirements JSONB DEFAULT '[]',
+  open_questions JSONB DEFAULT '[]',
+  suggested_reply TEXT, -- draft the owner can send the customer
+  summary_source TEXT, -- 'llm' or 'extractive'
+  status TEXT DEFAULT 'pending', -- 'pending', 'acknowledged', 'in_progress', 'resolved'
+  assigned_to UUID REFERENCES staff_members(id) ON DELETE SET NULL,
+  acknowledged_at TIMESTAMPTZ,
+  assigned_at TIMESTAMPTZ,
   resolved_at TIMESTAMPTZ,
   resolution_notes TEXT,
+  notify_after TIMESTAMPTZ, -- after-hours escalations wait for the next opening
+  notified_at TIMESTAMPTZ,
+  sla_due_at TIMESTAMPTZ, -- must be acknowledged by then
+  sla_next_check_at TIMESTAMPTZ, -- when the SLA monitor next looks at it
+  sla_stage TEXT, -- null, 'breached', 'backup_notified'
+  sla_breached_at TIMESTAMPTZ,
+  merge_count INTEGER DEFAULT 0, -- later escalations from the same customer folded into this one
+  last_merged_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Escalations nobody acknowledged in time, for SLA reporting
+CREATE TABLE sla_breaches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  escalation_id UUID REFERENCES escalations(id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  priority TEXT,
+  target_minutes INTEGER NOT NULL,
+  due_at TIMESTAMPTZ NOT NULL,
+  breached_at TIMESTAMPTZ NOT NULL,
+  renotified_channels JSONB DEFAULT '[]', -- ['sms', 'call']
+  customer_updated BOOLEAN DEFAULT FALSE,
+  backup_staff_member_id UUID REFERENCES staff_members(id) ON DELETE SET NULL,
+  backup_notified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Everything that happens to an escalation, oldest first
+CREATE TABLE escalation_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  escalation_id UUID REFERENCES escalations(id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL, -- 'created', 'notified', 'acknowledged', 'assigned', 'note', 'resolved', 'reopened', 'sla_breached', 'backup_notified'
+  actor TEXT DEFAULT 'system', -- who did it: a staff member, 'owner' or 'system'
+  from_status TEXT,
+  to_status TEXT,
+  note TEXT,
+  details JSONB DEFAULT '{}',
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Outbox: every alert is recorded here and delivered (and retried) by the notification worker
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  escalation_id UUID REFERENCES escalations(id) ON DELETE SET NULL,
+  channel TEXT NOT NULL, -- 'sms', 'call', 'slack', 'email'
+  recipient TEXT, -- phone number or email address; null for Slack
+  payload JSONB NOT NULL, -- exactly what is sent: SMS body, email subject/html/text, Slack message
+  status TEXT DEFAULT 'pending', -- 'pending', 'sending', 'retrying', 'sent', 'failed'
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  locked_at TIMESTAMPTZ, -- set while a worker is sending it
+  last_error TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per delivery attempt
+CREATE TABLE notification_attempts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  notification_id UUID REFERENCES notifications(id) ON DELETE CASCADE,
+  attempt_number INTEGER NOT NULL,
+  status TEXT NOT NULL, -- 'sent', 'failed'
+  error TEXT,
+  provider_id TEXT, -- Twilio SID, SMTP message id
+  duration_ms INTEGER,
+  attempted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Web Push subscriptions from a staff member's browser or installed dashboard app
+CREATE TABLE push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  staff_member_id UUID REFERENCES staff_members(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE, -- the push service URL; one per browser
+  keys JSONB NOT NULL, -- {"p256dh": "...", "auth": "..."}
+  user_agent TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Business insights and learning
 CREATE TABLE business_insights (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -122,6 +233,20 @@ CREATE TABLE tasks (
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Holidays, vacations and one-off closures
+CREATE TABLE business_closures (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  name TEXT NOT NULL, -- 'Christmas Day', 'Summer vacation'
+  start_date DATE NOT NULL,
+  end_date DATE, -- inclusive; a single day when null
+  hours TEXT, -- reduced hours such as '9-13'; closed all day when null
+  recurrence TEXT DEFAULT 'none', -- 'none', 'yearly', 'nth_weekday'
+  recurrence_rule JSONB DEFAULT '{}', -- nth_weekday: {"month": 11, "weekday": "thu", "nth": 4}; nth -1 = last
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- System logs
 CREATE TABLE system_logs (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -142,9 +267,22 @@ CREATE INDEX idx_messages_created_at ON messages(created_at);
 CREATE INDEX idx_escalations_business_id ON escalations(business_id);
 CREATE INDEX idx_escalations_status ON escalations(status);
 CREATE INDEX idx_escalations_priority ON escalations(priority);
+CREATE INDEX idx_escalations_notify_after ON escalations(notify_after) WHERE notified_at IS NULL;
+CREATE INDEX idx_escalations_assigned_to ON escalations(assigned_to);
+CREATE INDEX idx_escalations_sla_next_check_at ON escalations(sla_next_check_at) WHERE status = 'pending';
+CREATE INDEX idx_sla_breaches_business_id ON sla_breaches(business_id, breached_at);
+CREATE INDEX idx_escalation_events_escalation_id ON escalation_events(escalation_id, created_at);
+CREATE INDEX idx_notifications_next_attempt_at ON notifications(next_attempt_at) WHERE status IN ('pending', 'retrying', 'sending');
+CREATE INDEX idx_notifications_business_id ON notifications(business_id, created_at);
+CREATE INDEX idx_notifications_escalation_id ON notifications(escalation_id);
+CREATE INDEX idx_notification_attempts_notification_id ON notification_attempts(notification_id, attempt_number);
+CREATE INDEX idx_push_subscriptions_staff_member_id ON push_subscriptions(business_id, staff_member_id);
+CREATE INDEX idx_staff_members_business_id ON staff_members(business_id);
+CREATE INDEX idx_staff_members_receives_alerts ON staff_members(business_id) WHERE active AND receives_alerts;
 CREATE INDEX idx_tasks_business_id ON tasks(business_id);
 CREATE INDEX idx_tasks_scheduled_time ON tasks(scheduled_time);
 CREATE INDEX idx_tasks_status ON tasks(status);
+CREATE INDEX idx_business_closures_business_id ON business_closures(business_id);
 
 -- RLS (Row Level Security) policies for Supabase
 ALTER TABLE businesses ENABLE ROW LEVEL SECURITY;
@@ -152,9 +290,16 @@ ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE agent_configs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE escalations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE escalation_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sla_breaches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staff_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE business_insights ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE system_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE business_closures ENABLE ROW LEVEL SECURITY;
 
 -- Create policies (basic example - adjust based on your auth strategy)
 CREATE POLICY "Users can view their own business data" ON businesses
@@ -195,6 +340,21 @@ CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations
 CREATE TRIGGER update_agent_configs_updated_at BEFORE UPDATE ON agent_configs
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_business_closures_updated_at BEFORE UPDATE ON business_closures
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_escalations_updated_at BEFORE UPDATE ON escalations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_staff_members_updated_at BEFORE UPDATE ON staff_members
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_notifications_updated_at BEFORE UPDATE ON notifications
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_push_subscriptions_updated_at BEFORE UPDATE ON push_subscriptions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to create default business configuration
 CREATE OR REPLACE FUNCTION create_default_business_config(
   business_name TEXT,
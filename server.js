@@ -3,18 +3,26 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
+const cron = require('node-cron');
 require('dotenv').config();
 
 // Import core modules
 const AgentOrchestrator = require('./src/core/AgentOrchestrator');
 const NotificationService = require('./src/services/NotificationService');
 const DatabaseService = require('./src/services/DatabaseService');
+const LLMService = require('./src/services/LLMService');
+const SlaMonitor = require('./src/services/SlaMonitor');
+const NotificationWorker = require('./src/services/NotificationWorker');
+const KnowledgeBaseService = require('./src/services/KnowledgeBaseService');
+const FaqRetrievalService = require('./src/services/FaqRetrievalService');
 const logger = require('./src/utils/logger');
 
 // Import routes
 const conversationRoutes = require('./src/routes/conversations');
 const businessRoutes = require('./src/routes/business');
 const agentRoutes = require('./src/routes/agents');
+const escalationRoutes = require('./src/routes/escalations');
+const notificationRoutes = require('./src/routes/notifications');
 
 const app = express();
 const server = http.createServer(app);
@@ -44,19 +52,40 @@ app.use(express.urlencoded({ extended: true }));
 
 // Initialize services
 const dbService = new DatabaseService();
-const notificationService = new NotificationService();
-const agentOrchestrator = new AgentOrchestrator(dbService, notificationService);
+const notificationService = new NotificationService(dbService);
+const notificationWorker = new NotificationWorker(dbService, notificationService.getDeliverers());
+const llmService = new LLMService();
+const knowledgeBase = new KnowledgeBaseService(dbService);
+const faqRetrieval = new FaqRetrievalService();
+const agentOrchestrator = new AgentOrchestrator(dbService, notificationService, llmService);
+const escalationService = agentOrchestrator.escalationService;
+
+const slaMonitor = new SlaMonitor(dbService, notificationService, escalationService);
+
+// Alerts go through the outbox so a provider hiccup is retried, not lost
+notificationService.setOutbox(notificationWorker);
+
+// Escalation changes are pushed to the business's dashboard room
+escalationService.setSocketServer(io);
 
 // Make services available to routes
 app.locals.dbService = dbService;
 app.locals.agentOrchestrator = agentOrchestrator;
+app.locals.escalationService = escalationService;
+app.locals.slaMonitor = slaMonitor;
 app.locals.notificationService = notificationService;
+app.locals.notificationWorker = notificationWorker;
+app.locals.llmService = llmService;
+app.locals.knowledgeBase = knowledgeBase;
+app.locals.faqRetrieval = faqRetrieval;
 app.locals.io = io;
 
 // API Routes (before static serving)
 app.use('/api/conversations', conversationRoutes);
 app.use('/api/business', businessRoutes);
 app.use('/api/agents', agentRoutes);
+app.use('/api/escalations', escalationRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Serve static files for local development
 app.use(express.static('public'));
@@ -66,7 +95,8 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    version: process.env.npm_package_version || '1.0.0'
+    version: process.env.npm_package_version || '1.0.0',
+    llmProviders: llmService.getProviderStatus()
   });
 });
 
@@ -112,11 +142,80 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Escalation lifecycle from the dashboard; every change is broadcast to the
+  // business room as 'escalation-updated'. Fields are named as in the REST
+  // routes (staff_member_id, resolution_notes)
+  const escalationActions = {
+    'escalation-acknowledge': ({ escalationId, actor }) =>
+      escalationService.acknowledge(escalationId, { actor }),
+    'escalation-assign': ({ escalationId, staff_member_id, actor, note }) =>
+      escalationService.assign(escalationId, { staffMemberId: staff_member_id, actor, note }),
+    'escalation-note': ({ escalationId, note, actor }) =>
+      escalationService.addNote(escalationId, { note, actor }),
+    'escalation-resolve': ({ escalationId, resolution_notes, actor }) =>
+      escalationService.resolve(escalationId, { resolutionNotes: resolution_notes, actor }),
+    'escalation-reopen': ({ escalationId, reason, actor }) =>
+      escalationService.reopen(escalationId, { reason, actor })
+  };
+
+  for (const [eventName, action] of Object.entries(escalationActions)) {
+    socket.on(eventName, async (data = {}) => {
+      try {
+        await action(data);
+      } catch (error) {
+        if (!error.status) {
+          logger.error(`Error handling ${eventName}:`, error);
+        }
+        socket.emit('escalation-error', {
+          escalationId: data.escalationId,
+          action: eventName,
+          message: error.status ? error.message : 'Failed to update escalation'
+        });
+      }
+    });
+  }
+
   socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
   });
 });
 
+// Escalations raised after hours are held until their business opens
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const released = await agentOrchestrator.releaseQueuedEscalations();
+    if (released > 0) {
+      logger.info(`Released ${released} queued after-hours escalation(s)`);
+    }
+  } catch (error) {
+    logger.error('Error releasing queued escalations:', error);
+  }
+});
+
+// Chase escalations nobody has acknowledged within their SLA
+cron.schedule('* * * * *', async () => {
+  try {
+    const checked = await slaMonitor.check();
+    if (checked > 0) {
+      logger.info(`Handled ${checked} escalation SLA check(s)`);
+    }
+  } catch (error) {
+    logger.error('Error checking escalation SLAs:', error);
+  }
+});
+
+// Retry notifications whose delivery failed
+cron.schedule('* * * * *', async () => {
+  try {
+    const delivered = await notificationWorker.processDue();
+    if (delivered > 0) {
+      logger.info(`Delivered ${delivered} notification retry(s)`);
+    }
+  } catch (error) {
+    logger.error('Error processing notification outbox:', error);
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
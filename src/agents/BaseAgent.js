@@ -1,10 +1,16 @@
 const logger = require('../utils/logger');
+const LLMService = require('../services/LLMService');
+
+// Plurals and the usual inflections a keyword may carry
+const KEYWORD_ENDINGS = '(?:s|es|d|ed|ing|ly)?';
 
 class BaseAgent {
-  constructor(agentType, dbService, notificationService) {
+  constructor(agentType, dbService, notificationService, llmService = null) {
     this.agentType = agentType;
+    this.audience = 'customer';
     this.dbService = dbService;
     this.notificationService = notificationService;
+    this.llm = llmService || new LLMService();
     this.logger = logger;
   }
 
@@ -21,11 +27,115 @@ class BaseAgent {
     }
   }
 
+  getAgentConfig(conversation) {
+    return conversation?.agentConfigs?.[this.agentType] || null;
+  }
+
+  // Merge this agent's stored llm_settings into the request. The preferred
+  // provider moves to the front of the business's failover order. Each call
+  // is noted on the conversation context so the turn's trace can show it.
+  // `request.tools` names tools (declared in the agent's definition) the model may call.
+  async generateWithLLM(request, conversation) {
+    const settings = this.getAgentConfig(conversation)?.llm_settings || {};
+    let providerOrder = this.llm.getProviderOrder(conversation?.businessConfig);
+    const tools = this.getToolSpecs(request.tools || []);
+
+    if (settings.provider) {
+      providerOrder = [settings.provider, ...providerOrder.filter(name => name !== settings.provider)];
+    }
+
+    try {
+      const result = await this.llm.generate({
+        temperature: settings.temperature,
+        maxTokens: settings.max_tokens,
+        ...request,
+        tools,
+        runTool: tools.length > 0 ? this.createToolRunner(tools, conversation) : undefined
+      }, {
+        providerOrder,
+        models: settings.provider && settings.model ? { [settings.provider]: settings.model } : {}
+      });
+
+      this.recordLLMCall(conversation, {
+        provider: result.provider,
+        model: result.model,
+        latencyMs: result.latencyMs,
+        failures: result.failures
+      });
+
+      return result;
+    } catch (error) {
+      this.recordLLMCall(conversation, { provider: null, failures: error.failures || [] });
+      throw error;
+    }
+  }
+
+  getToolSpecs(names) {
+    if (names.length === 0 || !this.toolRegistry) {
+      return [];
+    }
+
+    const declared = this.registry?.get(this.agentType)?.tools || [];
+    const undeclared = names.filter(name => !declared.includes(name));
+
+    if (undeclared.length > 0) {
+      this.logger.warn(`Agent ${this.agentType} asked for undeclared tools: ${undeclared.join(', ')}`);
+    }
+
+    return this.toolRegistry.getSpecs(names.filter(name => declared.includes(name)));
+  }
+
+  // Results are reused when the same call repeats, so failing over to another
+  // provider mid-turn doesn't repeat side effects like create_task
+  createToolRunner(tools, conversation) {
+    const offered = tools.map(tool => tool.name);
+    const executed = new Map();
+
+    return async (name, input, details = {}) => {
+      const key = `${name}:${JSON.stringify(input)}`;
+
+      if (executed.has(key)) {
+        return executed.get(key);
+      }
+
+      const call = offered.includes(name) ?
+        await this.toolRegistry.execute(name, input, { conversation, agentType: this.agentType }) :
+        { tool: name, input, error: `Tool ${name} is not available`, latencyMs: 0 };
+
+      executed.set(key, call);
+      this.recordToolCall(conversation, { ...call, provider: details.provider || null });
+
+      return call;
+    };
+  }
+
+  recordToolCall(conversation, call) {
+    if (!conversation) return;
+
+    conversation.toolCalls = conversation.toolCalls || [];
+    conversation.toolCalls.push({ agentType: this.agentType, ...call });
+  }
+
+  recordLLMCall(conversation, call) {
+    if (!conversation) return;
+
+    conversation.llmCalls = conversation.llmCalls || [];
+    conversation.llmCalls.push({ agentType: this.agentType, ...call });
+  }
+
+  // Whole words, so 'now' doesn't fire on 'know' or 'rate' on 'separate', but
+  // with the common endings: 'rate' matches 'rates', 'urgent' matches 'urgently'
+  containsKeyword(message, keywords) {
+    return keywords.some(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|\\W)${escaped}${KEYWORD_ENDINGS}($|\\W)`, 'i').test(message);
+    });
+  }
+
   assessUrgency(message) {
     const urgencyKeywords = ['urgent', 'asap', 'emergency', 'immediate', 'now', 'help'];
-    const lowerMessage = message.toLowerCase();
 
-    return urgencyKeywords.some(keyword => lowerMessage.includes(keyword)) ? 'high' : 'medium';
+    return this.containsKeyword(message, urgencyKeywords) ? 'high' : 'medium';
   }
 
   logActivity(conversationId, activity, metadata = {}) {
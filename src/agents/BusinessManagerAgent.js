@@ -0,0 +1,277 @@
+const BaseAgent = require('./BaseAgent');
+const { getLocalTime, startOfLocalDay } = require('../utils/businessHours');
+
+const PRIORITY_WEIGHTS = { urgent: 4, high: 3, medium: 2, low: 1 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Works for the business owner rather than the customer: keeps an eye on the
+// escalation backlog, open tasks and the lead pipeline
+class BusinessManagerAgent extends BaseAgent {
+  constructor(dbService, notificationService, llmService) {
+    super('business_manager', dbService, notificationService, llmService);
+  }
+
+  // `conversation` is the owner's session: business_id, businessConfig, agentConfigs
+  async processMessage(message, conversation) {
+    try {
+      const topic = this.classifyOwnerQuestion(message);
+      const data = await this.gatherData(topic, conversation.business_id, conversation.businessConfig?.timezone);
+
+      const result = await this.generateWithLLM({
+        prompt: this.buildOwnerPrompt(message, topic, data, conversation),
+        fallback: () => this.formatAnswer(data)
+      }, conversation);
+
+      return {
+        agentType: 'business_manager',
+        message: result.text,
+        action: 'owner_answer',
+        topic,
+        data
+      };
+    } catch (error) {
+      this.logger.error('Error in BusinessManagerAgent.processMessage:', error);
+      return {
+        agentType: 'business_manager',
+        message: "I couldn't pull that together just now. Please try again in a moment.",
+        action: 'error_recovery'
+      };
+    }
+  }
+
+  classifyOwnerQuestion(message) {
+    const topics = {
+      escalations: ['escalation', 'escalations', 'backlog', 'waiting on me', 'who needs', 'call back first'],
+      tasks: ['task', 'tasks', 'callback', 'callbacks', 'overdue', 'follow up', 'follow-up', 'stale'],
+      pipeline: ['pipeline', 'leads', 'lead', 'hot', 'conversion', 'deals', 'prospects'],
+      summary: ['today', 'summary', 'summarize', 'what happened', 'recap', 'how did we do']
+    };
+
+    for (const [topic, keywords] of Object.entries(topics)) {
+      if (this.containsKeyword(message, keywords)) {
+        return topic;
+      }
+    }
+
+    return 'briefing';
+  }
+
+  async gatherData(topic, businessId, timezone = null) {
+    switch (topic) {
+      case 'escalations':
+        return { escalations: await this.triageEscalations(businessId) };
+      case 'tasks':
+        return { staleTasks: await this.flagStaleTasks(businessId) };
+      case 'pipeline':
+        return { pipeline: await this.getPipelineState(businessId) };
+      case 'summary':
+        return { summary: await this.summarizeDay(businessId, new Date(), timezone) };
+      default:
+        return await this.getBriefing(businessId, timezone);
+    }
+  }
+
+  // "Today" is the business's day in its timezone (server time when unset)
+  async getBriefing(businessId, timezone = null) {
+    const [escalations, staleTasks, summary, pipeline] = await Promise.all([
+      this.triageEscalations(businessId),
+      this.flagStaleTasks(businessId),
+      this.summarizeDay(businessId, new Date(), timezone),
+      this.getPipelineState(businessId)
+    ]);
+
+    return { escalations, staleTasks, summary, pipeline };
+  }
+
+  // Open escalations ranked by priority, customer urgency and how long they've waited
+  async triageEscalations(businessId, now = new Date()) {
+    const [pending, acknowledged, inProgress] = await Promise.all([
+      this.dbService.getEscalations(businessId, 'pending', 100),
+      this.dbService.getEscalations(businessId, 'acknowledged', 100),
+      this.dbService.getEscalations(businessId, 'in_progress', 100)
+    ]);
+
+    return [...pending, ...acknowledged, ...inProgress]
+      .map(escalation => {
+        const ageHours = (now - new Date(escalation.created_at)) / HOUR_MS;
+        const score = (PRIORITY_WEIGHTS[escalation.priority] || PRIORITY_WEIGHTS.medium) * 10 +
+          (escalation.urgency === 'immediate' ? 15 : 0) +
+          Math.min(ageHours, 48) +
+          (escalation.status === 'pending' ? 5 : 0);
+
+        return {
+          id: escalation.id,
+          conversationId: escalation.conversation_id,
+          reason: escalation.escalation_reason,
+          priority: escalation.priority,
+          status: escalation.status,
+          assignedTo: escalation.assigned_to || null,
+          customer: escalation.customer_info || {},
+          summary: escalation.summary,
+          ageHours: Math.round(ageHours * 10) / 10,
+          score: Math.round(score),
+          recommendedAction: this.recommendEscalationAction(escalation, ageHours)
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map((escalation, index) => ({ rank: index + 1, ...escalation }));
+  }
+
+  recommendEscalationAction(escalation, ageHours) {
+    if (escalation.urgency === 'immediate' || escalation.priority === 'urgent' || ageHours > 24) {
+      return 'respond_now';
+    }
+
+    if (escalation.priority === 'high' || ageHours > 4) {
+      return 'respond_today';
+    }
+
+    return 'respond_this_week';
+  }
+
+  // Pending tasks that are past due, or were never scheduled and have sat too long
+  async flagStaleTasks(businessId, { staleAfterHours = 24, now = new Date() } = {}) {
+    const tasks = await this.dbService.getTasks(businessId, 'pending', 200);
+
+    return tasks
+      .map(task => {
+        const dueAt = task.due_date || task.scheduled_time;
+
+        if (dueAt && new Date(dueAt) < now) {
+          return { task, reason: 'overdue', hoursLate: (now - new Date(dueAt)) / HOUR_MS };
+        }
+
+        if (!dueAt && (now - new Date(task.created_at)) / HOUR_MS > staleAfterHours) {
+          return { task, reason: 'unscheduled', hoursLate: (now - new Date(task.created_at)) / HOUR_MS - staleAfterHours };
+        }
+
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.hoursLate - a.hoursLate)
+      .map(({ task, reason, hoursLate }) => ({
+        id: task.id,
+        conversationId: task.conversation_id,
+        taskType: task.task_type,
+        priority: task.priority,
+        customer: task.customer_info || {},
+        dueAt: task.due_date || task.scheduled_time || null,
+        reason,
+        hoursLate: Math.round(hoursLate * 10) / 10
+      }));
+  }
+
+  async summarizeDay(businessId, date = new Date(), timezone = null) {
+    const start = startOfLocalDay(date, timezone);
+
+    const [conversations, escalations] = await Promise.all([
+      this.dbService.getBusinessConversations(businessId, 500, null, start.toISOString()),
+      this.dbService.getEscalations(businessId, null, 100)
+    ]);
+
+    const countBy = (items, key) => items.reduce((counts, item) => {
+      if (item[key]) {
+        counts[item[key]] = (counts[item[key]] || 0) + 1;
+      }
+      return counts;
+    }, {});
+
+    const hotLeads = conversations
+      .filter(conversation => conversation.lead_quality === 'hot')
+      .map(conversation => ({
+        conversationId: conversation.id,
+        name: conversation.customer_name || null,
+        phone: conversation.customer_phone || null,
+        status: conversation.status
+      }));
+
+    return {
+      date: getLocalTime(date, timezone).date,
+      totalConversations: conversations.length,
+      byStatus: countBy(conversations, 'status'),
+      byLeadQuality: countBy(conversations, 'lead_quality'),
+      contactsCaptured: conversations.filter(conversation => conversation.has_contact_info || conversation.customer_phone || conversation.customer_email).length,
+      escalationsRaised: escalations.filter(escalation => new Date(escalation.created_at) >= start).length,
+      hotLeads
+    };
+  }
+
+  async getPipelineState(businessId, days = 30) {
+    const since = new Date(Date.now() - days * 24 * HOUR_MS).toISOString();
+    const stats = await this.dbService.getConversationStats(businessId, since);
+    const recent = await this.dbService.getBusinessConversations(businessId, 200, 'active', since);
+
+    const openLeads = recent
+      .filter(conversation => ['hot', 'warm'].includes(conversation.lead_quality))
+      .map(conversation => ({
+        conversationId: conversation.id,
+        name: conversation.customer_name || null,
+        leadQuality: conversation.lead_quality,
+        lastActivity: conversation.updated_at
+      }));
+
+    return {
+      periodDays: days,
+      totalConversations: stats.total_conversations,
+      byStatus: stats.by_status,
+      byLeadQuality: stats.by_lead_quality,
+      openLeads
+    };
+  }
+
+  buildOwnerPrompt(message, topic, data, conversation) {
+    const businessName = conversation?.businessConfig?.name || 'the business';
+
+    return `You are the operations manager for ${businessName}, reporting to the owner. Answer their question using only the data below. Be brief and concrete: lead with what needs their attention first, use names and numbers, and don't invent anything that isn't in the data.
+
+Owner's question: "${message}"
+
+Data (${topic}):
+${JSON.stringify(data, null, 2)}`;
+  }
+
+  // Plain-text answer used when no LLM provider is available
+  formatAnswer(data) {
+    const sections = [];
+
+    if (data.escalations) {
+      const urgent = data.escalations.filter(escalation => escalation.recommendedAction === 'respond_now');
+      sections.push(data.escalations.length === 0 ?
+        'No open escalations.' :
+        `${data.escalations.length} open escalation(s), ${urgent.length} needing a response now:\n` +
+          data.escalations.slice(0, 5).map(escalation =>
+            `${escalation.rank}. ${escalation.customer.name || 'Unknown customer'} - ${escalation.reason} (${escalation.priority}, waiting ${escalation.ageHours}h)`
+          ).join('\n'));
+    }
+
+    if (data.staleTasks) {
+      sections.push(data.staleTasks.length === 0 ?
+        'No overdue or stale tasks.' :
+        `${data.staleTasks.length} task(s) need attention:\n` +
+          data.staleTasks.slice(0, 5).map(task =>
+            `- ${task.taskType} for ${task.customer.name || 'unknown customer'}: ${task.reason} by ${task.hoursLate}h`
+          ).join('\n'));
+    }
+
+    if (data.summary) {
+      sections.push(`Today: ${data.summary.totalConversations} conversation(s), ${data.summary.contactsCaptured} with contact details, ` +
+        `${data.summary.escalationsRaised} escalation(s), ${data.summary.hotLeads.length} hot lead(s).`);
+    }
+
+    if (data.pipeline) {
+      sections.push(`Last ${data.pipeline.periodDays} days: ${data.pipeline.totalConversations} conversation(s), ` +
+        `${data.pipeline.openLeads.length} open hot/warm lead(s).`);
+    }
+
+    return sections.join('\n\n');
+  }
+}
+
+BusinessManagerAgent.definition = {
+  type: 'business_manager',
+  audience: 'owner',
+  actions: ['owner_answer', 'error_recovery']
+};
+
+module.exports = BusinessManagerAgent;
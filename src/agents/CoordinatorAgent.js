@@ -1,21 +1,77 @@
+const Joi = require('joi');
 const BaseAgent = require('./BaseAgent');
+const { getVerticalPack } = require('../verticals');
+
+// Message type -> agent chain. The first agent that replies answers the customer;
+// the rest run alongside and attach their analysis.
+const DEFAULT_ROUTING_RULES = {
+  'escalation_required': ['receptionist', 'human'],
+  'sales_opportunity': ['sales', 'receptionist'],
+  'pricing_inquiry': ['sales', 'receptionist'],
+  'general_inquiry': ['receptionist']
+};
+
+const DEFAULT_ENABLED_AGENTS = ['receptionist', 'coordinator'];
+
+// Built-in intents; registered agents can add their own message types
+const INTENT_DESCRIPTIONS = {
+  'pricing_inquiry': 'asks about cost, rates or quotes',
+  'sales_opportunity': 'shows buying intent (budget approved, ready to start, comparing providers, a large project)',
+  'service_inquiry': 'asks what we offer or whether we can do something',
+  'escalation_required': 'needs a human (complaints, technical specifics, changes to existing work)',
+  'urgency_assessment': 'says when they want to be contacted (right now, later, a callback)',
+  'general_inquiry': 'anything else'
+};
+
+const INTENTS = Object.keys(INTENT_DESCRIPTIONS);
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+// Types the coordinator assigns itself rather than classifying into
+const INTERNAL_MESSAGE_TYPES = ['initial_inquiry', 'contact_collection_flow'];
+
+const classificationSchema = (intents) => Joi.object({
+  intent: Joi.string().valid(...intents).required(),
+  sentiment: Joi.string().valid(...SENTIMENTS).required(),
+  urgency: Joi.string().valid(...URGENCY_LEVELS).required(),
+  confidence: Joi.number().min(0).max(1).required()
+});
+
+// Below this the keyword rules are trusted over the model
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.6;
+
+const NEGATIVE_KEYWORDS = ['angry', 'frustrated', 'disappointed', 'terrible', 'awful', 'unhappy', 'complaint', 'refund', 'worst'];
+const POSITIVE_KEYWORDS = ['thanks', 'thank you', 'great', 'love', 'excited', 'perfect', 'awesome'];
+
+const ROUTING_REASONS = {
+  'escalation_required': 'escalation_needs_human_handoff',
+  'pricing_inquiry': 'pricing_requires_qualification',
+  'sales_opportunity': 'sales_opportunity_identified',
+  'contact_collection_flow': 'contact_collection_in_progress'
+};
 
 class CoordinatorAgent extends BaseAgent {
-  constructor(dbService, notificationService) {
-    super('coordinator', dbService, notificationService);
+  constructor(dbService, notificationService, llmService) {
+    super('coordinator', dbService, notificationService, llmService);
   }
 
   async analyzeMessage(message, conversation) {
     try {
-      // Simple routing logic for MVP
-      const messageType = this.classifyMessage(message, conversation);
+      const classification = await this.classifyIntent(message, conversation);
 
       // Determine which agent should handle this message
-      const routingDecision = this.routeMessage(messageType, conversation);
+      const routingDecision = {
+        ...this.routeMessage(classification.intent, conversation),
+        classification
+      };
 
       this.logActivity(conversation.id, 'message_routing', {
-        messageType,
+        messageType: classification.intent,
+        source: classification.source,
+        confidence: classification.confidence,
+        fallbackReason: classification.fallbackReason,
         assignedAgent: routingDecision.assignedAgent,
+        agentChain: routingDecision.agentChain,
         reasoning: routingDecision.reasoning
       });
 
@@ -29,19 +85,157 @@ class CoordinatorAgent extends BaseAgent {
     }
   }
 
+  // LLM classification first; the keyword rules take over when the model is
+  // unsure, returns something off-schema, or no provider is reachable
+  async classifyIntent(message, conversation) {
+    const keywordResult = () => this.classifyWithKeywords(message, conversation);
+
+    // Replies mid-way through contact collection never need a model call
+    if (this.isCollectingContact(conversation)) {
+      return { ...keywordResult(), confidence: 1 };
+    }
+
+    try {
+      const result = await this.generateWithLLM({
+        prompt: this.buildClassificationPrompt(message, conversation),
+        json: true,
+        temperature: 0,
+        fallback: () => ({ ...keywordResult(), fallbackReason: 'no_llm_available' })
+      }, conversation);
+
+      if (result.provider === 'local') {
+        return result.data;
+      }
+
+      const { error, value } = classificationSchema(this.getIntents()).validate(result.data, { stripUnknown: true });
+
+      if (error) {
+        return { ...keywordResult(), fallbackReason: 'invalid_classification', llmError: error.message };
+      }
+
+      const threshold = this.getConfidenceThreshold(conversation);
+
+      if (value.confidence < threshold) {
+        return { ...keywordResult(), fallbackReason: 'low_confidence', llmClassification: value };
+      }
+
+      return { ...value, source: 'llm', provider: result.provider, model: result.model };
+    } catch (error) {
+      this.logger.error('Intent classification failed:', error);
+      return { ...keywordResult(), fallbackReason: 'llm_error' };
+    }
+  }
+
+  // Message types declared by registered agents beyond the built-in intents
+  getCustomMessageTypes() {
+    const messageTypes = this.registry?.getMessageTypes() || {};
+
+    return Object.fromEntries(Object.entries(messageTypes)
+      .filter(([messageType]) => !INTENTS.includes(messageType) && !INTERNAL_MESSAGE_TYPES.includes(messageType)));
+  }
+
+  // general_inquiry stays last so the model only picks it when nothing else fits
+  getIntentDescriptions() {
+    const { general_inquiry: generalInquiry, ...builtIn } = INTENT_DESCRIPTIONS;
+    const custom = Object.fromEntries(Object.entries(this.getCustomMessageTypes())
+      .map(([messageType, details]) => [messageType, details.description || messageType.replace(/_/g, ' ')]));
+
+    return { ...builtIn, ...custom, general_inquiry: generalInquiry };
+  }
+
+  getIntents() {
+    return Object.keys(this.getIntentDescriptions());
+  }
+
+  getConfidenceThreshold(conversation) {
+    const threshold = this.getAgentConfig(conversation)?.decision_thresholds?.classification_confidence;
+    return typeof threshold === 'number' ? threshold : DEFAULT_CONFIDENCE_THRESHOLD;
+  }
+
+  isCollectingContact(conversation) {
+    const currentStage = conversation.contact_collection_stage;
+    return Boolean(currentStage && currentStage !== 'complete');
+  }
+
+  buildClassificationPrompt(message, conversation) {
+    const pack = getVerticalPack(conversation?.businessConfig?.industry);
+    const recentMessages = (conversation.messages || []).slice(-4)
+      .map(entry => `${entry.sender}: ${entry.content}`)
+      .join('\n');
+
+    const descriptions = this.getIntentDescriptions();
+    const intents = Object.entries(descriptions)
+      .map(([intent, description]) => `- ${intent}: ${description}`)
+      .join('\n');
+
+    return `You route customer messages for ${pack.businessDescription}. Classify the latest customer message.
+
+Intents:
+${intents}
+
+${recentMessages ? `Recent conversation:\n${recentMessages}\n\n` : ''}Customer message: "${message}"
+
+Respond with ONLY a JSON object (no markdown formatting):
+{
+  "intent": "${Object.keys(descriptions).join('|')}",
+  "sentiment": "${SENTIMENTS.join('|')}",
+  "urgency": "${URGENCY_LEVELS.join('|')}",
+  "confidence": 0.0
+}`;
+  }
+
+  classifyWithKeywords(message, conversation) {
+    return {
+      intent: this.classifyMessage(message, conversation),
+      sentiment: this.detectSentiment(message),
+      urgency: this.detectUrgency(message),
+      confidence: null,
+      source: 'keywords'
+    };
+  }
+
+  detectSentiment(message) {
+    if (this.containsKeyword(message, NEGATIVE_KEYWORDS)) {
+      return 'negative';
+    }
+
+    if (this.containsKeyword(message, POSITIVE_KEYWORDS)) {
+      return 'positive';
+    }
+
+    return 'neutral';
+  }
+
+  detectUrgency(message) {
+    if (this.containsKeyword(message, ['emergency', 'urgent', 'asap', 'right now', 'immediately'])) {
+      return 'urgent';
+    }
+
+    return this.assessUrgency(message);
+  }
+
   classifyMessage(message, conversation) {
     const lowerMessage = message.toLowerCase();
 
     // Check conversation history for context
     const messageCount = conversation.messageCount || 0;
-    const currentStage = conversation.contact_collection_stage;
 
     // If we're in contact collection flow
-    if (currentStage && currentStage !== 'complete') {
+    if (this.isCollectingContact(conversation)) {
       return 'contact_collection_flow';
     }
 
+    // Plugin agents' message types are narrower than the built-in ones, so they go first
+    const customType = this.matchCustomMessageType(lowerMessage);
+    if (customType) {
+      return customType;
+    }
+
     // Classify based on content
+    if (this.isSalesOpportunity(lowerMessage, conversation)) {
+      return 'sales_opportunity';
+    }
+
     if (this.isPricingInquiry(lowerMessage)) {
       return 'pricing_inquiry';
     }
@@ -66,49 +260,75 @@ class CoordinatorAgent extends BaseAgent {
     return 'general_inquiry';
   }
 
+  matchCustomMessageType(message) {
+    const match = Object.entries(this.getCustomMessageTypes())
+      .find(([, details]) => this.containsKeyword(message, details.keywords));
+
+    return match ? match[0] : null;
+  }
+
+  // Stored rules override the defaults one message type at a time
+  getRoutingRules(conversation) {
+    return {
+      ...DEFAULT_ROUTING_RULES,
+      ...(this.getAgentConfig(conversation)?.knowledge_base?.routing_rules || {}),
+      // Contact replies belong to the receptionist's dialog flow
+      'contact_collection_flow': ['receptionist']
+    };
+  }
+
+  // Same list the orchestrator runs; without a registry (used on its own)
+  // only the always-on agents
+  getEnabledAgents(conversation) {
+    return this.registry ? this.registry.getEnabledAgents(conversation?.businessConfig) : DEFAULT_ENABLED_AGENTS;
+  }
+
   routeMessage(messageType, conversation) {
-    // All messages go to receptionist for MVP
-    // Later we can add more sophisticated routing
-
-    switch (messageType) {
-      case 'escalation_required':
-        return {
-          assignedAgent: 'receptionist',
-          reasoning: 'escalation_needs_human_handoff',
-          requiresEscalation: true
-        };
-
-      case 'pricing_inquiry':
-        return {
-          assignedAgent: 'receptionist',
-          reasoning: 'pricing_requires_qualification',
-          requiresContactInfo: true
-        };
-
-      case 'sales_opportunity':
-        // In future, route to sales agent
-        return {
-          assignedAgent: 'receptionist',
-          reasoning: 'sales_opportunity_identified',
-          flagForSales: true
-        };
-
-      default:
-        return {
-          assignedAgent: 'receptionist',
-          reasoning: 'default_routing_to_receptionist'
-        };
+    const rules = this.getRoutingRules(conversation);
+    // Without a rule, a message type goes to the registered agents that declared it
+    const registeredChain = rules[messageType] ? null : this.registry?.getAgentsForMessageType(messageType);
+    const chain = rules[messageType] ||
+      (registeredChain?.length ? registeredChain : null) ||
+      rules['general_inquiry'] || ['receptionist'];
+    const enabledAgents = this.getEnabledAgents(conversation);
+
+    // 'human' in a chain marks a handoff rather than an agent to run
+    const agentChain = chain.filter(agent => agent !== 'human' && enabledAgents.includes(agent));
+
+    // The receptionist answers whenever nothing in the chain is enabled
+    if (!agentChain.includes('receptionist')) {
+      agentChain.push('receptionist');
     }
+
+    return {
+      assignedAgent: agentChain[0],
+      agentChain,
+      messageType,
+      reasoning: rules[messageType] ?
+        (ROUTING_REASONS[messageType] || `routing_rule_${messageType}`) :
+        (registeredChain?.length ? `registered_agents_${messageType}` : 'default_routing_to_receptionist'),
+      requiresEscalation: chain.includes('human') || undefined,
+      requiresContactInfo: messageType === 'pricing_inquiry' || undefined,
+      flagForSales: (chain.includes('sales') && !agentChain.includes('sales')) || undefined
+    };
+  }
+
+  isSalesOpportunity(message, conversation) {
+    const pack = getVerticalPack(conversation?.businessConfig?.industry);
+    const buyingKeywords = ['ready to start', 'next steps', 'budget approved', 'proposal', 'contract', 'comparing', 'other quotes'];
+
+    return this.containsKeyword(message, buyingKeywords) ||
+      this.containsKeyword(message, pack.highValueSignals);
   }
 
   isPricingInquiry(message) {
-    const pricingKeywords = ['cost', 'price', 'budget', 'how much', 'rate', 'hourly', 'quote'];
-    return pricingKeywords.some(keyword => message.includes(keyword));
+    const pricingKeywords = ['cost', 'price', 'pricing', 'budget', 'how much', 'rate', 'hourly', 'quote'];
+    return this.containsKeyword(message, pricingKeywords);
   }
 
   isServiceInquiry(message) {
     const serviceKeywords = ['do you do', 'can you', 'services', 'what do you offer', 'capabilities'];
-    return serviceKeywords.some(keyword => message.includes(keyword));
+    return this.containsKeyword(message, serviceKeywords);
   }
 
   isEscalationRequired(message) {
@@ -117,12 +337,12 @@ class CoordinatorAgent extends BaseAgent {
       'add to my site', 'crypto payment', 'specific functionality',
       'how would you implement', 'technical question'
     ];
-    return escalationKeywords.some(keyword => message.includes(keyword));
+    return this.containsKeyword(message, escalationKeywords);
   }
 
   isUrgencyAssessment(message) {
     const urgencyKeywords = ['right now', 'immediately', 'later', 'callback', 'schedule'];
-    return urgencyKeywords.some(keyword => message.includes(keyword));
+    return this.containsKeyword(message, urgencyKeywords);
   }
 
   // Agent provisioning recommendations (for future use)
@@ -170,4 +390,25 @@ class CoordinatorAgent extends BaseAgent {
   }
 }
 
+CoordinatorAgent.DEFAULT_ROUTING_RULES = DEFAULT_ROUTING_RULES;
+
+CoordinatorAgent.definition = {
+  type: 'coordinator',
+  audience: 'internal',
+  required: true,
+  actions: ['routing_analysis_complete'],
+  // Message type -> ordered agent chain; 'human' marks a handoff
+  configSchema: ({ agentTypes }) => Joi.object({
+    knowledge_base: Joi.object({
+      routing_rules: Joi.object().pattern(
+        Joi.string(),
+        Joi.array().items(Joi.string().valid(...agentTypes, 'human')).min(1)
+      )
+    }).unknown(true),
+    decision_thresholds: Joi.object({
+      classification_confidence: Joi.number().min(0).max(1)
+    }).unknown(true)
+  })
+};
+
 module.exports = CoordinatorAgent;
\ No newline at end of file
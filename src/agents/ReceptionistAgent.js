@@ -1,37 +1,50 @@
+const Joi = require('joi');
 const BaseAgent = require('./BaseAgent');
-const Anthropic = require('@anthropic-ai/sdk');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const KnowledgeBaseService = require('../services/KnowledgeBaseService');
+const FaqRetrievalService = require('../services/FaqRetrievalService');
+const DialogStateMachine = require('../core/DialogStateMachine');
+const { extractContactInfo } = require('../utils/contactExtraction');
+const { parseDuration, parseDeadline } = require('../utils/timeline');
+const { getBusinessAvailability, getNextOpenTime } = require('../utils/businessHours');
+const { getVerticalPack } = require('../verticals');
+
+const CALLBACK_DELAY_MS = 4 * 60 * 60 * 1000;
+
+const INQUIRY_PATTERNS = {
+  pricing: ['cost', 'price', 'pricing', 'budget', 'how much', 'rate', 'hourly'],
+  services: ['do you do', 'can you', 'services', 'what do you offer'],
+  timeline: ['how long', 'when', 'timeline', 'deadline'],
+  contact_info: ['my name is', 'i\'m', 'call me', 'email me'],
+  urgency_assessment: ['right now', 'immediately', 'urgent', 'asap', 'quickly', 'later', 'callback']
+};
+
+// Inquiries that mean the customer has moved on from giving their name
+const INTERRUPTING_INQUIRIES = ['pricing', 'services', 'timeline'];
 
 class ReceptionistAgent extends BaseAgent {
-  constructor(dbService, notificationService) {
-    super('receptionist', dbService, notificationService);
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-
-    // Initialize Google Gemini for free AI responses
-    this.gemini = process.env.GOOGLE_AI_API_KEY ?
-      new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY) : null;
-
-    // Escalation triggers for web design business
-    this.escalationTriggers = [
-      'changes to my existing site',
-      'modify my current',
-      'update my website',
-      'add to my site',
-      'crypto payment',
-      'payment gateway',
-      'specific functionality',
-      'custom feature',
-      'how would you implement',
-      'what technology',
-      'database structure',
-      'API integration'
-    ];
+  constructor(dbService, notificationService, llmService) {
+    super('receptionist', dbService, notificationService, llmService);
+    this.knowledgeBase = new KnowledgeBaseService(dbService);
+    this.faqRetrieval = new FaqRetrievalService();
   }
 
   async processMessage(message, conversation) {
     try {
+      const contactFlow = this.getContactFlow(conversation);
+
+      // Replies mid-way through contact collection feed the dialog flow, unless
+      // the customer has asked something else instead of giving their name
+      if (contactFlow.isActive(conversation)) {
+        if (!this.isInterruption(message, conversation, contactFlow)) {
+          return await this.handleContactCollection(message, conversation);
+        }
+
+        const { updates } = contactFlow.exit(conversation);
+        const response = await this.processMessage(message, { ...conversation, ...updates });
+
+        return { ...response, conversationUpdates: { ...updates, ...response.conversationUpdates } };
+      }
+
       const analysis = await this.analyzeMessage(message, conversation);
 
       // Check if this requires escalation
@@ -51,6 +64,14 @@ class ReceptionistAgent extends BaseAgent {
           return await this.processContactInfo(message, conversation);
         case 'urgency_assessment':
           return await this.handleUrgencyAssessment(message, conversation);
+        case 'faq':
+          return {
+            agentType: 'receptionist',
+            message: analysis.aiResponse,
+            action: 'faq_answer',
+            faqId: analysis.faqId,
+            leadQuality: 'warm'
+          };
         default:
           // Handle off-topic questions with AI response
           if (analysis.isOffTopic && analysis.aiResponse) {
@@ -63,8 +84,8 @@ class ReceptionistAgent extends BaseAgent {
           }
 
           // Check if we need to collect contact info for non-specific inquiries
-          if (analysis.needsContactInfo && !conversation.hasContactInfo) {
-            return await this.handleContactCollection(message, conversation);
+          if (analysis.needsContactInfo && !conversation.has_contact_info) {
+            return this.startContactCollection(conversation);
           }
 
           // Use AI response for general inquiries if available
@@ -89,15 +110,14 @@ class ReceptionistAgent extends BaseAgent {
   async analyzeMessage(message, conversation) {
     const lowerMessage = message.toLowerCase();
 
-    // Check for escalation triggers
-    const escalationMatch = this.escalationTriggers.find(trigger =>
-      lowerMessage.includes(trigger)
-    );
+    // The orchestrator has already run the business's escalation rules on this turn
+    const escalation = conversation.escalationDecision;
 
-    if (escalationMatch) {
+    if (escalation?.escalate) {
       return {
         requiresEscalation: true,
-        escalationReason: 'specific_modification_request',
+        escalationReason: escalation.rule,
+        escalationLevel: escalation.level,
         needsContactInfo: true,
         inquiryType: 'escalation'
       };
@@ -116,23 +136,16 @@ class ReceptionistAgent extends BaseAgent {
       requiresEscalation: false,
       inquiryType,
       needsContactInfo,
-      projectType: aiAnalysis.projectType || this.identifyProjectType(lowerMessage),
+      projectType: aiAnalysis.projectType || this.identifyProjectType(lowerMessage, conversation),
       urgencyLevel: aiAnalysis.urgencyLevel || this.assessUrgency(lowerMessage),
       isOffTopic: aiAnalysis.isOffTopic || false,
-      aiResponse: aiAnalysis.response
+      aiResponse: aiAnalysis.response,
+      faqId: aiAnalysis.faqId
     };
   }
 
   classifyInquiry(message) {
-    const patterns = {
-      pricing: ['cost', 'price', 'budget', 'how much', 'rate', 'hourly'],
-      services: ['do you do', 'can you', 'services', 'what do you offer'],
-      timeline: ['how long', 'when', 'timeline', 'deadline'],
-      contact_info: ['my name is', 'i\'m', 'call me', 'email me'],
-      urgency_assessment: ['right now', 'immediately', 'urgent', 'asap', 'quickly', 'later', 'callback']
-    };
-
-    for (const [type, keywords] of Object.entries(patterns)) {
+    for (const [type, keywords] of Object.entries(INQUIRY_PATTERNS)) {
       if (keywords.some(keyword => message.includes(keyword))) {
         return type;
       }
@@ -141,13 +154,18 @@ class ReceptionistAgent extends BaseAgent {
     return 'general';
   }
 
-  identifyProjectType(message) {
-    const projectTypes = {
-      'one_page': ['one page', 'single page', 'landing page', 'simple site'],
-      'ecommerce': ['online store', 'e-commerce', 'sell products', 'shopping cart'],
-      'redesign': ['redesign', 'rebuild', 'complete overhaul', 'start over'],
-      'new_website': ['new website', 'build a site', 'create a website', 'from scratch']
-    };
+  getPack(conversation) {
+    return getVerticalPack(conversation?.businessConfig?.industry);
+  }
+
+  // Stored triggers win over the industry pack's defaults
+  getEscalationTriggers(conversation) {
+    return this.getAgentConfig(conversation)?.knowledge_base?.escalation_triggers ||
+      this.getPack(conversation).escalationTriggers;
+  }
+
+  identifyProjectType(message, conversation) {
+    const projectTypes = this.getPack(conversation).projectTypes;
 
     for (const [type, keywords] of Object.entries(projectTypes)) {
       if (keywords.some(keyword => message.includes(keyword))) {
@@ -167,19 +185,32 @@ class ReceptionistAgent extends BaseAgent {
   async handleEscalation(message, analysis, conversation) {
     if (!conversation.customer_name) {
       return {
-        agentType: 'receptionist',
-        message: "That's a great question about specific modifications! Since every existing site is different, I'd like to have our developer take a look at your current setup to give you an accurate quote. Could I get your name and best contact number so they can reach you?",
-        action: 'collect_contact_info',
-        nextStep: 'collect_name',
-        escalationPending: true,
+        ...this.startPendingEscalation(conversation, {
+          level: analysis.escalationLevel || 'schedule_call',
+          reason: analysis.escalationReason,
+          originalInquiry: message
+        }),
+        message: this.getPack(conversation).prompts.escalationContactRequest,
         leadQuality: 'hot'
       };
     }
 
+    // The matching rule says whether someone calls now or later
+    if (analysis.escalationLevel) {
+      const response = await this.handleUrgencyAssessment(message, conversation,
+        analysis.escalationLevel === 'immediate' ? 'immediate' : 'callback');
+
+      return { ...response, escalationReason: analysis.escalationReason, originalInquiry: message };
+    }
+
+    const availability = this.getAvailability(conversation);
+
     // Contact info collected, now assess urgency
     return {
       agentType: 'receptionist',
-      message: `Perfect! I can try to find someone who can better answer that question for you. Are you looking to speak with someone right now, or would you prefer to have someone get back to you later today?`,
+      message: availability.open ?
+        `Perfect! I can try to find someone who can better answer that question for you. Are you looking to speak with someone right now, or would you prefer to have someone get back to you later today?` :
+        `Perfect! Our team is away right now, but someone can pick this up ${this.describeReopening(availability)}. Is it urgent, or is a call back later on fine?`,
       action: 'assess_urgency',
       escalationReason: analysis.escalationReason,
       originalInquiry: message,
@@ -187,122 +218,326 @@ class ReceptionistAgent extends BaseAgent {
     };
   }
 
-  async handleContactCollection(message, conversation) {
-    const stage = conversation.contactCollectionStage || 'collect_name';
+  // Per-business field order and validators live in the receptionist's knowledge base
+  getContactFlow(conversation) {
+    return new DialogStateMachine(this.getAgentConfig(conversation)?.knowledge_base?.contact_flow);
+  }
 
-    switch (stage) {
-      case 'collect_name':
-        if (this.validateName(message)) {
-          await this.updateConversationData(conversation.id, { customer_name: message.trim() });
-          return {
-            agentType: 'receptionist',
-            message: `Thank you, ${message.trim()}! And what's the best phone number to reach you at?`,
-            action: 'collect_contact_info',
-            nextStep: 'collect_phone',
-            contactData: { name: message.trim() }
-          };
-        } else {
-          return {
-            agentType: 'receptionist',
-            message: "I didn't catch that. Could you tell me your name?",
-            action: 'collect_contact_info',
-            nextStep: 'collect_name',
-            retry: true
-          };
-        }
+  startContactCollection(conversation) {
+    const transition = this.getContactFlow(conversation).start(conversation);
 
-      case 'collect_phone':
-        if (this.validatePhone(message)) {
-          await this.updateConversationData(conversation.id, { customer_phone: message.trim() });
-          return {
-            agentType: 'receptionist',
-            message: `Got it! And your email address so we can send follow-up information?`,
-            action: 'collect_contact_info',
-            nextStep: 'collect_email',
-            contactData: { phone: message.trim() }
-          };
-        } else {
-          return {
-            agentType: 'receptionist',
-            message: "Could you double-check that phone number? I want to make sure we can reach you.",
-            action: 'collect_contact_info',
-            nextStep: 'collect_phone',
-            retry: true
-          };
-        }
+    return {
+      agentType: 'receptionist',
+      message: transition.message,
+      action: 'collect_contact_info',
+      nextStep: transition.state,
+      conversationUpdates: transition.updates
+    };
+  }
 
-      case 'collect_email':
-        if (this.validateEmail(message)) {
-          await this.updateConversationData(conversation.id, {
-            customer_email: message.trim(),
-            hasContactInfo: true
-          });
-          return {
-            agentType: 'receptionist',
-            message: `Perfect! I have your information. Let me see who's available to discuss your project.`,
-            action: 'assess_urgency',
-            contactComplete: true,
-            contactData: { email: message.trim() },
-            leadQuality: 'warm'
-          };
-        } else {
-          return {
-            agentType: 'receptionist',
-            message: "Could you check that email address? I want to make sure our follow-up reaches you.",
-            action: 'collect_contact_info',
-            nextStep: 'collect_email',
-            retry: true
-          };
+  // Contact collection first, then the escalation: the level and reason are
+  // kept on the conversation until the flow completes
+  startPendingEscalation(conversation, { level, reason, originalInquiry }) {
+    const response = this.startContactCollection(conversation);
+    const updates = response.conversationUpdates || {};
+
+    return {
+      ...response,
+      escalationPending: true,
+      conversationUpdates: {
+        ...updates,
+        conversation_data: {
+          ...(updates.conversation_data || conversation.conversation_data || {}),
+          pending_escalation: { level, reason: reason || null, original_inquiry: originalInquiry || null }
         }
+      }
+    };
+  }
+
+  // A question or an inquiry where we asked for a name. Whole words only, so
+  // "Anna Costa" is still a name.
+  isInterruption(message, conversation, contactFlow) {
+    const field = contactFlow.getField(contactFlow.getState(conversation));
+
+    if (field?.column !== 'customer_name') {
+      return false;
     }
+
+    return message.includes('?') ||
+      INTERRUPTING_INQUIRIES.some(type => this.containsKeyword(message, INQUIRY_PATTERNS[type]));
   }
 
-  async handlePricingInquiry(message, analysis, conversation) {
-    const baseResponse = "I'd rather give you a total project cost upfront so there's no confusion or hassle calculating hours. ";
+  async handleContactCollection(message, conversation) {
+    const transition = this.getContactFlow(conversation).handleInput(conversation, message);
+    const pending = conversation.escalation_pending && conversation.conversation_data?.pending_escalation;
 
-    const projectResponses = {
-      'one_page': {
-        question: "Are you looking for a simple one-page site or something more comprehensive?",
-        priceRange: "Simple one-page sites typically range from $1,500-$3,500"
-      },
-      'ecommerce': {
-        question: "What type of e-commerce site are you considering?",
-        priceRange: "E-commerce sites typically range from $5,000-$15,000 depending on features"
-      },
-      'new_website': {
-        question: "What type of website are you looking for? A simple business site or something more complex?",
-        priceRange: "Business websites typically range from $3,000-$10,000"
-      },
-      'redesign': {
-        question: "What type of redesign are you considering - complete rebuild or working with your existing content?",
-        priceRange: "Complete redesigns typically range from $4,000-$12,000"
-      }
+    // The customer called it off, so no escalation is waiting on their details
+    if (transition.exited) {
+      const conversationData = { ...transition.updates.conversation_data };
+      delete conversationData.pending_escalation;
+
+      return {
+        agentType: 'receptionist',
+        message: transition.message,
+        action: 'contact_collection_cancelled',
+        conversationUpdates: {
+          ...transition.updates,
+          conversation_data: conversationData,
+          ...(pending ? { escalation_pending: false } : {})
+        }
+      };
+    }
+
+    if (transition.complete && pending) {
+      return await this.completePendingEscalation(message, conversation, transition, pending);
+    }
+
+    if (transition.complete) {
+      return {
+        agentType: 'receptionist',
+        message: transition.message,
+        action: 'assess_urgency',
+        contactComplete: true,
+        contactData: transition.values,
+        conversationUpdates: transition.updates,
+        leadQuality: 'warm'
+      };
+    }
+
+    return {
+      agentType: 'receptionist',
+      message: transition.message,
+      action: 'collect_contact_info',
+      nextStep: transition.state,
+      contactData: transition.collected,
+      conversationUpdates: transition.updates,
+      retry: !transition.valid
     };
+  }
 
-    const response = projectResponses[analysis.projectType] || {
-      question: "What type of website are you looking for - a simple one-page site, business website, or e-commerce store?",
-      priceRange: "Projects typically range from $1,500 for simple sites to $15,000+ for complex e-commerce"
+  // The contact details have just come in, so the escalation the customer
+  // was promised goes out now
+  async completePendingEscalation(message, conversation, transition, pending) {
+    const conversationData = { ...(transition.updates.conversation_data || {}) };
+    delete conversationData.pending_escalation;
+
+    const conversationUpdates = { ...transition.updates, conversation_data: conversationData };
+    const updated = { ...conversation, ...conversationUpdates };
+    const customerInfo = {
+      name: updated.customer_name,
+      phone: updated.customer_phone,
+      email: updated.customer_email
+    };
+    const escalation = {
+      escalationReason: pending.reason || 'escalation_required',
+      originalInquiry: pending.original_inquiry || message,
+      contactComplete: true,
+      contactData: transition.values,
+      conversationUpdates
     };
 
+    if (pending.level === 'immediate') {
+      const response = await this.handleUrgencyAssessment(message, updated, 'immediate');
+      return { ...response, ...escalation };
+    }
+
+    const availability = this.getAvailability(updated);
+
     return {
       agentType: 'receptionist',
-      message: `${baseResponse}${response.question}\n\n${response.priceRange} to give you a ballpark, but I can provide a more accurate estimate once I understand your specific needs.`,
+      message: availability.open ?
+        `Thank you! I've passed this to our team and someone will get back to you at ${updated.customer_phone || updated.customer_email} later today or tomorrow morning.` :
+        `Thank you! ${this.describeClosed(availability)}, so I've passed this to our team and someone will get back to you ${this.describeReopening(availability)}.`,
+      action: 'escalate_to_human',
+      priority: 'medium',
+      customerInfo,
+      leadQuality: 'hot',
+      ...escalation
+    };
+  }
+
+  async handlePricingInquiry(message, analysis, conversation) {
+    const knowledge = this.getKnowledge(conversation);
+    const baseResponse = knowledge.pack.prompts.pricingIntro;
+
+    const projectResponse = knowledge.pack.pricingQuestions[analysis.projectType];
+    const tier = projectResponse && this.knowledgeBase.getTierForProjectType(knowledge, analysis.projectType);
+
+    let question;
+    let priceRange;
+
+    if (projectResponse && tier) {
+      question = projectResponse.question;
+      priceRange = `${projectResponse.label} ${this.knowledgeBase.formatPriceRange(tier)}${projectResponse.suffix || ''}`;
+    } else {
+      const overall = this.knowledgeBase.getOverallRange(knowledge);
+      const tierNames = Object.keys(knowledge.pricingTiers).map(key => this.knowledgeBase.humanize(key).toLowerCase());
+
+      question = tierNames.length > 0 ?
+        `What type of project are you looking for - ${tierNames.join(', ')}?` :
+        "What type of project are you looking for?";
+      priceRange = overall ?
+        `Projects typically range from ${this.knowledgeBase.formatPrice(overall.min)} to ${this.knowledgeBase.formatPrice(overall.max)}+` :
+        "Pricing depends on the scope of the project";
+    }
+
+    return {
+      agentType: 'receptionist',
+      message: `${baseResponse}${question}\n\n${priceRange} to give you a ballpark, but I can provide a more accurate estimate once I understand your specific needs.`,
       action: 'await_project_details',
       leadQuality: analysis.projectType === 'unknown' ? 'cold' : 'warm'
     };
   }
 
-  async handleUrgencyAssessment(message, conversation) {
-    const urgencyLevel = this.classifyUrgency(message);
+  async handleTimelineInquiry(message, analysis, conversation) {
+    const knowledge = this.getKnowledge(conversation);
+    const estimate = this.findTimelineEstimate(message, analysis.projectType, knowledge);
+    const deadline = parseDeadline(message);
+
+    if (!estimate) {
+      const timelines = knowledge.services
+        .filter(service => service.typicalTimeline)
+        .map(service => `${service.name}: ${service.typicalTimeline}`);
+
+      return {
+        agentType: 'receptionist',
+        message: timelines.length > 0 ?
+          `Timelines depend on what you need - as a guide:\n${timelines.map(line => `- ${line}`).join('\n')}\n\nWhat are you looking to have done${deadline ? `, and is ${deadline.label} a firm deadline` : ''}?` :
+          "Timelines depend on the scope of the work. Could you tell me a bit more about what you need?",
+        action: 'await_project_details',
+        timeline: { deadlineDays: deadline?.days ?? null },
+        leadQuality: deadline ? 'warm' : 'cold'
+      };
+    }
+
+    const duration = parseDuration(estimate.timeline);
+    const typical = `The typical timeline for ${estimate.label} is ${this.lowerFirst(estimate.timeline)}.`;
+    let followUp = "Do you have a particular date in mind?";
+    let fit = null;
+
+    if (deadline && duration) {
+      if (deadline.days < duration.minDays) {
+        fit = 'tight';
+        followUp = `Your timeframe (${deadline.label}) is tighter than usual. It may still be possible with a reduced scope or priority scheduling - I'd like someone from our team to confirm what we can do.`;
+      } else if (deadline.days < duration.maxDays) {
+        fit = 'achievable';
+        followUp = `${this.upperFirst(deadline.label)} is achievable, but we'd want to get started soon to make sure we hit it.`;
+      } else {
+        fit = 'comfortable';
+        followUp = `${this.upperFirst(deadline.label)} works comfortably with that.`;
+      }
+    }
+
+    return {
+      agentType: 'receptionist',
+      message: `${typical} ${followUp}`,
+      action: fit === 'tight' ? 'assess_urgency' : 'timeline_estimate',
+      timeline: {
+        source: estimate.source,
+        typical: estimate.timeline,
+        deadlineDays: deadline?.days ?? null,
+        fit
+      },
+      leadQuality: fit === 'tight' ? 'hot' : 'warm'
+    };
+  }
+
+  // Pricing tier for the project type first, then any service named in the message
+  findTimelineEstimate(message, projectType, knowledge) {
+    const tier = projectType && projectType !== 'unknown' ?
+      this.knowledgeBase.getTierForProjectType(knowledge, projectType) :
+      null;
+
+    if (tier?.typical_timeline) {
+      return {
+        source: `tier:${tier.key}`,
+        label: `${this.knowledgeBase.humanize(projectType).toLowerCase()} ${knowledge.pack.offering}s`,
+        timeline: tier.typical_timeline
+      };
+    }
+
+    const lowerMessage = message.toLowerCase();
+    const service = knowledge.services.find(candidate =>
+      candidate.typicalTimeline && (
+        lowerMessage.includes(candidate.name.toLowerCase()) ||
+        lowerMessage.includes(candidate.key.replace(/_/g, ' '))
+      )
+    );
+
+    return service ? {
+      source: `service:${service.key}`,
+      label: service.name.toLowerCase(),
+      timeline: service.typicalTimeline
+    } : null;
+  }
+
+  // Details volunteered mid-conversation ("I'm Jane, jane@example.com") are saved
+  // and the contact flow picks up at whatever is still missing
+  async processContactInfo(message, conversation) {
+    const contact = extractContactInfo(message, { allowBareName: false });
+
+    if (!contact.hasContact) {
+      return await this.handleGeneralResponse(message, conversation);
+    }
+
+    const volunteered = {};
+    if (contact.name) volunteered.customer_name = contact.name;
+    if (contact.phone) volunteered.customer_phone = contact.phone;
+    if (contact.email) volunteered.customer_email = contact.email;
+
+    const transition = this.getContactFlow(conversation).start({ ...conversation, ...volunteered });
+    const conversationUpdates = { ...volunteered, ...transition.updates };
+
+    if (transition.complete) {
+      return {
+        agentType: 'receptionist',
+        message: `Thanks${contact.name ? `, ${contact.name}` : ''}! ${transition.message}`,
+        action: 'assess_urgency',
+        contactComplete: true,
+        contactData: transition.values,
+        conversationUpdates,
+        leadQuality: 'warm'
+      };
+    }
+
+    const acknowledged = /^(thank|got it|great|perfect)/i.test(transition.message);
+
+    return {
+      agentType: 'receptionist',
+      message: acknowledged ? transition.message : `Thanks! ${transition.message}`,
+      action: 'collect_contact_info',
+      nextStep: transition.state,
+      contactData: contact,
+      conversationUpdates,
+      leadQuality: 'warm'
+    };
+  }
+
+  upperFirst(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // Leaves acronyms and numbers alone ("SEO", "2-4 weeks")
+  lowerFirst(text) {
+    return /^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text;
+  }
+
+  // Promises about when someone will respond depend on whether the business is open
+  async handleUrgencyAssessment(message, conversation, urgencyLevel = this.classifyUrgency(message)) {
+    const availability = this.getAvailability(conversation);
+    const reopening = this.describeReopening(availability);
 
     // If urgent but no contact info, collect it first
     if (!conversation.customer_name && urgencyLevel === 'immediate') {
       return {
-        agentType: 'receptionist',
-        message: "I understand this is urgent! To get you immediate assistance, I need to connect you with someone right away. Could I get your name and phone number so our team can reach you within the next few minutes?",
-        action: 'collect_contact_info',
-        nextStep: 'collect_name',
-        escalationPending: true,
+        ...this.startPendingEscalation(conversation, {
+          level: 'immediate',
+          reason: conversation.conversation_data?.pending_escalation?.reason || 'immediate_response_requested',
+          originalInquiry: message
+        }),
+        message: availability.open ?
+          "I understand this is urgent! To get you immediate assistance, I need to connect you with someone right away. Could I get your name and phone number so our team can reach you within the next few minutes?" :
+          `I understand this is urgent! ${this.describeClosed(availability)}, but I'll put you first in line for a call ${reopening}. Could I get your name and phone number?`,
         urgency: 'immediate',
         leadQuality: 'hot'
       };
@@ -312,8 +547,11 @@ class ReceptionistAgent extends BaseAgent {
       case 'immediate':
         return {
           agentType: 'receptionist',
-          message: `I'm checking to see who's available right now. I'll have someone reach out to you at ${conversation.customer_phone} within the next few minutes. If no one is immediately available, we'll definitely get back to you within a couple hours.`,
+          message: availability.open ?
+            `I'm checking to see who's available right now. I'll have someone reach out to you at ${conversation.customer_phone} within the next few minutes. If no one is immediately available, we'll definitely get back to you within a couple hours.` :
+            `${this.describeClosed(availability)}, so I've flagged this as urgent and you're first in line: someone will call you at ${conversation.customer_phone} ${reopening}.`,
           action: 'immediate_escalation',
+          afterHours: !availability.open || undefined,
           priority: 'high',
           urgency: 'immediate',
           customerInfo: {
@@ -327,17 +565,21 @@ class ReceptionistAgent extends BaseAgent {
       case 'callback':
         return {
           agentType: 'receptionist',
-          message: `Perfect! I'll have someone get back to you later today or tomorrow morning at ${conversation.customer_phone}. You'll also receive a follow-up email at ${conversation.customer_email} with some initial information.`,
+          message: availability.open ?
+            `Perfect! I'll have someone get back to you later today or tomorrow morning at ${conversation.customer_phone}. You'll also receive a follow-up email at ${conversation.customer_email} with some initial information.` :
+            `Perfect! I'll have someone call you at ${conversation.customer_phone} ${reopening} or shortly after. You'll also receive a follow-up email at ${conversation.customer_email} with some initial information.`,
           action: 'schedule_callback',
           priority: 'medium',
-          callbackTime: this.calculateCallbackTime(),
+          callbackTime: this.calculateCallbackTime(conversation),
           leadQuality: 'warm'
         };
 
       default:
         return {
           agentType: 'receptionist',
-          message: `Thanks for the information! Someone will be in touch with you soon to discuss your project in detail.`,
+          message: availability.open ?
+            `Thanks for the information! Someone will be in touch with you soon to discuss your project in detail.` :
+            `Thanks for the information! ${this.describeClosed(availability)}, so someone will be in touch ${reopening} to discuss your project in detail.`,
           action: 'standard_follow_up',
           priority: 'medium',
           leadQuality: 'warm'
@@ -360,112 +602,123 @@ class ReceptionistAgent extends BaseAgent {
     return 'flexible';
   }
 
-  // Validation methods
-  validateName(input) {
-    return input && input.trim().length > 1 && !/^\d+$/.test(input);
+  // 4 hours from now, pushed to the next opening (in the business's timezone)
+  // if the business is closed then
+  calculateCallbackTime(conversation, now = new Date()) {
+    const callbackTime = new Date(now.getTime() + CALLBACK_DELAY_MS);
+    return getNextOpenTime(conversation?.businessConfig, callbackTime).toISOString();
   }
 
-  validatePhone(input) {
-    const phoneRegex = /[\d\s\-\(\)\+]{10,}/;
-    return phoneRegex.test(input);
+  getAvailability(conversation) {
+    return getBusinessAvailability(conversation?.businessConfig);
   }
 
-  validateEmail(input) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(input);
+  describeReopening(availability) {
+    return availability.nextOpening ? availability.nextOpening.label : 'as soon as we reopen';
   }
 
-  calculateCallbackTime() {
-    const now = new Date();
-    now.setHours(now.getHours() + 4); // 4 hours from now
-    return now.toISOString();
+  // Names the holiday or closure when that's why we're shut
+  describeClosed(availability) {
+    return availability.closure ? `We're closed for ${availability.closure.name}` : "We're closed right now";
   }
 
   async analyzeMessageWithAI(message, conversation) {
+    const faqMatches = this.faqRetrieval.search(this.getKnowledge(conversation), message);
+
     try {
       this.logger.info('Starting AI analysis', {
-        hasGemini: !!this.gemini,
-        geminiKeyExists: !!process.env.GOOGLE_AI_API_KEY,
+        providers: this.llm.getProviderOrder(conversation?.businessConfig),
+        faqMatches: faqMatches.length,
         messagePreview: message.substring(0, 50)
       });
 
-      // Try Google Gemini first (free tier)
-      if (this.gemini) {
-        this.logger.info('Using Gemini for analysis');
-        return await this.analyzeWithGemini(message, conversation);
-      }
+      const result = await this.generateWithLLM({
+        prompt: this.buildAnalysisPrompt(message, conversation, faqMatches),
+        json: true,
+        tools: ['search_faqs', 'check_business_hours', 'get_customer_history', 'calculate_quote', 'create_task'],
+        fallback: () => this.getFaqResponse(faqMatches) || this.getDemoResponse(message, conversation)
+      }, conversation);
+
+      this.logger.info('AI analysis successful', {
+        provider: result.provider,
+        latencyMs: result.latencyMs,
+        inquiryType: result.data.inquiryType,
+        isOffTopic: result.data.isOffTopic
+      });
 
-      this.logger.info('No Gemini available, using demo mode');
-      // Fallback to demo mode if no AI provider available
-      return this.getDemoResponse(message, conversation);
+      return result.data;
 
     } catch (error) {
       this.logger.error('AI analysis failed:', error);
-      // Fallback to demo mode on error
-      return this.getDemoResponse(message, conversation);
+      // Every provider failed, including the local one
+      return this.getFaqResponse(faqMatches) || this.getDemoResponse(message, conversation);
     }
   }
 
-  async analyzeWithGemini(message, conversation) {
-    try {
-      this.logger.info('Using Google Gemini for AI analysis', { message: message.substring(0, 50) });
+  // Answer straight from the FAQ when no LLM is available and the match is strong
+  getFaqResponse(faqMatches) {
+    const match = this.faqRetrieval.getDirectAnswer(faqMatches);
+
+    if (!match) {
+      return null;
+    }
 
-      const contextInfo = this.buildConversationContext(conversation);
-      const model = this.gemini.getGenerativeModel({ model: "gemini-1.5-flash" });
+    return {
+      inquiryType: 'faq',
+      projectType: 'unknown',
+      urgencyLevel: 'flexible',
+      isOffTopic: false,
+      response: match.answer,
+      faqId: match.id
+    };
+  }
 
-      const prompt = `You are a professional receptionist for a web design business. Analyze this customer message and respond appropriately.
+  getKnowledge(conversation) {
+    return this.knowledgeBase.buildKnowledge(conversation?.businessConfig, this.getAgentConfig(conversation));
+  }
+
+  buildAnalysisPrompt(message, conversation, faqMatches = []) {
+    const contextInfo = this.buildConversationContext(conversation);
+    const knowledge = this.getKnowledge(conversation);
+
+    const pack = knowledge.pack;
+    const projectTypes = [...Object.keys(pack.projectTypes), 'unknown'].join('|');
+
+    return `You are a professional receptionist for ${knowledge.businessName}, ${pack.businessDescription}. Analyze this customer message and respond appropriately.
 
 Business Context:
-- We specialize in website design and development
-- Services: One-page sites ($1,500-$3,500), Business websites ($3,000-$10,000), E-commerce ($5,000-$15,000)
+- We specialize in ${pack.specialty}
+- Only quote prices from this catalogue:
+${this.knowledgeBase.buildCatalogueText(knowledge)}
 - We need to qualify leads and collect contact information for serious inquiries
 
+Relevant FAQs (prefer these answers when they fit the question):
+${this.faqRetrieval.formatForPrompt(faqMatches)}
+
 Customer Message: "${message}"
 
 ${contextInfo}
 
 Instructions:
-1. If the message is completely off-topic (like "where am i?" or "is the sky blue?"), acknowledge it briefly but redirect to web design services professionally
+1. If the message is completely off-topic (like "where am i?" or "is the sky blue?"), acknowledge it briefly but redirect to ${pack.specialty} professionally
 2. If it's business-related, provide helpful information and guide toward next steps
 3. Keep responses conversational, helpful, and professional
 4. Don't ask for contact info in your response - that's handled separately
+5. Use the tools when you need facts that aren't above (opening hours, the customer's earlier conversations, a price for a specific item) or when the customer asks for a callback or follow-up you can record as a task
 
 Respond with ONLY a JSON object (no markdown formatting):
 {
   "inquiryType": "pricing|services|timeline|contact_info|urgency_assessment|general",
-  "projectType": "one_page|ecommerce|redesign|new_website|unknown",
+  "projectType": "${projectTypes}",
   "urgencyLevel": "immediate|callback|flexible",
   "isOffTopic": true,
-  "response": "That's an interesting question! While I can't help with general topics, I'd be happy to discuss how we can help with your website needs. Are you looking for web design or development services?"
+  "response": "${pack.prompts.offTopicRedirect}"
 }`;
-
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-
-      this.logger.info('Gemini response received', {
-        responseLength: responseText.length,
-        preview: responseText.substring(0, 100)
-      });
-
-      // Clean up the response and parse JSON
-      const cleanResponse = responseText.replace(/```json\n?|\n?```/g, '').trim();
-      const parsed = JSON.parse(cleanResponse);
-
-      this.logger.info('Gemini analysis successful', {
-        inquiryType: parsed.inquiryType,
-        isOffTopic: parsed.isOffTopic
-      });
-
-      return parsed;
-
-    } catch (error) {
-      this.logger.error('Gemini analysis failed:', error);
-      return this.getDemoResponse(message, conversation);
-    }
   }
 
   getDemoResponse(message, conversation) {
     const lowerMessage = message.toLowerCase();
+    const pack = this.getPack(conversation);
 
     // Detect off-topic questions
     const offTopicPatterns = [
@@ -481,7 +734,7 @@ Respond with ONLY a JSON object (no markdown formatting):
         projectType: 'unknown',
         urgencyLevel: 'flexible',
         isOffTopic: true,
-        response: "That's an interesting question! While I can't help with general topics, I'd be happy to discuss how we can help with your website needs. Are you looking for web design or development services?"
+        response: pack.prompts.offTopicRedirect
       };
     }
 
@@ -489,7 +742,7 @@ Respond with ONLY a JSON object (no markdown formatting):
     if (lowerMessage.includes('price') || lowerMessage.includes('cost') || lowerMessage.includes('how much')) {
       return {
         inquiryType: 'pricing',
-        projectType: this.identifyProjectType(lowerMessage),
+        projectType: this.identifyProjectType(lowerMessage, conversation),
         urgencyLevel: 'flexible',
         isOffTopic: false,
         response: null // Let the pricing handler take care of this
@@ -509,10 +762,10 @@ Respond with ONLY a JSON object (no markdown formatting):
     // General business inquiry
     return {
       inquiryType: 'general',
-      projectType: this.identifyProjectType(lowerMessage),
+      projectType: this.identifyProjectType(lowerMessage, conversation),
       urgencyLevel: 'flexible',
       isOffTopic: false,
-      response: "Thanks for reaching out! I'd be happy to help you with your website project. What type of website are you looking to create?"
+      response: pack.prompts.generalResponse
     };
   }
 
@@ -547,4 +800,21 @@ Respond with ONLY a JSON object (no markdown formatting):
   }
 }
 
+ReceptionistAgent.definition = {
+  type: 'receptionist',
+  required: true,
+  messageTypes: ['initial_inquiry', 'general_inquiry', 'service_inquiry', 'urgency_assessment', 'escalation_required', 'contact_collection_flow'],
+  actions: [
+    'ai_general_response', 'assess_urgency', 'await_clarification', 'await_project_details',
+    'collect_contact_info', 'contact_collection_cancelled', 'error_recovery', 'escalate_to_human', 'faq_answer', 'immediate_escalation',
+    'off_topic_redirect', 'schedule_callback', 'standard_follow_up', 'timeline_estimate'
+  ],
+  tools: ['search_faqs', 'check_business_hours', 'get_customer_history', 'calculate_quote', 'create_task'],
+  configSchema: Joi.object({
+    knowledge_base: Joi.object({
+      contact_flow: DialogStateMachine.definitionSchema
+    }).unknown(true)
+  })
+};
+
 module.exports = ReceptionistAgent;
\ No newline at end of file
@@ -1,8 +1,9 @@
 const BaseAgent = require('./BaseAgent');
+const { getVerticalPack } = require('../verticals');
 
 class SalesAgent extends BaseAgent {
-  constructor(dbService, notificationService) {
-    super('sales', dbService, notificationService);
+  constructor(dbService, notificationService, llmService) {
+    super('sales', dbService, notificationService, llmService);
   }
 
   async processMessage(message, conversation) {
@@ -13,7 +14,11 @@ class SalesAgent extends BaseAgent {
       const opportunity = await this.analyzeOpportunity(message, conversation);
 
       if (opportunity.shouldEngage) {
-        return await this.generateSalesResponse(opportunity, conversation);
+        return {
+          ...(await this.generateSalesResponse(opportunity, conversation)),
+          shouldEngage: true,
+          leadScore: opportunity.qualificationScore
+        };
       }
 
       // No direct sales response needed
@@ -22,6 +27,7 @@ class SalesAgent extends BaseAgent {
         message: null,
         action: 'opportunity_analyzed',
         opportunity,
+        leadScore: opportunity.qualificationScore,
         recommendations: opportunity.recommendations
       };
 
@@ -38,6 +44,7 @@ class SalesAgent extends BaseAgent {
 
   async analyzeOpportunity(message, conversation) {
     const lowerMessage = message.toLowerCase();
+    const pack = getVerticalPack(conversation?.businessConfig?.industry);
 
     // Lead qualification scoring
     const qualificationScore = this.calculateLeadScore(message, conversation);
@@ -46,10 +53,10 @@ class SalesAgent extends BaseAgent {
     const buyingSignals = this.detectBuyingSignals(lowerMessage);
 
     // Identify upsell opportunities
-    const upsellOpportunities = this.identifyUpsellOpportunities(lowerMessage);
+    const upsellOpportunities = this.identifyUpsellOpportunities(lowerMessage, pack);
 
     // Competitive analysis
-    const competitorMentions = this.detectCompetitorMentions(lowerMessage);
+    const competitorMentions = this.detectCompetitorMentions(lowerMessage, pack);
 
     return {
       qualificationScore,
@@ -90,12 +97,14 @@ class SalesAgent extends BaseAgent {
       score += 10;
     }
 
-    // Project scope indicators
-    if (lowerMessage.includes('ecommerce') || lowerMessage.includes('online store')) {
+    // Project scope indicators come from the business's industry pack
+    const pack = getVerticalPack(conversation?.businessConfig?.industry);
+
+    if (pack.highValueSignals.some(signal => lowerMessage.includes(signal))) {
       score += 10; // Higher value projects
     }
 
-    if (lowerMessage.includes('simple') || lowerMessage.includes('basic')) {
+    if (pack.lowValueSignals.some(signal => lowerMessage.includes(signal))) {
       score -= 5; // Lower value projects
     }
 
@@ -122,25 +131,10 @@ class SalesAgent extends BaseAgent {
     return signals;
   }
 
-  identifyUpsellOpportunities(message) {
+  identifyUpsellOpportunities(message, pack) {
     const opportunities = [];
 
-    const upsellMap = {
-      'basic_website': {
-        mentions: ['simple site', 'basic website', 'one page'],
-        upsells: ['seo_optimization', 'maintenance_plan', 'analytics_setup']
-      },
-      'ecommerce': {
-        mentions: ['online store', 'sell products', 'ecommerce'],
-        upsells: ['payment_gateways', 'inventory_management', 'marketing_automation']
-      },
-      'existing_site': {
-        mentions: ['current site', 'existing website', 'my site'],
-        upsells: ['redesign', 'performance_optimization', 'mobile_optimization']
-      }
-    };
-
-    for (const [projectType, config] of Object.entries(upsellMap)) {
+    for (const [projectType, config] of Object.entries(pack.upsellMap)) {
       if (config.mentions.some(mention => message.includes(mention))) {
         opportunities.push({
           projectType,
@@ -152,19 +146,10 @@ class SalesAgent extends BaseAgent {
     return opportunities;
   }
 
-  detectCompetitorMentions(message) {
-    const competitors = {
-      'wix': ['wix', 'wix.com'],
-      'squarespace': ['squarespace', 'square space'],
-      'wordpress': ['wordpress', 'wp'],
-      'shopify': ['shopify'],
-      'webflow': ['webflow'],
-      'local_agency': ['other developer', 'another company', 'local agency']
-    };
-
+  detectCompetitorMentions(message, pack) {
     const mentions = [];
 
-    for (const [competitor, keywords] of Object.entries(competitors)) {
+    for (const [competitor, keywords] of Object.entries(pack.competitors)) {
       if (keywords.some(keyword => message.includes(keyword))) {
         mentions.push(competitor);
       }
@@ -257,4 +242,10 @@ class SalesAgent extends BaseAgent {
   }
 }
 
+SalesAgent.definition = {
+  type: 'sales',
+  messageTypes: ['pricing_inquiry', 'sales_opportunity'],
+  actions: ['opportunity_analyzed', 'high_value_opportunity', 'opportunity_monitoring', 'analysis_error']
+};
+
 module.exports = SalesAgent;
\ No newline at end of file
@@ -1,29 +1,45 @@
-const ReceptionistAgent = require('../agents/ReceptionistAgent');
-const SalesAgent = require('../agents/SalesAgent');
-const CoordinatorAgent = require('../agents/CoordinatorAgent');
+const AgentRegistry = require('./AgentRegistry');
+const ToolRegistry = require('./ToolRegistry');
+const EscalationRulesEngine = require('./EscalationRulesEngine');
+const LLMService = require('../services/LLMService');
+const EscalationService = require('../services/EscalationService');
+const EscalationSummarizer = require('../services/EscalationSummarizer');
+const { getNextOpenTime } = require('../utils/businessHours');
+const { parseBudget } = require('../utils/budget');
 const logger = require('../utils/logger');
 
+const ESCALATION_ACTIONS = ['escalate_to_human', 'immediate_escalation'];
+
 class AgentOrchestrator {
-  constructor(dbService, notificationService) {
+  constructor(dbService, notificationService, llmService = null, registry = null) {
     this.dbService = dbService;
     this.notificationService = notificationService;
+    this.llmService = llmService || new LLMService();
+    this.registry = registry || new AgentRegistry().loadDefaults();
+    this.toolRegistry = new ToolRegistry(dbService).loadFromDirectory();
+    this.escalationService = new EscalationService(dbService);
+    this.escalationSummarizer = new EscalationSummarizer(this.llmService);
     this.agents = new Map();
     this.activeConversations = new Map();
 
     this.initializeAgents();
   }
 
+  // Built-in agents plus any found in AGENT_PLUGINS_DIR; which of them a
+  // business actually uses is decided by its enabled_agents
   initializeAgents() {
-    // All businesses get Receptionist and Coordinator by default
-    this.agents.set('receptionist', new ReceptionistAgent(this.dbService, this.notificationService));
-    this.agents.set('coordinator', new CoordinatorAgent(this.dbService, this.notificationService));
+    this.agents = this.registry.createAgents(this.dbService, this.notificationService, this.llmService, this.toolRegistry);
 
-    // Sales agent can be enabled per business
-    this.agents.set('sales', new SalesAgent(this.dbService, this.notificationService));
+    for (const agentType of ['receptionist', 'coordinator']) {
+      if (!this.agents.has(agentType)) {
+        throw new Error(`The ${agentType} agent is not registered`);
+      }
+    }
   }
 
   async processMessage(messageData) {
     const { conversationId, message, businessId, timestamp } = messageData;
+    const startedAt = Date.now();
 
     try {
       // Get or create conversation context
@@ -32,23 +48,42 @@ class AgentOrchestrator {
       // Update conversation with new message
       await this.saveMessage(conversationId, 'customer', message, timestamp);
 
-      // Determine which agent should handle this message
-      const assignedAgent = await this.routeMessage(conversation, message);
+      // Determine which of this business's agents should handle this message
+      const routing = await this.routeMessage(conversation, message);
 
-      // Process message with appropriate agent
-      const agentResponse = await assignedAgent.processMessage(message, conversation);
+      // The business's escalation rules decide whether this turn goes to a person
+      conversation.escalationDecision = this.evaluateEscalationRules(message, conversation, routing.classification);
 
-      // Save agent response
-      await this.saveMessage(conversationId, agentResponse.agentType, agentResponse.message, timestamp);
+      // Run the routed agent chain; one of them answers the customer
+      const agentResponse = await this.runAgentChain(routing.agentChain, message, conversation);
+
+      // Save agent response along with why it was given
+      await this.saveMessage(
+        conversationId,
+        agentResponse.agentType,
+        agentResponse.message,
+        timestamp,
+        this.buildTurnMetadata(routing, agentResponse, conversation, startedAt)
+      );
 
       // Update conversation state
       await this.updateConversationState(conversationId, agentResponse);
 
       // Handle any special actions (escalations, notifications, etc.)
-      await this.handleAgentActions(agentResponse, conversation);
+      await this.handleAgentActions(agentResponse, conversation, message);
+
+      await this.notifyHotLead(agentResponse, conversation);
+
+      const { conversationUpdates, ...response } = agentResponse;
 
       return {
-        ...agentResponse,
+        ...response,
+        routing: {
+          messageType: routing.classification?.intent,
+          reasoning: routing.reasoning,
+          agentChain: routing.agentChain,
+          classification: routing.classification
+        },
         conversationId,
         timestamp: new Date().toISOString()
       };
@@ -65,8 +100,76 @@ class AgentOrchestrator {
     // Coordinator decides which agent should handle the message
     const routing = await coordinator.analyzeMessage(message, conversation);
 
-    const agentType = routing.assignedAgent || 'receptionist';
-    return this.agents.get(agentType);
+    const enabledAgents = this.getEnabledAgents(conversation.businessConfig);
+
+    // Only customer-facing agents this business has enabled may answer its customers
+    const agentChain = (routing.agentChain || [routing.assignedAgent || 'receptionist'])
+      .filter(agentType => enabledAgents.includes(agentType) && this.agents.get(agentType).audience === 'customer');
+
+    return {
+      ...routing,
+      agentChain: agentChain.length > 0 ? agentChain : ['receptionist']
+    };
+  }
+
+  // escalationRules defaults to the business's stored rules; the dry-run
+  // endpoint passes unsaved ones
+  evaluateEscalationRules(message, conversation, classification, escalationRules = conversation.businessConfig?.escalation_rules) {
+    const engine = new EscalationRulesEngine(escalationRules, {
+      triggers: this.agents.get('receptionist').getEscalationTriggers(conversation)
+    });
+
+    const facts = this.buildEscalationFacts(message, conversation, classification);
+
+    return { ...engine.evaluate(facts), facts };
+  }
+
+  // What the rules are checked against
+  buildEscalationFacts(message, conversation, classification) {
+    const sales = this.agents.get('sales');
+
+    return {
+      message,
+      intent: classification?.intent || null,
+      sentiment: classification?.sentiment || null,
+      urgency: classification?.urgency || null,
+      budget: parseBudget(message)?.amount ?? null,
+      projectType: this.agents.get('receptionist').identifyProjectType(message.toLowerCase(), conversation),
+      leadScore: sales?.calculateLeadScore ? sales.calculateLeadScore(message, conversation) : null
+    };
+  }
+
+  // The first agent in the chain with a customer-facing message answers; the
+  // others (e.g. sales analysis) are attached to that response. When the sales
+  // agent wants to engage, its assessment is carried on the answer too.
+  async runAgentChain(agentChain, message, conversation) {
+    const responses = [];
+
+    for (const agentType of agentChain) {
+      responses.push(await this.agents.get(agentType).processMessage(message, conversation));
+    }
+
+    let primary = responses.find(response => response.message) ||
+      await this.agents.get('receptionist').processMessage(message, conversation);
+
+    const supporting = responses.filter(response => response !== primary);
+    const sales = supporting.find(response => response.agentType === 'sales' && response.shouldEngage);
+
+    if (sales) {
+      primary = {
+        ...primary,
+        priority: primary.priority || sales.priority,
+        leadScore: sales.leadScore,
+        recommendations: sales.recommendations,
+        suggestedActions: sales.suggestedActions
+      };
+    }
+
+    if (supporting.length > 0) {
+      primary.supportingAgents = supporting;
+    }
+
+    return primary;
   }
 
   async getConversationContext(conversationId, businessId) {
@@ -88,12 +191,16 @@ class AgentOrchestrator {
       // Get business configuration
       const businessConfig = await this.dbService.getBusinessConfig(businessId);
 
+      // Per-agent settings (model, provider, thresholds...) keyed by agent type
+      const agentConfigs = await this.getAgentConfigs(businessId);
+
       // Get conversation history
       const messages = await this.dbService.getConversationMessages(conversationId);
 
       return {
         ...conversation,
         businessConfig,
+        agentConfigs,
         messages,
         messageCount: messages.length
       };
@@ -104,15 +211,66 @@ class AgentOrchestrator {
     }
   }
 
-  async saveMessage(conversationId, sender, content, timestamp) {
+  async getAgentConfigs(businessId) {
+    const configs = await this.dbService.getAgentConfigs(businessId);
+
+    return configs.reduce((byType, config) => {
+      byType[config.agent_type] = config;
+      return byType;
+    }, {});
+  }
+
+  async saveMessage(conversationId, sender, content, timestamp, metadata = {}) {
     return await this.dbService.saveMessage({
       conversation_id: conversationId,
       sender,
       content,
-      message_type: 'text'
+      message_type: 'text',
+      metadata
     });
   }
 
+  // Everything needed to answer "why did the bot say this" for one turn
+  buildTurnMetadata(routing, agentResponse, conversation, startedAt) {
+    const salesResponse = (agentResponse.supportingAgents || []).find(response => response.agentType === 'sales');
+    const escalated = ESCALATION_ACTIONS.includes(agentResponse.action) || Boolean(agentResponse.escalationPending);
+
+    return {
+      classification: routing.classification || null,
+      routing: {
+        messageType: routing.classification?.intent || null,
+        reasoning: routing.reasoning,
+        agentChain: routing.agentChain,
+        requiresEscalation: Boolean(routing.requiresEscalation)
+      },
+      escalationRules: conversation.escalationDecision ? {
+        level: conversation.escalationDecision.level,
+        rule: conversation.escalationDecision.rule,
+        matches: conversation.escalationDecision.matches
+      } : null,
+      response: {
+        agentType: agentResponse.agentType,
+        action: agentResponse.action,
+        leadQuality: agentResponse.leadQuality || null,
+        faqId: agentResponse.faqId || null
+      },
+      leadScore: agentResponse.leadScore ?? salesResponse?.leadScore ?? null,
+      supportingAgents: (agentResponse.supportingAgents || []).map(response => ({
+        agentType: response.agentType,
+        action: response.action
+      })),
+      llmCalls: conversation.llmCalls || [],
+      toolCalls: conversation.toolCalls || [],
+      escalation: {
+        escalated,
+        reason: agentResponse.escalationReason || null,
+        priority: escalated ? agentResponse.priority || 'medium' : null,
+        pending: Boolean(agentResponse.escalationPending)
+      },
+      latencyMs: Date.now() - startedAt
+    };
+  }
+
   async updateConversationState(conversationId, agentResponse) {
     const updates = {
       updated_at: new Date().toISOString(),
@@ -128,17 +286,29 @@ class AgentOrchestrator {
       updates.lead_quality = agentResponse.leadQuality;
     }
 
+    if (agentResponse.escalationPending) {
+      updates.escalation_pending = true;
+    }
+
+    // Dialog state (contact_collection_stage, collected fields) travels with the response
+    if (agentResponse.nextStep) {
+      updates.contact_collection_stage = agentResponse.nextStep;
+    }
+
+    Object.assign(updates, agentResponse.conversationUpdates);
+
     return await this.dbService.updateConversation(conversationId, updates);
   }
 
-  async handleAgentActions(agentResponse, conversation) {
+  async handleAgentActions(agentResponse, conversation, message = null) {
+    if (agentResponse.action && !this.registry.isActionDeclared(agentResponse.agentType, agentResponse.action)) {
+      logger.warn(`Ignoring undeclared action ${agentResponse.action} from ${agentResponse.agentType} agent`);
+      return;
+    }
+
     switch (agentResponse.action) {
       case 'escalate_to_human':
-        await this.handleEscalation(agentResponse, conversation);
-        break;
-
-      case 'collect_contact_info':
-        await this.handleContactCollection(agentResponse, conversation);
+        await this.handleEscalation(agentResponse, conversation, message);
         break;
 
       case 'schedule_callback':
@@ -146,78 +316,219 @@ class AgentOrchestrator {
         break;
 
       case 'immediate_escalation':
-        await this.handleImmediateEscalation(agentResponse, conversation);
+        await this.handleImmediateEscalation(agentResponse, conversation, message);
         break;
     }
   }
 
-  async handleEscalation(agentResponse, conversation) {
+  async handleEscalation(agentResponse, conversation, message = null) {
+    const queueUntil = this.getQueueTime(conversation);
+    const priority = agentResponse.priority || 'medium';
+    const customerInfo = this.getCustomerInfo(agentResponse, conversation);
     const escalationData = {
       conversation_id: conversation.id,
       business_id: conversation.business_id,
       escalation_reason: agentResponse.escalationReason,
-      priority: agentResponse.priority || 'medium',
-      customer_info: conversation.customer_info,
-      summary: agentResponse.summary,
+      priority,
+      customer_info: customerInfo,
+      ...await this.summarizeEscalation(agentResponse, conversation, message, {
+        escalationReason: agentResponse.escalationReason,
+        priority,
+        customerInfo
+      }),
+      notify_after: queueUntil,
+      notified_at: queueUntil ? null : new Date().toISOString(),
       created_at: new Date().toISOString()
     };
 
-    // Save escalation to database
-    await this.dbService.createEscalation(escalationData);
+    // Folded into the customer's open escalation if they already have one
+    const { escalation, merged, notify } = await this.escalationService.createOrMerge(escalationData, conversation.businessConfig);
+
+    if (queueUntil) {
+      logger.info('Queued after-hours escalation', { conversationId: conversation.id, notifyAfter: queueUntil, merged });
+      return;
+    }
+
+    if (!notify) {
+      logger.info('Merged into open escalation, alert suppressed', { conversationId: conversation.id, escalationId: escalation.id });
+      return;
+    }
 
     // Send notification to business owner
-    await this.notificationService.sendEscalationNotification(escalationData);
+    await this.notificationService.sendEscalationNotification(escalation, conversation.businessConfig);
   }
 
-  async handleImmediateEscalation(agentResponse, conversation) {
-    const urgentEscalation = {
+  async handleImmediateEscalation(agentResponse, conversation, message = null) {
+    const queueUntil = this.getQueueTime(conversation);
+    const escalationReason = agentResponse.escalationReason || 'immediate_response_requested';
+    const customerInfo = this.getCustomerInfo(agentResponse, conversation);
+    const brief = await this.summarizeEscalation(agentResponse, conversation, message, {
+      escalationReason,
+      priority: 'high',
+      customerInfo
+    });
+
+    // Recorded either way so staff can acknowledge, assign and resolve it.
+    // A repeat request from the same customer updates their open escalation.
+    const { escalation: record, merged, notify } = await this.escalationService.createOrMerge({
+      conversation_id: conversation.id,
+      business_id: conversation.business_id,
+      escalation_reason: escalationReason,
+      priority: 'high',
+      urgency: 'immediate',
+      customer_info: customerInfo,
+      original_message: agentResponse.originalInquiry || null,
+      agent_response: agentResponse.message,
+      ...brief,
+      notify_after: queueUntil,
+      notified_at: queueUntil ? null : new Date().toISOString(),
+      created_at: new Date().toISOString()
+    }, conversation.businessConfig);
+
+    // Nobody can pick up now, so hold the alert until the business opens
+    // rather than texting the owner in the middle of the night
+    if (queueUntil) {
+      logger.info('Queued after-hours immediate escalation', { conversationId: conversation.id, notifyAfter: queueUntil, merged });
+      return;
+    }
+
+    // The owner has already been texted about this customer
+    if (!notify) {
+      logger.info('Merged into open escalation, alert suppressed', { conversationId: conversation.id, escalationId: record.id });
+      return;
+    }
+
+    const escalation = {
       ...agentResponse,
       conversation_id: conversation.id,
       business_id: conversation.business_id,
+      escalationId: record.id,
       urgency: 'HIGH',
-      response_promise: '2-5 minutes'
+      response_promise: '2-5 minutes',
+      summary: brief.summary,
+      keyRequirements: brief.key_requirements,
+      openQuestions: brief.open_questions,
+      suggestedReply: brief.suggested_reply
     };
 
-    // Send immediate notifications via multiple channels
-    await Promise.all([
-      this.notificationService.sendSMSAlert(urgentEscalation),
-      this.notificationService.sendSlackUrgent(urgentEscalation),
-      this.notificationService.sendPushNotification(urgentEscalation)
-    ]);
+    // Every alert recipient, on the channels they chose for immediate escalations
+    await this.notificationService.sendImmediateEscalation(escalation, conversation.businessConfig);
   }
 
-  async handleContactCollection(agentResponse, conversation) {
-    // Update conversation with collected contact info
-    if (agentResponse.contactData) {
-      await this.dbService.updateConversation(conversation.id, {
-        customer_name: agentResponse.contactData.name,
-        customer_phone: agentResponse.contactData.phone,
-        customer_email: agentResponse.contactData.email
-      });
+  // Once per conversation, when it first turns hot; an escalation's own alert covers it otherwise.
+  // The customer's reply has already been worked out, so a failed alert doesn't fail the turn.
+  async notifyHotLead(agentResponse, conversation) {
+    if (agentResponse.leadQuality !== 'hot' || conversation.lead_quality === 'hot' || ESCALATION_ACTIONS.includes(agentResponse.action)) {
+      return;
+    }
+
+    try {
+      await this.notificationService.sendHotLeadAlert(conversation, agentResponse);
+    } catch (error) {
+      logger.error('Error sending hot lead alert:', error);
     }
   }
 
+  // The conversation's contact columns fill in whatever the agent didn't pass
+  getCustomerInfo(agentResponse, conversation) {
+    return {
+      name: conversation.customer_name || null,
+      phone: conversation.customer_phone || null,
+      email: conversation.customer_email || null,
+      ...(agentResponse.customerInfo || {})
+    };
+  }
+
+  // Summary, key requirements, open questions and a draft reply, as escalation
+  // columns. The conversation history was loaded before this turn, so the
+  // customer's message and our reply are added on.
+  async summarizeEscalation(agentResponse, conversation, message, { escalationReason, priority, customerInfo }) {
+    const brief = await this.escalationSummarizer.summarize({
+      messages: [
+        ...(conversation.messages || []),
+        ...(message ? [{ sender: 'customer', content: message }] : []),
+        { sender: agentResponse.agentType, content: agentResponse.message }
+      ],
+      escalationReason,
+      priority,
+      customerInfo: customerInfo || { name: conversation.customer_name },
+      businessConfig: conversation.businessConfig
+    });
+
+    return {
+      summary: brief.summary,
+      key_requirements: brief.keyRequirements,
+      open_questions: brief.openQuestions,
+      suggested_reply: brief.suggestedReply,
+      summary_source: brief.source
+    };
+  }
+
   async handleCallbackScheduling(agentResponse, conversation) {
+    // Callbacks never land while the business is closed, including holidays
+    const requestedTime = agentResponse.callbackTime ? new Date(agentResponse.callbackTime) : new Date();
+
     // Create callback task
     const callbackTask = {
       conversation_id: conversation.id,
       business_id: conversation.business_id,
-      scheduled_time: agentResponse.callbackTime,
-      type: 'callback',
+      scheduled_time: getNextOpenTime(conversation.businessConfig, requestedTime).toISOString(),
+      task_type: 'callback',
       priority: agentResponse.priority || 'medium',
-      customer_info: conversation.customer_info
+      customer_info: this.getCustomerInfo(agentResponse, conversation)
     };
 
     await this.dbService.createTask(callbackTask);
   }
 
+  // When the business is closed, the time its escalation alerts should wait for; null means notify now
+  getQueueTime(conversation) {
+    return this.notificationService.getQuietUntil(conversation.businessConfig);
+  }
+
+  // Sends escalations queued after hours once their business has opened
+  async releaseQueuedEscalations(now = new Date()) {
+    const queued = await this.dbService.getQueuedEscalations(now.toISOString());
+
+    for (const escalation of queued) {
+      try {
+        await this.notificationService.sendEscalationNotification(escalation, escalation.business);
+        await this.escalationService.markNotified(escalation);
+      } catch (error) {
+        logger.error(`Error releasing queued escalation ${escalation.id}:`, error);
+      }
+    }
+
+    return queued.length;
+  }
+
+  // Required agents (Receptionist and Coordinator) are always enabled; anything
+  // else must be listed in the business's enabled_agents
+  getEnabledAgents(businessConfig) {
+    return this.registry.getEnabledAgents(businessConfig);
+  }
+
+  getRequiredAgents() {
+    return this.registry.getRequiredTypes();
+  }
+
+  normalizeEnabledAgents(agentTypes) {
+    return this.registry.normalizeEnabledAgents(agentTypes);
+  }
+
+  isAgentEnabled(businessConfig, agentType) {
+    return this.getEnabledAgents(businessConfig).includes(agentType);
+  }
+
+  async setEnabledAgents(businessId, agentTypes) {
+    const enabledAgents = this.normalizeEnabledAgents(agentTypes);
+    return await this.dbService.updateBusinessAgents(businessId, enabledAgents);
+  }
+
   // Enable/disable agents for specific businesses
   async configureBusinessAgents(businessId, agentConfig) {
     const enabledAgents = [];
 
-    // Receptionist and Coordinator are always enabled
-    enabledAgents.push('receptionist', 'coordinator');
-
     // Add optional agents based on business config
     if (agentConfig.salesAgent) {
       enabledAgents.push('sales');
@@ -227,7 +538,7 @@ class AgentOrchestrator {
       enabledAgents.push('business_manager');
     }
 
-    return await this.dbService.updateBusinessAgents(businessId, enabledAgents);
+    return await this.setEnabledAgents(businessId, enabledAgents);
   }
 }
 
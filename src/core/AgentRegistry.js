@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const BaseAgent = require('../agents/BaseAgent');
+const logger = require('../utils/logger');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'agents');
+
+const AUDIENCES = ['customer', 'owner', 'internal'];
+
+// What an agent module declares about itself as `AgentClass.definition`
+const definitionSchema = Joi.object({
+  type: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).required(),
+  audience: Joi.string().valid(...AUDIENCES).default('customer'),
+  required: Joi.boolean().default(false),
+  // Message types the agent answers. New types need a description (for the
+  // LLM classifier) and keywords (for the fallback classifier).
+  messageTypes: Joi.alternatives().try(
+    Joi.array().items(Joi.string()),
+    Joi.object().pattern(Joi.string(), Joi.object({
+      description: Joi.string(),
+      keywords: Joi.array().items(Joi.string()).default([])
+    }))
+  ).default({}),
+  actions: Joi.array().items(Joi.string()).default([]),
+  // Tools (see src/tools) the agent may offer the model
+  tools: Joi.array().items(Joi.string()).default([]),
+  // Joi schema (or function of { agentTypes, providerNames }) for this agent's agent_configs row
+  configSchema: Joi.alternatives().try(Joi.object().schema(), Joi.function())
+});
+
+class AgentRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+
+  register(AgentClass) {
+    if (typeof AgentClass !== 'function' || !(AgentClass.prototype instanceof BaseAgent)) {
+      throw new Error('Agents must extend BaseAgent');
+    }
+
+    const { error, value } = definitionSchema.validate(AgentClass.definition);
+
+    if (error) {
+      throw new Error(`Invalid agent definition for ${AgentClass.name}: ${error.message}`);
+    }
+
+    if (this.definitions.has(value.type)) {
+      logger.warn(`Agent type ${value.type} registered twice; ${AgentClass.name} replaces the earlier one`);
+    }
+
+    if (Array.isArray(value.messageTypes)) {
+      value.messageTypes = Object.fromEntries(value.messageTypes.map(messageType => [messageType, { keywords: [] }]));
+    }
+
+    this.definitions.set(value.type, { ...value, AgentClass });
+    return this;
+  }
+
+  // Any .js file exporting a BaseAgent subclass with a `definition` is
+  // registered. Private agents can live outside the repo via AGENT_PLUGINS_DIR.
+  loadFromDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      logger.warn(`Agent plugin directory not found: ${directory}`);
+      return this;
+    }
+
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .forEach(file => {
+        try {
+          const AgentClass = require(path.join(directory, file));
+
+          if (AgentClass && AgentClass.definition) {
+            this.register(AgentClass);
+          }
+        } catch (error) {
+          logger.error(`Failed to load agent ${file}:`, error);
+        }
+      });
+
+    return this;
+  }
+
+  loadDefaults() {
+    this.loadFromDirectory(BUILT_IN_DIR);
+
+    if (process.env.AGENT_PLUGINS_DIR) {
+      this.loadFromDirectory(path.resolve(process.env.AGENT_PLUGINS_DIR));
+    }
+
+    return this;
+  }
+
+  createAgents(dbService, notificationService, llmService, toolRegistry = null) {
+    const agents = new Map();
+
+    for (const [type, definition] of this.definitions) {
+      const agent = new definition.AgentClass(dbService, notificationService, llmService);
+      agent.audience = definition.audience;
+      agent.registry = this;
+      agent.toolRegistry = toolRegistry;
+      agents.set(type, agent);
+    }
+
+    return agents;
+  }
+
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  get(type) {
+    return this.definitions.get(type) || null;
+  }
+
+  getTypes(audience = null) {
+    return [...this.definitions.values()]
+      .filter(definition => !audience || definition.audience === audience)
+      .map(definition => definition.type);
+  }
+
+  getRequiredTypes() {
+    return [...this.definitions.values()]
+      .filter(definition => definition.required)
+      .map(definition => definition.type);
+  }
+
+  // A business's enabled_agents: unknown types are dropped and the required
+  // agents are always on
+  normalizeEnabledAgents(agentTypes) {
+    const known = (agentTypes || []).filter(type => this.has(type));
+    return [...new Set([...this.getRequiredTypes(), ...known])];
+  }
+
+  getEnabledAgents(businessConfig) {
+    return this.normalizeEnabledAgents(Array.isArray(businessConfig?.enabled_agents) ? businessConfig.enabled_agents : []);
+  }
+
+  // Customer-facing agents that declared this message type, in registration order
+  getAgentsForMessageType(messageType) {
+    return [...this.definitions.values()]
+      .filter(definition => definition.audience === 'customer' && definition.messageTypes[messageType])
+      .map(definition => definition.type);
+  }
+
+  getMessageTypes() {
+    const messageTypes = {};
+
+    for (const definition of this.definitions.values()) {
+      for (const [messageType, details] of Object.entries(definition.messageTypes)) {
+        messageTypes[messageType] = {
+          description: details.description || messageTypes[messageType]?.description,
+          keywords: [...(messageTypes[messageType]?.keywords || []), ...details.keywords]
+        };
+      }
+    }
+
+    return messageTypes;
+  }
+
+  isActionDeclared(type, action) {
+    const definition = this.get(type);
+    return Boolean(definition && definition.actions.includes(action));
+  }
+
+  getConfigSchema(type, context = {}) {
+    const configSchema = this.get(type)?.configSchema;
+
+    if (!configSchema) {
+      return null;
+    }
+
+    return typeof configSchema === 'function' ?
+      configSchema({ agentTypes: this.getTypes('customer'), ...context }) :
+      configSchema;
+  }
+
+  list() {
+    return [...this.definitions.values()].map(definition => ({
+      type: definition.type,
+      audience: definition.audience,
+      required: definition.required,
+      messageTypes: Object.keys(definition.messageTypes),
+      actions: definition.actions,
+      tools: definition.tools
+    }));
+  }
+}
+
+module.exports = AgentRegistry;
@@ -0,0 +1,279 @@
+const Joi = require('joi');
+
+const COMPLETE_STATE = 'complete';
+
+// Conversation columns a field is allowed to write to
+const CONTACT_COLUMNS = ['customer_name', 'customer_phone', 'customer_email'];
+
+const SKIP_WORDS = ['skip', 'no', 'none', 'no thanks', 'rather not', 'prefer not', 'n/a'];
+
+// Leave the flow altogether, whichever field it's on
+const EXIT_WORDS = ['cancel', 'stop', 'never mind', 'nevermind', 'forget it', 'not now'];
+
+const NAME_MAX_WORDS = 4;
+
+// A name is short and isn't a question ("can you build a store?")
+const isName = (text) => text.length > 1 &&
+  !/^\d+$/.test(text) &&
+  !text.includes('?') &&
+  text.split(/\s+/).length <= NAME_MAX_WORDS;
+
+const VALIDATORS = {
+  name: input => isName(input.trim()),
+  phone: input => /[\d\s\-\(\)\+]{10,}/.test(input),
+  email: input => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.trim()),
+  text: input => input.trim().length > 0
+};
+
+// Built-in fields map onto conversation columns; anything else is kept in conversation_data
+const FIELD_DEFAULTS = {
+  name: {
+    column: 'customer_name',
+    validator: 'name',
+    prompt: "Could I get your name?",
+    retryPrompt: "I didn't catch that. Could you tell me your name?"
+  },
+  phone: {
+    column: 'customer_phone',
+    validator: 'phone',
+    prompt: "Thank you, {name}! And what's the best phone number to reach you at?",
+    retryPrompt: "Could you double-check that phone number? I want to make sure we can reach you."
+  },
+  email: {
+    column: 'customer_email',
+    validator: 'email',
+    prompt: "Got it! And your email address so we can send follow-up information?",
+    retryPrompt: "Could you check that email address? I want to make sure our follow-up reaches you."
+  }
+};
+
+const DEFAULT_FLOW = {
+  fields: ['name', 'phone', 'email'],
+  completeMessage: "Perfect! I have your information. Let me see who's available to discuss your project.",
+  exitMessage: "No problem, we can leave that for now. Is there anything else I can help with?"
+};
+
+const regexSource = (value, helpers) => {
+  try {
+    new RegExp(value);
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+};
+
+const fieldSchema = Joi.alternatives().try(
+  Joi.string().pattern(/^\w+$/),
+  Joi.object({
+    key: Joi.string().pattern(/^\w+$/).required(),
+    column: Joi.string().valid(...CONTACT_COLUMNS),
+    optional: Joi.boolean(),
+    prompt: Joi.string().max(500),
+    retryPrompt: Joi.string().max(500),
+    validator: Joi.string().valid(...Object.keys(VALIDATORS)),
+    pattern: Joi.string().max(200).custom(regexSource)
+  })
+);
+
+// Shape of a stored flow definition (knowledge_base.contact_flow)
+const definitionSchema = Joi.object({
+  fields: Joi.array().items(fieldSchema).min(1).required(),
+  completeMessage: Joi.string().max(500),
+  exitMessage: Joi.string().max(500),
+  skipWords: Joi.array().items(Joi.string()),
+  exitWords: Joi.array().items(Joi.string())
+});
+
+class DialogStateMachine {
+  constructor(definition = {}) {
+    const flow = { ...DEFAULT_FLOW, ...definition };
+
+    this.fields = flow.fields.map(field => this.normalizeField(field));
+    this.completeMessage = flow.completeMessage;
+    this.exitMessage = flow.exitMessage;
+    this.skipWords = flow.skipWords || SKIP_WORDS;
+    this.exitWords = flow.exitWords || EXIT_WORDS;
+  }
+
+  normalizeField(field) {
+    const spec = typeof field === 'string' ? { key: field } : { ...field };
+    const defaults = FIELD_DEFAULTS[spec.key] || {};
+
+    if (!spec.key) {
+      throw new Error('Dialog fields need a key');
+    }
+
+    if (spec.column && !CONTACT_COLUMNS.includes(spec.column)) {
+      throw new Error(`Dialog field ${spec.key} cannot write to column ${spec.column}`);
+    }
+
+    return {
+      key: spec.key,
+      state: `collect_${spec.key}`,
+      column: spec.column || defaults.column || null,
+      optional: spec.optional === true,
+      prompt: spec.prompt || defaults.prompt || `Could you tell me your ${spec.key.replace(/_/g, ' ')}?`,
+      retryPrompt: spec.retryPrompt || defaults.retryPrompt || `Sorry, could you check your ${spec.key.replace(/_/g, ' ')}?`,
+      validate: this.buildValidator(spec.validator || spec.pattern || defaults.validator || 'text')
+    };
+  }
+
+  buildValidator(validator) {
+    if (typeof validator === 'function') {
+      return validator;
+    }
+
+    if (VALIDATORS[validator]) {
+      return VALIDATORS[validator];
+    }
+
+    // Anything else is treated as a regular expression source
+    const pattern = new RegExp(validator, 'i');
+    return input => pattern.test(input.trim());
+  }
+
+  getField(state) {
+    return this.fields.find(field => field.state === state) || null;
+  }
+
+  getState(conversation) {
+    return conversation?.contact_collection_stage || null;
+  }
+
+  isActive(conversation) {
+    return Boolean(this.getField(this.getState(conversation)));
+  }
+
+  isComplete(conversation) {
+    return this.getState(conversation) === COMPLETE_STATE || Boolean(conversation?.has_contact_info);
+  }
+
+  getValues(conversation) {
+    const stored = conversation?.conversation_data?.contact_flow?.values || {};
+    const values = { ...stored };
+
+    for (const field of this.fields) {
+      if (field.column && conversation?.[field.column]) {
+        values[field.key] = conversation[field.column];
+      }
+    }
+
+    return values;
+  }
+
+  // Begin (or resume) collection at the first field we don't already have
+  start(conversation) {
+    return this.advance(conversation, this.getValues(conversation), -1);
+  }
+
+  handleInput(conversation, input) {
+    const field = this.getField(this.getState(conversation));
+
+    if (!field) {
+      return this.start(conversation);
+    }
+
+    const text = (input || '').trim();
+    const values = this.getValues(conversation);
+
+    if (this.matchesWord(text, this.exitWords)) {
+      return this.exit(conversation);
+    }
+
+    if (field.validate(text)) {
+      values[field.key] = text;
+      return this.advance(conversation, values, this.fields.indexOf(field), { [field.key]: text });
+    }
+
+    // Skipped optional fields are stored as null so a resumed flow won't ask again
+    if (field.optional && this.matchesWord(text, this.skipWords)) {
+      values[field.key] = null;
+      return this.advance(conversation, values, this.fields.indexOf(field), {});
+    }
+
+    return {
+      state: field.state,
+      field: field.key,
+      message: this.render(field.retryPrompt, values),
+      valid: false,
+      complete: false,
+      collected: {},
+      values,
+      updates: { contact_collection_stage: field.state }
+    };
+  }
+
+  advance(conversation, values, fromIndex, collected = {}) {
+    const next = this.fields.slice(fromIndex + 1).find(field => values[field.key] === undefined);
+    const complete = !next;
+    const updates = {
+      contact_collection_stage: complete ? COMPLETE_STATE : next.state,
+      conversation_data: {
+        ...(conversation?.conversation_data || {}),
+        contact_flow: { values }
+      }
+    };
+
+    for (const [key, value] of Object.entries(collected)) {
+      const field = this.fields.find(candidate => candidate.key === key);
+      if (field.column) {
+        updates[field.column] = value;
+      }
+    }
+
+    if (complete) {
+      updates.has_contact_info = true;
+    }
+
+    return {
+      state: updates.contact_collection_stage,
+      field: complete ? null : next.key,
+      message: this.render(complete ? this.completeMessage : next.prompt, values),
+      valid: true,
+      complete,
+      collected,
+      values,
+      updates
+    };
+  }
+
+  // Stop asking; what was collected so far is kept, so start() picks up from there
+  exit(conversation) {
+    const values = this.getValues(conversation);
+
+    return {
+      state: null,
+      field: null,
+      message: this.exitMessage,
+      valid: true,
+      complete: false,
+      exited: true,
+      collected: {},
+      values,
+      updates: {
+        contact_collection_stage: null,
+        conversation_data: {
+          ...(conversation?.conversation_data || {}),
+          contact_flow: { values }
+        }
+      }
+    };
+  }
+
+  matchesWord(text, words) {
+    const lower = text.toLowerCase().replace(/[.!]+$/, '');
+    return words.some(word => lower === word || lower.startsWith(`${word} `) || lower.startsWith(`${word},`));
+  }
+
+  // Fill {field} placeholders with values collected so far, dropping any we don't have
+  render(template, values) {
+    return template.replace(/(,?\s*)\{(\w+)\}/g, (match, lead, key) => values[key] ? `${lead}${values[key]}` : '');
+  }
+}
+
+DialogStateMachine.COMPLETE_STATE = COMPLETE_STATE;
+DialogStateMachine.VALIDATORS = VALIDATORS;
+DialogStateMachine.CONTACT_COLUMNS = CONTACT_COLUMNS;
+DialogStateMachine.definitionSchema = definitionSchema;
+
+module.exports = DialogStateMachine;
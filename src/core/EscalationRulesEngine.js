@@ -0,0 +1,195 @@
+const Joi = require('joi');
+
+// Checked in this order: an immediate match beats a scheduled call
+const LEVELS = ['immediate', 'schedule_call'];
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+// Matches the businesses.escalation_rules column default
+const DEFAULT_ESCALATION_RULES = {
+  immediate: ['existing_site_modifications', 'angry_customer'],
+  schedule_call: ['complex_requirements', 'budget_over_15k']
+};
+
+const COMPLEX_KEYWORDS = [
+  'integration', 'integrate with', 'migrate', 'migration', 'bespoke', 'custom built',
+  'multiple locations', 'several locations', 'franchise', 'compliance', 'enterprise'
+];
+
+// Rule names every business can use without defining them. The escalation
+// triggers come from the receptionist's knowledge base or the industry pack.
+const BUILT_IN_RULES = {
+  existing_site_modifications: ({ triggers }) => ({ keywords: triggers }),
+  angry_customer: () => ({ sentiment: ['negative'] }),
+  complex_requirements: () => ({ keywords: COMPLEX_KEYWORDS }),
+  urgent_request: () => ({ urgency: ['urgent'] }),
+  human_requested: () => ({ intents: ['escalation_required'] }),
+  high_value_lead: () => ({ min_lead_score: 80 })
+};
+
+// Rule names that carry their own threshold: budget_over_15k, lead_score_over_80.
+// "Over" means strictly over, so a $15,000 budget doesn't trip budget_over_15k.
+const PATTERN_RULES = [
+  {
+    pattern: /^budget_over_(\d+(?:\.\d+)?)(k|m)?$/,
+    build: ([, amount, unit]) => ({ budget_over: parseFloat(amount) * (unit === 'k' ? 1000 : unit === 'm' ? 1000000 : 1) })
+  },
+  {
+    pattern: /^lead_score_over_(\d+)$/,
+    build: ([, score]) => ({ lead_score_over: parseInt(score) })
+  }
+];
+
+// Every condition given has to hold; lists match on any entry
+const conditionsSchema = Joi.object({
+  keywords: Joi.array().items(Joi.string().max(100)).min(1),
+  sentiment: Joi.array().items(Joi.string().valid(...SENTIMENTS)).min(1),
+  urgency: Joi.array().items(Joi.string().valid(...URGENCY_LEVELS)).min(1),
+  intents: Joi.array().items(Joi.string()).min(1),
+  project_types: Joi.array().items(Joi.string()).min(1),
+  min_budget: Joi.number().min(0),
+  budget_over: Joi.number().min(0),
+  min_lead_score: Joi.number().min(0).max(100),
+  lead_score_over: Joi.number().min(0).max(100)
+}).min(1);
+
+const RULE_NAME = Joi.string().pattern(/^\w+$/);
+
+// businesses.escalation_rules: rule names per level, plus definitions for
+// custom rules (or to override a built-in one)
+const escalationRulesSchema = Joi.object({
+  immediate: Joi.array().items(RULE_NAME),
+  schedule_call: Joi.array().items(RULE_NAME),
+  rules: Joi.object().pattern(RULE_NAME, conditionsSchema)
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class EscalationRulesEngine {
+  constructor(escalationRules, { triggers = [] } = {}) {
+    this.rules = escalationRules || DEFAULT_ESCALATION_RULES;
+    this.triggers = triggers;
+  }
+
+  // Rule names nobody has defined, so a typo in the config doesn't silently never fire
+  getUnknownRules() {
+    return LEVELS.flatMap(level => this.rules[level] || [])
+      .filter(name => !this.getConditions(name));
+  }
+
+  getConditions(name) {
+    if (this.rules.rules?.[name]) {
+      return this.rules.rules[name];
+    }
+
+    if (BUILT_IN_RULES[name]) {
+      return BUILT_IN_RULES[name]({ triggers: this.triggers });
+    }
+
+    for (const { pattern, build } of PATTERN_RULES) {
+      const match = name.match(pattern);
+
+      if (match) {
+        return build(match);
+      }
+    }
+
+    return null;
+  }
+
+  // facts: the turn's analysis - message, intent, sentiment, urgency, budget,
+  // projectType and leadScore (any of which may be null)
+  evaluate(facts) {
+    const matches = [];
+
+    for (const level of LEVELS) {
+      for (const name of this.rules[level] || []) {
+        const conditions = this.getConditions(name);
+        const reasons = conditions ? this.match(conditions, facts) : null;
+
+        if (reasons) {
+          matches.push({ rule: name, level, reasons });
+        }
+      }
+    }
+
+    const decision = matches[0] || null;
+
+    return {
+      escalate: Boolean(decision),
+      level: decision ? decision.level : null,
+      rule: decision ? decision.rule : null,
+      matches,
+      unknownRules: this.getUnknownRules()
+    };
+  }
+
+  // The reasons each condition held, or null if any of them didn't
+  match(conditions, facts) {
+    const reasons = [];
+
+    if (conditions.keywords) {
+      const keyword = this.findKeyword(facts.message, conditions.keywords);
+      if (!keyword) return null;
+      reasons.push(`mentions "${keyword}"`);
+    }
+
+    if (conditions.sentiment) {
+      if (!conditions.sentiment.includes(facts.sentiment)) return null;
+      reasons.push(`sentiment is ${facts.sentiment}`);
+    }
+
+    if (conditions.urgency) {
+      if (!conditions.urgency.includes(facts.urgency)) return null;
+      reasons.push(`urgency is ${facts.urgency}`);
+    }
+
+    if (conditions.intents) {
+      if (!conditions.intents.includes(facts.intent)) return null;
+      reasons.push(`intent is ${facts.intent}`);
+    }
+
+    if (conditions.project_types) {
+      if (!conditions.project_types.includes(facts.projectType)) return null;
+      reasons.push(`project type is ${facts.projectType}`);
+    }
+
+    if (conditions.min_budget !== undefined) {
+      if (facts.budget === null || facts.budget === undefined || facts.budget < conditions.min_budget) return null;
+      reasons.push(`budget ${facts.budget} is at least ${conditions.min_budget}`);
+    }
+
+    if (conditions.budget_over !== undefined) {
+      if (facts.budget === null || facts.budget === undefined || facts.budget <= conditions.budget_over) return null;
+      reasons.push(`budget ${facts.budget} is over ${conditions.budget_over}`);
+    }
+
+    if (conditions.min_lead_score !== undefined) {
+      if (facts.leadScore === null || facts.leadScore === undefined || facts.leadScore < conditions.min_lead_score) return null;
+      reasons.push(`lead score ${facts.leadScore} is at least ${conditions.min_lead_score}`);
+    }
+
+    if (conditions.lead_score_over !== undefined) {
+      if (facts.leadScore === null || facts.leadScore === undefined || facts.leadScore <= conditions.lead_score_over) return null;
+      reasons.push(`lead score ${facts.leadScore} is over ${conditions.lead_score_over}`);
+    }
+
+    return reasons;
+  }
+
+  // Whole words only, so "api" doesn't match "rapid"
+  findKeyword(message, keywords) {
+    const lower = (message || '').toLowerCase();
+
+    return keywords.find(keyword =>
+      new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}\\b`).test(lower)
+    ) || null;
+  }
+}
+
+EscalationRulesEngine.LEVELS = LEVELS;
+EscalationRulesEngine.DEFAULT_ESCALATION_RULES = DEFAULT_ESCALATION_RULES;
+EscalationRulesEngine.escalationRulesSchema = escalationRulesSchema;
+
+module.exports = EscalationRulesEngine;
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const KnowledgeBaseService = require('../services/KnowledgeBaseService');
+const FaqRetrievalService = require('../services/FaqRetrievalService');
+const logger = require('../utils/logger');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'tools');
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+// Tools agents can call mid-turn. Each tool module exports { name,
+// description, parameters (JSON schema), execute(input, context) }.
+class ToolRegistry {
+  constructor(dbService = null) {
+    this.tools = new Map();
+    this.services = {
+      dbService,
+      knowledgeBase: new KnowledgeBaseService(dbService),
+      faqRetrieval: new FaqRetrievalService()
+    };
+  }
+
+  register(tool) {
+    if (!tool || !/^[a-z][a-z0-9_]*$/.test(tool.name || '') || typeof tool.execute !== 'function') {
+      throw new Error('Tools need a snake_case name and an execute function');
+    }
+
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  loadFromDirectory(directory = BUILT_IN_DIR) {
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .forEach(file => {
+        try {
+          this.register(require(path.join(directory, file)));
+        } catch (error) {
+          logger.error(`Failed to load tool ${file}:`, error);
+        }
+      });
+
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  // Provider-neutral declarations; each LLM provider converts these to its own format
+  getSpecs(names) {
+    return names
+      .filter(name => this.tools.has(name))
+      .map(name => {
+        const tool = this.tools.get(name);
+        return {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters || { type: 'object', properties: {} }
+        };
+      });
+  }
+
+  validateInput(tool, input) {
+    const schema = tool.parameters || {};
+
+    if (!JSON_TYPES.object(input)) {
+      return 'input must be an object';
+    }
+
+    for (const key of schema.required || []) {
+      if (input[key] === undefined || input[key] === null) {
+        return `${key} is required`;
+      }
+    }
+
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (input[key] === undefined) continue;
+
+      if (property.type && JSON_TYPES[property.type] && !JSON_TYPES[property.type](input[key])) {
+        return `${key} must be a ${property.type}`;
+      }
+
+      if (property.enum && !property.enum.includes(input[key])) {
+        return `${key} must be one of ${property.enum.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  // Never throws: errors go back to the model as the tool's result so it can recover
+  async execute(name, input, context) {
+    const startedAt = Date.now();
+    const tool = this.tools.get(name);
+    const call = { tool: name, input };
+
+    if (!tool) {
+      return { ...call, error: `Unknown tool ${name}`, latencyMs: 0 };
+    }
+
+    const invalid = this.validateInput(tool, input || {});
+
+    if (invalid) {
+      return { ...call, error: invalid, latencyMs: 0 };
+    }
+
+    try {
+      const output = await tool.execute(input || {}, { ...this.services, ...context });
+      return { ...call, output, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      logger.error(`Tool ${name} failed:`, error);
+      return { ...call, error: error.message, latencyMs: Date.now() - startedAt };
+    }
+  }
+}
+
+module.exports = ToolRegistry;
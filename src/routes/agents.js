@@ -1,6 +1,37 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
 
+// A model only means something for a given provider, so it is sent with one
+const llmSettingsSchema = (providerNames) => Joi.object({
+  provider: Joi.string().valid(...providerNames).allow(null),
+  model: Joi.string().max(100).allow(null),
+  temperature: Joi.number().min(0).max(2),
+  max_tokens: Joi.number().integer().min(1).max(8192)
+}).with('model', 'provider');
+
+// Agent-specific fields (knowledge_base contents, thresholds) are checked
+// against the config schema the agent declares in its registry definition
+const agentConfigUpdateSchema = (providerNames) => Joi.object({
+  personality_preset: Joi.string(),
+  knowledge_base: Joi.object().unknown(true),
+  capabilities: Joi.array(),
+  decision_thresholds: Joi.object().unknown(true),
+  voice_settings: Joi.object(),
+  llm_settings: llmSettingsSchema(providerNames),
+  active: Joi.boolean()
+});
+
+// Registered agent types and what each declares
+router.get('/registry', (req, res) => {
+  try {
+    res.json(req.app.locals.agentOrchestrator.registry.list());
+  } catch (error) {
+    console.error('Error listing agent types:', error);
+    res.status(500).json({ error: 'Failed to list agent types' });
+  }
+});
+
 // Get agent configuration for business
 router.get('/business/:businessId', async (req, res) => {
   try {
@@ -23,7 +54,29 @@ router.get('/business/:businessId', async (req, res) => {
 router.put('/:businessId/:agentType', async (req, res) => {
   try {
     const { businessId, agentType } = req.params;
-    const updates = req.body;
+    const registry = req.app.locals.agentOrchestrator.registry;
+
+    if (!registry.has(agentType)) {
+      return res.status(400).json({ error: `Agent type '${agentType}' not found` });
+    }
+
+    const providerNames = [...req.app.locals.llmService.providers.keys()];
+    const agentSchema = registry.getConfigSchema(agentType, { providerNames });
+    const schema = agentSchema ?
+      agentConfigUpdateSchema(providerNames).concat(agentSchema) :
+      agentConfigUpdateSchema(providerNames);
+
+    const { error: validationError, value: updates } = schema.validate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // llm_settings is merged so a client can change one field at a time
+    if (updates.llm_settings) {
+      const current = await req.app.locals.dbService.getAgentConfig(businessId, agentType);
+      updates.llm_settings = { ...(current?.llm_settings || {}), ...updates.llm_settings };
+    }
 
     const agentConfig = await req.app.locals.dbService.updateAgentConfig(
       businessId,
@@ -31,6 +84,11 @@ router.put('/:businessId/:agentType', async (req, res) => {
       updates
     );
 
+    // The receptionist's knowledge_base feeds the business's catalogue and FAQ index
+    if (agentType === 'receptionist') {
+      req.app.locals.knowledgeBase.invalidate(businessId);
+    }
+
     res.json(agentConfig);
   } catch (error) {
     console.error('Error updating agent config:', error);
@@ -80,16 +138,18 @@ router.post('/test', async (req, res) => {
 
     // Create a test conversation context
     const { v4: uuidv4 } = require('uuid');
+    const orchestrator = req.app.locals.agentOrchestrator;
     const testConversation = {
       id: uuidv4(),
       business_id: businessId,
       status: 'active',
       messageCount: 0,
-      businessConfig: await req.app.locals.dbService.getBusinessConfig(businessId)
+      businessConfig: await req.app.locals.dbService.getBusinessConfig(businessId),
+      agentConfigs: await orchestrator.getAgentConfigs(businessId)
     };
 
     // Get the specific agent
-    const agents = req.app.locals.agentOrchestrator.agents;
+    const agents = orchestrator.agents;
     const agent = agents.get(agentType);
 
     if (!agent) {
@@ -1,6 +1,76 @@
 const express = require('express');
+const Joi = require('joi');
+const { hasVerticalPack, listVerticalPacks } = require('../verticals');
+const { DAY_KEYS, getBusinessAvailability, getLocalTime, isValidTimezone, isValidHoursValue } = require('../utils/businessHours');
+const { RECURRENCES, WEEKDAYS, getNextOccurrence } = require('../utils/closures');
+const { slaPoliciesSchema, getSlaPolicy, PRIORITIES } = require('../utils/slaPolicies');
+const EscalationRulesEngine = require('../core/EscalationRulesEngine');
+const { notificationPreferencesSchema, quietHoursSchema } = require('../utils/notificationPreferences');
 const router = express.Router();
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const closureSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  start_date: Joi.string().pattern(DATE_PATTERN).required(),
+  end_date: Joi.string().pattern(DATE_PATTERN).allow(null),
+  hours: Joi.string().allow(null).custom((value, helpers) => isValidHoursValue(value) ? value : helpers.error('any.invalid')),
+  recurrence: Joi.string().valid(...RECURRENCES).default('none'),
+  recurrence_rule: Joi.when('recurrence', {
+    is: 'nth_weekday',
+    then: Joi.object({
+      month: Joi.number().integer().min(1).max(12).required(),
+      weekday: Joi.string().valid(...WEEKDAYS).required(),
+      nth: Joi.number().integer().valid(1, 2, 3, 4, 5, -1).required()
+    }).required(),
+    otherwise: Joi.object().default({})
+  })
+});
+
+const STAFF_ROLES = ['owner', 'manager', 'staff'];
+
+const staffMemberSchema = Joi.object({
+  name: Joi.string().max(100),
+  email: Joi.string().email().allow(null),
+  phone: Joi.string().max(30).allow(null),
+  role: Joi.string().valid(...STAFF_ROLES),
+  active: Joi.boolean(),
+  // Alert recipients get escalation alerts on the channels in their
+  // preferences, outside their quiet hours
+  receives_alerts: Joi.boolean(),
+  notification_preferences: notificationPreferencesSchema,
+  quiet_hours: quietHoursSchema
+});
+
+// PushSubscription.toJSON() from the browser
+const pushSubscriptionSchema = Joi.object({
+  endpoint: Joi.string().uri({ scheme: 'https' }).required(),
+  expirationTime: Joi.number().allow(null),
+  keys: Joi.object({
+    p256dh: Joi.string().required(),
+    auth: Joi.string().required()
+  }).required()
+});
+
+const validateClosure = (body) => {
+  const { error, value } = closureSchema.validate(body);
+
+  if (error) {
+    return { error: error.message };
+  }
+
+  if (value.end_date && value.end_date < value.start_date) {
+    return { error: 'end_date must be on or after start_date' };
+  }
+
+  return { value };
+};
+
+// List installed industry vertical packs
+router.get('/verticals', (req, res) => {
+  res.json(listVerticalPacks());
+});
+
 // Get business configuration
 router.get('/:id', async (req, res) => {
   try {
@@ -24,6 +94,13 @@ router.post('/', async (req, res) => {
   try {
     const businessData = req.body;
 
+    if (businessData.industry && !hasVerticalPack(businessData.industry)) {
+      return res.status(400).json({
+        error: `Unknown industry '${businessData.industry}'`,
+        available: listVerticalPacks().map(pack => pack.industry)
+      });
+    }
+
     const business = await req.app.locals.dbService.createBusiness(businessData);
 
     res.status(201).json(business);
@@ -37,9 +114,63 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const businessId = req.params.id;
-    const updates = req.body;
+    // Closures are embedded in GET /:id but managed under /:id/closures
+    const { closures, ...updates } = req.body;
+
+    if (updates.industry !== undefined && !hasVerticalPack(updates.industry)) {
+      return res.status(400).json({
+        error: `Unknown industry '${updates.industry}'`,
+        available: listVerticalPacks().map(pack => pack.industry)
+      });
+    }
+
+    if (updates.enabled_agents) {
+      if (!Array.isArray(updates.enabled_agents)) {
+        return res.status(400).json({ error: 'enabled_agents must be an array' });
+      }
+      updates.enabled_agents = req.app.locals.agentOrchestrator.normalizeEnabledAgents(updates.enabled_agents);
+    }
+
+    if (updates.timezone && !isValidTimezone(updates.timezone)) {
+      return res.status(400).json({ error: `Unknown timezone '${updates.timezone}'` });
+    }
+
+    if (updates.business_hours) {
+      const invalid = Object.entries(updates.business_hours)
+        .find(([day, value]) => !DAY_KEYS.includes(day) || !isValidHoursValue(value));
+
+      if (invalid) {
+        return res.status(400).json({ error: `Invalid business_hours entry '${invalid[0]}': use "closed" or a range like "9-17"` });
+      }
+    }
+
+    if (updates.hours_overrides) {
+      const invalid = Object.entries(updates.hours_overrides)
+        .find(([date, value]) => !/^\d{4}-\d{2}-\d{2}$/.test(date) || !isValidHoursValue(value));
+
+      if (invalid) {
+        return res.status(400).json({ error: `Invalid hours_overrides entry '${invalid[0]}': use a YYYY-MM-DD date and "closed" or a range like "9-13"` });
+      }
+    }
+
+    if (updates.sla_policies) {
+      const { error } = slaPoliciesSchema.validate(updates.sla_policies);
+
+      if (error) {
+        return res.status(400).json({ error: `Invalid sla_policies: ${error.message}` });
+      }
+    }
+
+    if (updates.escalation_rules) {
+      const { error } = EscalationRulesEngine.escalationRulesSchema.validate(updates.escalation_rules);
+
+      if (error) {
+        return res.status(400).json({ error: `Invalid escalation_rules: ${error.message}` });
+      }
+    }
 
     const business = await req.app.locals.dbService.updateBusiness(businessId, updates);
+    req.app.locals.knowledgeBase.invalidate(businessId);
 
     res.json(business);
   } catch (error) {
@@ -48,6 +179,258 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Whether the business is open now, taking its timezone and date overrides into account
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const business = await req.app.locals.dbService.getBusinessConfig(req.params.id);
+
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    res.json(getBusinessAvailability(business));
+  } catch (error) {
+    console.error('Error getting business availability:', error);
+    res.status(500).json({ error: 'Failed to get business availability' });
+  }
+});
+
+// Closure calendar, each entry with its next (or current) occurrence
+router.get('/:id/closures', async (req, res) => {
+  try {
+    const business = await req.app.locals.dbService.getBusinessConfig(req.params.id);
+
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const today = getLocalTime(new Date(), business.timezone).date;
+
+    res.json((business.closures || [])
+      .map(closure => ({ ...closure, nextOccurrence: getNextOccurrence(closure, today) }))
+      .sort((a, b) => (a.nextOccurrence?.start || '9999').localeCompare(b.nextOccurrence?.start || '9999')));
+  } catch (error) {
+    console.error('Error getting business closures:', error);
+    res.status(500).json({ error: 'Failed to get business closures' });
+  }
+});
+
+router.post('/:id/closures', async (req, res) => {
+  try {
+    const { error, value } = validateClosure(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const closure = await req.app.locals.dbService.createBusinessClosure({
+      ...value,
+      business_id: req.params.id
+    });
+
+    res.status(201).json(closure);
+  } catch (error) {
+    console.error('Error creating business closure:', error);
+    res.status(500).json({ error: 'Failed to create business closure' });
+  }
+});
+
+// Replaces a closure
+router.put('/:id/closures/:closureId', async (req, res) => {
+  try {
+    const { error, value } = validateClosure(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const closure = await req.app.locals.dbService.updateBusinessClosure(req.params.id, req.params.closureId, value);
+
+    if (!closure) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+
+    res.json(closure);
+  } catch (error) {
+    console.error('Error updating business closure:', error);
+    res.status(500).json({ error: 'Failed to update business closure' });
+  }
+});
+
+router.delete('/:id/closures/:closureId', async (req, res) => {
+  try {
+    const closure = await req.app.locals.dbService.deleteBusinessClosure(req.params.id, req.params.closureId);
+
+    if (!closure) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+
+    res.json({ deleted: true, closure });
+  } catch (error) {
+    console.error('Error deleting business closure:', error);
+    res.status(500).json({ error: 'Failed to delete business closure' });
+  }
+});
+
+// Which agents this business has switched on
+router.get('/:id/agents', async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const orchestrator = req.app.locals.agentOrchestrator;
+
+    const business = await req.app.locals.dbService.getBusinessConfig(businessId);
+
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const enabled = orchestrator.getEnabledAgents(business);
+
+    res.json({
+      enabled_agents: enabled,
+      available: [...orchestrator.agents.values()].map(agent => ({
+        agentType: agent.agentType,
+        audience: agent.audience,
+        required: orchestrator.getRequiredAgents().includes(agent.agentType),
+        enabled: enabled.includes(agent.agentType)
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting business agents:', error);
+    res.status(500).json({ error: 'Failed to get business agents' });
+  }
+});
+
+// Switch optional agents (sales, business_manager) on or off
+router.put('/:id/agents', async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const { enabled_agents } = req.body;
+    const orchestrator = req.app.locals.agentOrchestrator;
+
+    if (!Array.isArray(enabled_agents)) {
+      return res.status(400).json({ error: 'enabled_agents must be an array' });
+    }
+
+    const unknown = enabled_agents.filter(agentType => !orchestrator.agents.has(agentType));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown agent type(s): ${unknown.join(', ')}`,
+        available: [...orchestrator.agents.keys()]
+      });
+    }
+
+    const business = await orchestrator.setEnabledAgents(businessId, enabled_agents);
+
+    res.json({ enabled_agents: business.enabled_agents });
+  } catch (error) {
+    console.error('Error updating business agents:', error);
+    res.status(500).json({ error: 'Failed to update business agents' });
+  }
+});
+
+// Show which FAQs (and services) a question would match
+router.post('/:id/faq/search', async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const { question, limit = 3 } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: 'question is required' });
+    }
+
+    const business = await req.app.locals.dbService.getBusinessConfig(businessId);
+
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const agentConfig = await req.app.locals.dbService.getAgentConfig(businessId, 'receptionist');
+    const knowledge = req.app.locals.knowledgeBase.buildKnowledge(business, agentConfig);
+
+    const faqRetrieval = req.app.locals.faqRetrieval;
+    const matches = faqRetrieval.search(knowledge, question, { limit: parseInt(limit) });
+    const directAnswer = faqRetrieval.getDirectAnswer(matches);
+
+    res.json({
+      question,
+      matches,
+      directAnswer: directAnswer ? directAnswer.answer : null
+    });
+  } catch (error) {
+    console.error('Error searching FAQs:', error);
+    res.status(500).json({ error: 'Failed to search FAQs' });
+  }
+});
+
+// Notification outbox: what was sent, what is still retrying, what gave up
+router.get('/:id/notifications', async (req, res) => {
+  try {
+    const { status, escalation_id: escalationId, limit = 50 } = req.query;
+
+    const notifications = await req.app.locals.dbService.getNotifications(req.params.id, {
+      status,
+      escalationId,
+      limit: parseInt(limit)
+    });
+
+    res.json(notifications);
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// Dry run: what the escalation rules (stored, or escalation_rules in the body)
+// would decide for a message. Nothing is saved and nobody is notified.
+router.post('/:id/escalation-rules/test', async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const { message, escalation_rules: escalationRules } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: 'message is required' });
+    }
+
+    if (escalationRules) {
+      const { error } = EscalationRulesEngine.escalationRulesSchema.validate(escalationRules);
+
+      if (error) {
+        return res.status(400).json({ error: `Invalid escalation_rules: ${error.message}` });
+      }
+    }
+
+    const business = await req.app.locals.dbService.getBusinessConfig(businessId);
+
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const orchestrator = req.app.locals.agentOrchestrator;
+    const conversation = {
+      id: null,
+      business_id: businessId,
+      businessConfig: business,
+      agentConfigs: await orchestrator.getAgentConfigs(businessId),
+      messages: []
+    };
+
+    const classification = await orchestrator.agents.get('coordinator').classifyIntent(message, conversation);
+    const rules = escalationRules || business.escalation_rules || EscalationRulesEngine.DEFAULT_ESCALATION_RULES;
+
+    res.json({
+      message,
+      escalationRules: rules,
+      classification,
+      ...orchestrator.evaluateEscalationRules(message, conversation, classification, rules)
+    });
+  } catch (error) {
+    console.error('Error testing escalation rules:', error);
+    res.status(500).json({ error: 'Failed to test escalation rules' });
+  }
+});
+
 // Get business escalations
 router.get('/:id/escalations', async (req, res) => {
   try {
@@ -67,6 +450,144 @@ router.get('/:id/escalations', async (req, res) => {
   }
 });
 
+// Acknowledgement SLAs in effect (stored overrides on top of the defaults)
+// and how the business has done against them
+router.get('/:id/sla-report', async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const days = parseInt(req.query.days) || 30;
+    const business = await req.app.locals.dbService.getBusinessConfig(businessId);
+
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const report = await req.app.locals.slaMonitor.buildReport(businessId, business, since);
+
+    res.json({
+      policies: Object.fromEntries(PRIORITIES.map(priority => [priority, getSlaPolicy(business, priority)])),
+      ...report
+    });
+  } catch (error) {
+    console.error('Error building SLA report:', error);
+    res.status(500).json({ error: 'Failed to build SLA report' });
+  }
+});
+
+// Staff who escalations can be assigned to, and who receive alerts
+router.get('/:id/staff', async (req, res) => {
+  try {
+    const staff = await req.app.locals.dbService.getStaffMembers(req.params.id, req.query.active === 'true');
+    res.json(staff);
+  } catch (error) {
+    console.error('Error getting staff members:', error);
+    res.status(500).json({ error: 'Failed to get staff members' });
+  }
+});
+
+router.post('/:id/staff', async (req, res) => {
+  try {
+    const { error, value } = staffMemberSchema.fork(['name'], field => field.required()).validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const staffMember = await req.app.locals.dbService.createStaffMember({
+      ...value,
+      business_id: req.params.id
+    });
+
+    res.status(201).json(staffMember);
+  } catch (error) {
+    console.error('Error creating staff member:', error);
+    res.status(500).json({ error: 'Failed to create staff member' });
+  }
+});
+
+// Partial update; set active to false when someone leaves (their history stays)
+router.put('/:id/staff/:staffMemberId', async (req, res) => {
+  try {
+    const { error, value } = staffMemberSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const staffMember = await req.app.locals.dbService.updateStaffMember(req.params.id, req.params.staffMemberId, value);
+
+    if (!staffMember) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    res.json(staffMember);
+  } catch (error) {
+    console.error('Error updating staff member:', error);
+    res.status(500).json({ error: 'Failed to update staff member' });
+  }
+});
+
+// Browsers (or installed dashboard apps) a staff member gets push alerts on
+router.get('/:id/staff/:staffMemberId/push-subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await req.app.locals.dbService.getPushSubscriptions(req.params.id, req.params.staffMemberId);
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Error getting push subscriptions:', error);
+    res.status(500).json({ error: 'Failed to get push subscriptions' });
+  }
+});
+
+router.post('/:id/staff/:staffMemberId/push-subscriptions', async (req, res) => {
+  try {
+    const { error, value } = pushSubscriptionSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const staffMember = await req.app.locals.dbService.getStaffMember(req.params.id, req.params.staffMemberId);
+
+    if (!staffMember) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    const subscription = await req.app.locals.dbService.savePushSubscription({
+      business_id: req.params.id,
+      staff_member_id: staffMember.id,
+      endpoint: value.endpoint,
+      keys: value.keys,
+      user_agent: req.get('User-Agent') || null
+    });
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+// Body: { endpoint }, when the browser unsubscribes
+router.delete('/:id/staff/:staffMemberId/push-subscriptions', async (req, res) => {
+  try {
+    if (!req.body?.endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+
+    const subscription = await req.app.locals.dbService.deletePushSubscription(req.body.endpoint, req.params.staffMemberId);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Push subscription not found' });
+    }
+
+    res.json({ deleted: true, subscription });
+  } catch (error) {
+    console.error('Error deleting push subscription:', error);
+    res.status(500).json({ error: 'Failed to delete push subscription' });
+  }
+});
+
 // Get business tasks
 router.get('/:id/tasks', async (req, res) => {
   try {
@@ -86,6 +607,65 @@ router.get('/:id/tasks', async (req, res) => {
   }
 });
 
+// Owner briefing from the business manager agent: triaged escalations,
+// stale tasks, today's summary and the lead pipeline
+router.get('/:id/manager/briefing', async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const orchestrator = req.app.locals.agentOrchestrator;
+    const businessConfig = await req.app.locals.dbService.getBusinessConfig(businessId);
+
+    if (!businessConfig) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    if (!orchestrator.isAgentEnabled(businessConfig, 'business_manager')) {
+      return res.status(403).json({ error: 'The business manager agent is not enabled for this business' });
+    }
+
+    const briefing = await orchestrator.agents.get('business_manager').getBriefing(businessId, businessConfig.timezone);
+
+    res.json(briefing);
+  } catch (error) {
+    console.error('Error getting manager briefing:', error);
+    res.status(500).json({ error: 'Failed to get manager briefing' });
+  }
+});
+
+// Ask the business manager agent a question about the business
+router.post('/:id/manager/ask', async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const { question } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: 'question is required' });
+    }
+
+    const orchestrator = req.app.locals.agentOrchestrator;
+    const businessConfig = await req.app.locals.dbService.getBusinessConfig(businessId);
+
+    if (!businessConfig) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    if (!orchestrator.isAgentEnabled(businessConfig, 'business_manager')) {
+      return res.status(403).json({ error: 'The business manager agent is not enabled for this business' });
+    }
+
+    const response = await orchestrator.agents.get('business_manager').processMessage(question, {
+      business_id: businessId,
+      businessConfig,
+      agentConfigs: await orchestrator.getAgentConfigs(businessId)
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error asking business manager:', error);
+    res.status(500).json({ error: 'Failed to answer question' });
+  }
+});
+
 // Get business analytics
 router.get('/:id/analytics', async (req, res) => {
   try {
@@ -1,6 +1,75 @@
 const express = require('express');
 const router = express.Router();
 
+// One line summary of the metadata saved with an agent reply
+const explainTurn = (metadata) => {
+  const parts = [];
+  const classification = metadata.classification;
+
+  if (classification) {
+    const confidence = typeof classification.confidence === 'number' ? `, ${classification.confidence} confidence` : '';
+    const fallback = classification.fallbackReason ? `, ${classification.fallbackReason}` : '';
+    parts.push(`Classified as ${classification.intent} (${classification.source}${confidence}${fallback})`);
+  }
+
+  if (metadata.routing?.agentChain) {
+    parts.push(`routed to ${metadata.routing.agentChain.join(' > ')} (${metadata.routing.reasoning})`);
+  }
+
+  if (metadata.response) {
+    parts.push(`${metadata.response.agentType} replied with ${metadata.response.action}`);
+  }
+
+  const providers = (metadata.llmCalls || []).map(call => call.provider || 'no provider');
+  if (providers.length > 0) {
+    parts.push(`LLM: ${providers.join(', ')}`);
+  }
+
+  const tools = (metadata.toolCalls || []).map(call => call.error ? `${call.tool} (failed)` : call.tool);
+  if (tools.length > 0) {
+    parts.push(`tools: ${tools.join(', ')}`);
+  }
+
+  if (metadata.escalation?.escalated) {
+    parts.push(`escalated (${metadata.escalation.reason || 'no reason given'})`);
+  }
+
+  return parts.join('; ');
+};
+
+// Pair each customer message with the reply that followed it
+const buildTrace = (messages) => {
+  const turns = [];
+  let current = null;
+
+  for (const message of messages) {
+    if (message.sender === 'customer') {
+      current = {
+        turn: turns.length + 1,
+        customerMessage: message.content,
+        receivedAt: message.created_at,
+        reply: null
+      };
+      turns.push(current);
+      continue;
+    }
+
+    if (current && !current.reply) {
+      const metadata = message.metadata || {};
+
+      current.reply = {
+        agentType: message.sender,
+        content: message.content,
+        sentAt: message.created_at
+      };
+      current.explanation = explainTurn(metadata);
+      current.decisions = metadata;
+    }
+  }
+
+  return turns;
+};
+
 // Create new conversation
 router.post('/', async (req, res) => {
   try {
@@ -46,6 +115,31 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Turn-by-turn explanation of why the agents replied the way they did
+router.get('/:id/trace', async (req, res) => {
+  try {
+    const conversationId = req.params.id;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+    const conversation = await req.app.locals.dbService.getConversation(conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await req.app.locals.dbService.getConversationMessages(conversationId, limit);
+
+    res.json({
+      conversationId,
+      status: conversation.status,
+      turns: buildTrace(messages)
+    });
+  } catch (error) {
+    console.error('Error getting conversation trace:', error);
+    res.status(500).json({ error: 'Failed to get conversation trace' });
+  }
+});
+
 // Send message to conversation
 router.post('/:id/messages', async (req, res) => {
   try {
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+
+// Lifecycle errors from EscalationService carry the status to answer with
+const sendLifecycleError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Get an escalation with its full event history
+router.get('/:id', async (req, res) => {
+  try {
+    const escalation = await req.app.locals.escalationService.getWithHistory(req.params.id);
+
+    if (!escalation) {
+      return res.status(404).json({ error: 'Escalation not found' });
+    }
+
+    res.json(escalation);
+  } catch (error) {
+    console.error('Error getting escalation:', error);
+    res.status(500).json({ error: 'Failed to get escalation' });
+  }
+});
+
+// Get just the event history
+router.get('/:id/events', async (req, res) => {
+  try {
+    const escalation = await req.app.locals.dbService.getEscalation(req.params.id);
+
+    if (!escalation) {
+      return res.status(404).json({ error: 'Escalation not found' });
+    }
+
+    res.json(await req.app.locals.dbService.getEscalationEvents(req.params.id));
+  } catch (error) {
+    console.error('Error getting escalation events:', error);
+    res.status(500).json({ error: 'Failed to get escalation events' });
+  }
+});
+
+// Someone has seen it and is on it
+router.post('/:id/acknowledge', async (req, res) => {
+  try {
+    const { actor } = req.body;
+    res.json(await req.app.locals.escalationService.acknowledge(req.params.id, { actor }));
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to acknowledge escalation');
+  }
+});
+
+// Hand it to a staff member (also moves it to in_progress)
+router.post('/:id/assign', async (req, res) => {
+  try {
+    const { staff_member_id, actor, note } = req.body;
+    res.json(await req.app.locals.escalationService.assign(req.params.id, { staffMemberId: staff_member_id, actor, note }));
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to assign escalation');
+  }
+});
+
+router.post('/:id/notes', async (req, res) => {
+  try {
+    const { note, actor } = req.body;
+    res.status(201).json(await req.app.locals.escalationService.addNote(req.params.id, { note, actor }));
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to add note');
+  }
+});
+
+router.post('/:id/resolve', async (req, res) => {
+  try {
+    const { resolution_notes, actor } = req.body;
+    res.json(await req.app.locals.escalationService.resolve(req.params.id, { resolutionNotes: resolution_notes, actor }));
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to resolve escalation');
+  }
+});
+
+router.post('/:id/reopen', async (req, res) => {
+  try {
+    const { reason, actor } = req.body;
+    res.json(await req.app.locals.escalationService.reopen(req.params.id, { reason, actor }));
+  } catch (error) {
+    sendLifecycleError(res, error, 'Failed to reopen escalation');
+  }
+});
+
+module.exports = router;
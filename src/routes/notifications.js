@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+
+// The VAPID public key a browser needs to subscribe to Web Push
+router.get('/push/public-key', (req, res) => {
+  if (!req.app.locals.notificationService.channels.push) {
+    return res.status(503).json({ error: 'Push notifications are not configured' });
+  }
+
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// A notification with every delivery attempt
+router.get('/:id', async (req, res) => {
+  try {
+    const notification = await req.app.locals.dbService.getNotification(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Error getting notification:', error);
+    res.status(500).json({ error: 'Failed to get notification' });
+  }
+});
+
+// Try again after the worker has given up
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const notification = await req.app.locals.dbService.getNotification(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (notification.status !== 'failed') {
+      return res.status(409).json({ error: `Only failed notifications can be retried; this one is ${notification.status}` });
+    }
+
+    const retried = await req.app.locals.notificationWorker.retry(notification);
+
+    if (!retried) {
+      return res.status(409).json({ error: 'Notification was changed by someone else; reload and try again' });
+    }
+
+    res.json(await req.app.locals.dbService.getNotification(req.params.id));
+  } catch (error) {
+    console.error('Error retrying notification:', error);
+    res.status(500).json({ error: 'Failed to retry notification' });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utils/logger');
+const { getVerticalPack } = require('../verticals');
 
 class DatabaseService {
   constructor() {
@@ -12,9 +13,10 @@ class DatabaseService {
   // Business operations
   async getBusinessConfig(businessId) {
     try {
+      // Closures come along so availability checks don't need a second query
       const { data, error } = await this.supabase
         .from('businesses')
-        .select('*')
+        .select('*, closures:business_closures(*)')
         .eq('id', businessId)
         .single();
 
@@ -28,16 +30,25 @@ class DatabaseService {
 
   async createBusiness(businessData) {
     try {
+      // Seed the catalogue from the industry's vertical pack unless provided
+      const pack = getVerticalPack(businessData.industry);
+
       const { data, error } = await this.supabase
         .from('businesses')
-        .insert(businessData)
+        .insert({
+          services: Object.keys(pack.services),
+          pricing_tiers: pack.pricingTiers,
+          faq_data: pack.faqs,
+          ...businessData,
+          industry: pack.industry
+        })
         .select()
         .single();
 
       if (error) throw error;
 
       // Create default agent configs
-      await this.createDefaultAgentConfigs(data.id);
+      await this.createDefaultAgentConfigs(data.id, pack);
 
       return data;
     } catch (error) {
@@ -63,6 +74,184 @@ class DatabaseService {
     }
   }
 
+  async updateBusinessAgents(businessId, enabledAgents) {
+    try {
+      const { data, error } = await this.supabase
+        .from('businesses')
+        .update({ enabled_agents: enabledAgents, updated_at: new Date().toISOString() })
+        .eq('id', businessId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating business agents:', error);
+      throw error;
+    }
+  }
+
+  // Closure calendar operations
+  async getBusinessClosures(businessId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('business_closures')
+        .select('*')
+        .eq('business_id', businessId)
+        .order('start_date', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting business closures:', error);
+      throw error;
+    }
+  }
+
+  async createBusinessClosure(closureData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('business_closures')
+        .insert(closureData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating business closure:', error);
+      throw error;
+    }
+  }
+
+  async updateBusinessClosure(businessId, closureId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('business_closures')
+        .update(updates)
+        .eq('id', closureId)
+        .eq('business_id', businessId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating business closure:', error);
+      throw error;
+    }
+  }
+
+  async deleteBusinessClosure(businessId, closureId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('business_closures')
+        .delete()
+        .eq('id', closureId)
+        .eq('business_id', businessId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error deleting business closure:', error);
+      throw error;
+    }
+  }
+
+  // Staff operations
+  async getStaffMembers(businessId, activeOnly = false) {
+    try {
+      let query = this.supabase
+        .from('staff_members')
+        .select('*')
+        .eq('business_id', businessId)
+        .order('name', { ascending: true });
+
+      if (activeOnly) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting staff members:', error);
+      throw error;
+    }
+  }
+
+  async getStaffMember(businessId, staffMemberId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_members')
+        .select('*')
+        .eq('id', staffMemberId)
+        .eq('business_id', businessId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error getting staff member:', error);
+      throw error;
+    }
+  }
+
+  async createStaffMember(staffData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_members')
+        .insert(staffData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating staff member:', error);
+      throw error;
+    }
+  }
+
+  async updateStaffMember(businessId, staffMemberId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_members')
+        .update(updates)
+        .eq('id', staffMemberId)
+        .eq('business_id', businessId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating staff member:', error);
+      throw error;
+    }
+  }
+
+  async getAlertRecipients(businessId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('staff_members')
+        .select('*')
+        .eq('business_id', businessId)
+        .eq('active', true)
+        .eq('receives_alerts', true)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting alert recipients:', error);
+      throw error;
+    }
+  }
+
   // Conversation operations
   async createConversation(conversationData) {
     try {
@@ -130,7 +319,7 @@ class DatabaseService {
     }
   }
 
-  async getBusinessConversations(businessId, limit = 20, status = null) {
+  async getBusinessConversations(businessId, limit = 20, status = null, since = null) {
     try {
       let query = this.supabase
         .from('conversations')
@@ -143,6 +332,10 @@ class DatabaseService {
         query = query.eq('status', status);
       }
 
+      if (since) {
+        query = query.gte('created_at', since);
+      }
+
       const { data, error } = await query;
 
       if (error) throw error;
@@ -153,6 +346,34 @@ class DatabaseService {
     }
   }
 
+  // Earlier conversations from the same customer, matched on phone or email
+  async getCustomerConversations(businessId, { phone = null, email = null } = {}, limit = 10) {
+    try {
+      const filters = [
+        phone && `customer_phone.eq."${phone}"`,
+        email && `customer_email.eq."${email}"`
+      ].filter(Boolean);
+
+      if (filters.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await this.supabase
+        .from('conversations')
+        .select('*')
+        .eq('business_id', businessId)
+        .or(filters.join(','))
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting customer conversations:', error);
+      throw error;
+    }
+  }
+
   // Message operations
   async saveMessage(messageData) {
     try {
@@ -171,7 +392,7 @@ class DatabaseService {
   }
 
   // Agent configuration operations
-  async createDefaultAgentConfigs(businessId) {
+  async createDefaultAgentConfigs(businessId, pack = getVerticalPack()) {
     try {
       const defaultConfigs = [
         {
@@ -179,33 +400,8 @@ class DatabaseService {
           agent_type: 'receptionist',
           personality_preset: 'professional_friendly',
           knowledge_base: {
-            escalation_triggers: [
-              'changes to my existing site',
-              'modify my current',
-              'update my website',
-              'add to my site',
-              'crypto payment',
-              'payment gateway',
-              'specific functionality',
-              'custom feature'
-            ],
-            services: {
-              'website_design': {
-                description: 'Custom website design and development',
-                typical_timeline: '2-6 weeks',
-                price_range: '$2,000-$15,000'
-              },
-              'app_development': {
-                description: 'Mobile and web application development',
-                typical_timeline: '3-12 months',
-                price_range: '$10,000-$100,000+'
-              },
-              'maintenance': {
-                description: 'Ongoing website updates and support',
-                typical_timeline: 'Ongoing',
-                price_range: '$100-$500/month'
-              }
-            }
+            escalation_triggers: pack.escalationTriggers,
+            services: pack.services
           },
           active: true
         },
@@ -216,7 +412,8 @@ class DatabaseService {
           knowledge_base: {
             routing_rules: {
               'escalation_required': ['receptionist', 'human'],
-              'sales_opportunity': ['receptionist', 'sales'],
+              'sales_opportunity': ['sales', 'receptionist'],
+              'pricing_inquiry': ['sales', 'receptionist'],
               'general_inquiry': ['receptionist']
             }
           },
@@ -255,6 +452,22 @@ class DatabaseService {
     }
   }
 
+  async getAgentConfigs(businessId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('agent_configs')
+        .select('*')
+        .eq('business_id', businessId)
+        .eq('active', true);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting agent configs:', error);
+      throw error;
+    }
+  }
+
   async updateAgentConfig(businessId, agentType, updates) {
     try {
       const { data, error } = await this.supabase
@@ -313,6 +526,399 @@ class DatabaseService {
     }
   }
 
+  // Escalations not yet resolved, newest first, for spotting duplicates
+  async getOpenEscalations(businessId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('escalations')
+        .select('*')
+        .eq('business_id', businessId)
+        .in('status', ['pending', 'acknowledged', 'in_progress'])
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting open escalations:', error);
+      throw error;
+    }
+  }
+
+  async getEscalation(escalationId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('escalations')
+        .select('*, assignee:staff_members(id, name, email, phone, role)')
+        .eq('id', escalationId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error getting escalation:', error);
+      throw error;
+    }
+  }
+
+  // Updates the escalation only while it is still in one of `fromStatuses`,
+  // so two people acting at once can't both win. Null when it had moved on.
+  async transitionEscalation(escalationId, fromStatuses, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('escalations')
+        .update(updates)
+        .eq('id', escalationId)
+        .in('status', fromStatuses)
+        .select('*, assignee:staff_members(id, name, email, phone, role)')
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error transitioning escalation:', error);
+      throw error;
+    }
+  }
+
+  async createEscalationEvent(eventData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('escalation_events')
+        .insert(eventData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating escalation event:', error);
+      throw error;
+    }
+  }
+
+  async getEscalationEvents(escalationId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('escalation_events')
+        .select('*')
+        .eq('escalation_id', escalationId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting escalation events:', error);
+      throw error;
+    }
+  }
+
+  // After-hours escalations whose notify_after time has come and that haven't been sent yet
+  async getQueuedEscalations(before) {
+    try {
+      const { data, error } = await this.supabase
+        .from('escalations')
+        .select('*, business:businesses(timezone, sla_policies)')
+        .is('notified_at', null)
+        .lte('notify_after', before)
+        .eq('status', 'pending')
+        .order('notify_after', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting queued escalations:', error);
+      throw error;
+    }
+  }
+
+  // Unacknowledged escalations whose SLA deadline (or backup alert) has come round
+  async getSlaDueEscalations(before) {
+    try {
+      const { data, error } = await this.supabase
+        .from('escalations')
+        .select('*, business:businesses(name, timezone, sla_policies)')
+        .eq('status', 'pending')
+        .lte('sla_next_check_at', before)
+        .order('sla_next_check_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting SLA-due escalations:', error);
+      throw error;
+    }
+  }
+
+  // Escalations alerted since `since`, for SLA reporting
+  async getNotifiedEscalations(businessId, since) {
+    try {
+      const { data, error } = await this.supabase
+        .from('escalations')
+        .select('id, priority, status, notified_at, acknowledged_at, sla_due_at, sla_breached_at')
+        .eq('business_id', businessId)
+        .gte('notified_at', since)
+        .order('notified_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting notified escalations:', error);
+      throw error;
+    }
+  }
+
+  // Notification outbox
+  async createNotification(notificationData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('notifications')
+        .insert(notificationData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating notification:', error);
+      throw error;
+    }
+  }
+
+  async getNotification(notificationId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('notifications')
+        .select('*, attempts:notification_attempts(*)')
+        .eq('id', notificationId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (data) {
+        data.attempts = (data.attempts || []).sort((a, b) => a.attempt_number - b.attempt_number);
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error getting notification:', error);
+      throw error;
+    }
+  }
+
+  async getNotifications(businessId, { status = null, escalationId = null, limit = 50 } = {}) {
+    try {
+      let query = this.supabase
+        .from('notifications')
+        .select('*')
+        .eq('business_id', businessId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      if (escalationId) {
+        query = query.eq('escalation_id', escalationId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting notifications:', error);
+      throw error;
+    }
+  }
+
+  // Waiting for their next attempt, plus any left 'sending' by a worker that
+  // died before `staleBefore`
+  async getDueNotifications(before, staleBefore, limit = 50) {
+    try {
+      const { data, error } = await this.supabase
+        .from('notifications')
+        .select('*')
+        .or(`and(status.in.(pending,retrying),next_attempt_at.lte.${before}),and(status.eq.sending,locked_at.lte.${staleBefore})`)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting due notifications:', error);
+      throw error;
+    }
+  }
+
+  // Only one worker wins: the row must still have the status and attempt
+  // count it was read with. Null when someone else got there first.
+  async claimNotification(notificationId, status, attempts, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('notifications')
+        .update(updates)
+        .eq('id', notificationId)
+        .eq('status', status)
+        .eq('attempts', attempts)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error claiming notification:', error);
+      throw error;
+    }
+  }
+
+  async updateNotification(notificationId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('notifications')
+        .update(updates)
+        .eq('id', notificationId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating notification:', error);
+      throw error;
+    }
+  }
+
+  async createNotificationAttempt(attemptData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('notification_attempts')
+        .insert(attemptData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating notification attempt:', error);
+      throw error;
+    }
+  }
+
+  // Push subscription operations. A browser resubscribing keeps its endpoint,
+  // so saving one again updates it (and moves it to whoever is signed in).
+  async savePushSubscription(subscriptionData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('push_subscriptions')
+        .upsert(subscriptionData, { onConflict: 'endpoint' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error saving push subscription:', error);
+      throw error;
+    }
+  }
+
+  // A staff member's subscriptions, or every active staff member's in the business
+  async getPushSubscriptions(businessId, staffMemberId = null) {
+    try {
+      let query = this.supabase
+        .from('push_subscriptions')
+        .select('*, staff_member:staff_members!inner(id, name, active)')
+        .eq('business_id', businessId)
+        .eq('staff_member.active', true)
+        .order('created_at', { ascending: true });
+
+      if (staffMemberId) {
+        query = query.eq('staff_member_id', staffMemberId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting push subscriptions:', error);
+      throw error;
+    }
+  }
+
+  async deletePushSubscription(endpoint, staffMemberId = null) {
+    try {
+      let query = this.supabase
+        .from('push_subscriptions')
+        .delete()
+        .eq('endpoint', endpoint);
+
+      if (staffMemberId) {
+        query = query.eq('staff_member_id', staffMemberId);
+      }
+
+      const { data, error } = await query.select().maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error deleting push subscription:', error);
+      throw error;
+    }
+  }
+
+  async createSlaBreach(breachData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('sla_breaches')
+        .insert(breachData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating SLA breach:', error);
+      throw error;
+    }
+  }
+
+  async updateSlaBreach(escalationId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('sla_breaches')
+        .update(updates)
+        .eq('escalation_id', escalationId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating SLA breach:', error);
+      throw error;
+    }
+  }
+
+  async getSlaBreaches(businessId, since, limit = 100) {
+    try {
+      const { data, error } = await this.supabase
+        .from('sla_breaches')
+        .select('*, escalation:escalations(status, acknowledged_at, customer_info, escalation_reason)')
+        .eq('business_id', businessId)
+        .gte('breached_at', since)
+        .order('breached_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error getting SLA breaches:', error);
+      throw error;
+    }
+  }
+
   async updateEscalation(escalationId, updates) {
     try {
       const { data, error } = await this.supabase
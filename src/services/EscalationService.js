@@ -0,0 +1,347 @@
+const { PRIORITIES, getSlaPolicy, getSlaDueAt } = require('../utils/slaPolicies');
+const logger = require('../utils/logger');
+
+const OPEN_STATUSES = ['pending', 'acknowledged', 'in_progress'];
+
+// What each action does to an escalation: the statuses it can start from and
+// the status it leaves behind (null keeps the current one)
+const TRANSITIONS = {
+  acknowledge: { from: ['pending'], to: 'acknowledged', event: 'acknowledged' },
+  assign: { from: OPEN_STATUSES, to: 'in_progress', event: 'assigned' },
+  note: { from: [...OPEN_STATUSES, 'resolved'], to: null, event: 'note' },
+  resolve: { from: OPEN_STATUSES, to: 'resolved', event: 'resolved' },
+  reopen: { from: ['resolved'], to: null, event: 'reopened' }
+};
+
+// Lower is more important
+const priorityRank = (priority) => {
+  const rank = PRIORITIES.indexOf(priority);
+  return rank === -1 ? PRIORITIES.indexOf('medium') : rank;
+};
+
+// Last ten digits, so "+1 (555) 123-4567" and "555-123-4567" match
+const normalizePhone = (phone) => phone ? String(phone).replace(/\D/g, '').slice(-10) || null : null;
+
+const normalizeEmail = (email) => email ? String(email).trim().toLowerCase() || null : null;
+
+// Keeps the customer's conversation in step with its escalation
+const CONVERSATION_STATUS = {
+  pending: 'escalated',
+  acknowledged: 'escalated',
+  in_progress: 'escalated',
+  resolved: 'closed'
+};
+
+// Errors carry the HTTP status the routes should answer with
+function lifecycleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Drives an escalation from raised to resolved (acknowledge, assign, notes,
+// resolve, reopen), recording every step in escalation_events and telling
+// the business's dashboard over Socket.IO
+class EscalationService {
+  constructor(dbService, io = null) {
+    this.dbService = dbService;
+    this.io = io;
+  }
+
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  // businessConfig supplies the SLA policy; the acknowledgement clock only
+  // starts once the alert has gone out (notified_at)
+  async create(escalationData, businessConfig = null) {
+    const slaDueAt = getSlaDueAt(getSlaPolicy(businessConfig, escalationData.priority), escalationData.notified_at);
+    const escalation = await this.dbService.createEscalation({
+      ...escalationData,
+      sla_due_at: slaDueAt,
+      sla_next_check_at: slaDueAt
+    });
+
+    const event = await this.recordEvent(escalation, 'created', 'system', {
+      toStatus: escalation.status || 'pending',
+      details: {
+        reason: escalation.escalation_reason,
+        priority: escalation.priority,
+        notify_after: escalation.notify_after || null
+      }
+    });
+
+    this.broadcast(escalation, event);
+    return escalation;
+  }
+
+  // A customer who keeps asking for a person gets one escalation, not one per
+  // turn: an open escalation for the same conversation (or the same phone or
+  // email) is updated instead. `notify` says whether to alert anyone - only a
+  // new escalation, or one whose priority went up while nobody has picked it
+  // up, is worth another alert.
+  async createOrMerge(escalationData, businessConfig = null) {
+    const existing = await this.findOpenDuplicate(escalationData);
+
+    if (existing) {
+      const merged = await this.merge(existing, escalationData, businessConfig);
+
+      if (merged) {
+        return merged;
+      }
+    }
+
+    return { escalation: await this.create(escalationData, businessConfig), merged: false, notify: true };
+  }
+
+  async findOpenDuplicate(escalationData) {
+    const open = await this.dbService.getOpenEscalations(escalationData.business_id);
+    const phone = normalizePhone(escalationData.customer_info?.phone);
+    const email = normalizeEmail(escalationData.customer_info?.email);
+
+    return open.find(escalation => escalation.conversation_id === escalationData.conversation_id) ||
+      open.find(escalation =>
+        (phone && normalizePhone(escalation.customer_info?.phone) === phone) ||
+        (email && normalizeEmail(escalation.customer_info?.email) === email)
+      ) ||
+      null;
+  }
+
+  // Null if the escalation was resolved in the meantime, so the caller raises a new one
+  async merge(existing, escalationData, businessConfig = null) {
+    const raised = priorityRank(escalationData.priority) < priorityRank(existing.priority);
+    const priority = raised ? escalationData.priority : existing.priority;
+    const updates = {
+      priority,
+      customer_info: { ...(existing.customer_info || {}), ...this.withoutEmpty(escalationData.customer_info) },
+      merge_count: (existing.merge_count || 0) + 1,
+      last_merged_at: new Date().toISOString()
+    };
+
+    if (escalationData.urgency === 'immediate') {
+      updates.urgency = 'immediate';
+    }
+
+    // The newest brief covers the whole conversation so far
+    for (const column of ['summary', 'key_requirements', 'open_questions', 'suggested_reply', 'summary_source', 'original_message', 'agent_response']) {
+      if (escalationData[column]) {
+        updates[column] = escalationData[column];
+      }
+    }
+
+    // A tighter deadline applies from when the alert went out
+    if (raised && existing.notified_at && !existing.sla_stage) {
+      const slaDueAt = getSlaDueAt(getSlaPolicy(businessConfig, priority), existing.notified_at);
+
+      if (!existing.sla_due_at || new Date(slaDueAt) < new Date(existing.sla_due_at)) {
+        updates.sla_due_at = slaDueAt;
+        updates.sla_next_check_at = slaDueAt;
+      }
+    }
+
+    const escalation = await this.dbService.transitionEscalation(existing.id, [existing.status], updates);
+
+    if (!escalation) {
+      return null;
+    }
+
+    // Queued alerts go out with the merged details anyway; once someone has
+    // it, the dashboard update is enough
+    const notify = raised && escalation.status === 'pending' && Boolean(escalation.notified_at);
+
+    const event = await this.recordEvent(escalation, 'merged', 'system', {
+      fromStatus: existing.status,
+      toStatus: escalation.status,
+      note: raised ? `Priority raised from ${existing.priority} to ${priority}` : null,
+      details: {
+        reason: escalationData.escalation_reason,
+        conversation_id: escalationData.conversation_id,
+        from_priority: existing.priority,
+        to_priority: priority,
+        notified: notify
+      }
+    });
+
+    this.broadcast(escalation, event);
+    return { escalation, merged: true, notify, priorityRaised: raised };
+  }
+
+  withoutEmpty(values = {}) {
+    return Object.fromEntries(Object.entries(values || {}).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+  }
+
+  async getWithHistory(escalationId) {
+    const escalation = await this.dbService.getEscalation(escalationId);
+
+    if (!escalation) {
+      return null;
+    }
+
+    return { ...escalation, events: await this.dbService.getEscalationEvents(escalationId) };
+  }
+
+  async acknowledge(escalationId, { actor } = {}) {
+    return this.transition(escalationId, 'acknowledge', actor, () => ({
+      acknowledged_at: new Date().toISOString()
+    }));
+  }
+
+  async assign(escalationId, { staffMemberId, actor, note } = {}) {
+    if (!staffMemberId) {
+      throw lifecycleError('staff_member_id is required', 400);
+    }
+
+    return this.transition(escalationId, 'assign', actor, async (escalation) => {
+      const staffMember = await this.dbService.getStaffMember(escalation.business_id, staffMemberId);
+
+      if (!staffMember || !staffMember.active) {
+        throw lifecycleError('Staff member not found for this business', 400);
+      }
+
+      return {
+        assigned_to: staffMember.id,
+        assigned_at: new Date().toISOString(),
+        // Handing it to someone acknowledges it too
+        acknowledged_at: escalation.acknowledged_at || new Date().toISOString()
+      };
+    }, {
+      note,
+      details: (escalation) => ({ from_staff_member_id: escalation.assigned_to || null, staff_member_id: staffMemberId })
+    });
+  }
+
+  async addNote(escalationId, { note, actor } = {}) {
+    if (!note || !String(note).trim()) {
+      throw lifecycleError('note is required', 400);
+    }
+
+    return this.transition(escalationId, 'note', actor, () => null, { note });
+  }
+
+  async resolve(escalationId, { resolutionNotes, actor } = {}) {
+    return this.transition(escalationId, 'resolve', actor, () => ({
+      resolved_at: new Date().toISOString(),
+      resolution_notes: resolutionNotes || null
+    }), { note: resolutionNotes });
+  }
+
+  // Back to whoever had it, or to the pending queue if nobody did
+  async reopen(escalationId, { reason, actor } = {}) {
+    return this.transition(escalationId, 'reopen', actor, (escalation) => ({
+      status: escalation.assigned_to ? 'in_progress' : escalation.acknowledged_at ? 'acknowledged' : 'pending',
+      resolved_at: null
+    }), { note: reason });
+  }
+
+  // The queued-alert job calls this once an after-hours alert has gone out.
+  // `escalation.business` is the embedded businesses row (timezone, sla_policies).
+  async markNotified(escalation) {
+    const notifiedAt = new Date().toISOString();
+    const slaDueAt = getSlaDueAt(getSlaPolicy(escalation.business, escalation.priority), notifiedAt);
+
+    const updated = await this.dbService.updateEscalation(escalation.id, {
+      notified_at: notifiedAt,
+      sla_due_at: slaDueAt,
+      sla_next_check_at: slaDueAt
+    });
+
+    await this.logEvent(updated, 'notified');
+    return updated;
+  }
+
+  // For steps taken by the system (SLA alerts and the like) rather than a person
+  async logEvent(escalation, eventType, { note = null, details = {} } = {}) {
+    const event = await this.recordEvent(escalation, eventType, 'system', {
+      fromStatus: escalation.status,
+      toStatus: escalation.status,
+      note,
+      details
+    });
+
+    this.broadcast(escalation, event);
+    return event;
+  }
+
+  async transition(escalationId, action, actor, buildUpdates, { note = null, details = null } = {}) {
+    const rule = TRANSITIONS[action];
+    const escalation = await this.dbService.getEscalation(escalationId);
+
+    if (!escalation) {
+      throw lifecycleError('Escalation not found', 404);
+    }
+
+    if (!rule.from.includes(escalation.status)) {
+      throw lifecycleError(`Cannot ${action} an escalation that is ${escalation.status}`, 409);
+    }
+
+    const updates = await buildUpdates(escalation);
+    let updated = escalation;
+
+    if (updates || rule.to) {
+      updated = await this.dbService.transitionEscalation(escalation.id, [escalation.status], {
+        ...(rule.to ? { status: rule.to } : {}),
+        ...updates
+      });
+
+      if (!updated) {
+        throw lifecycleError('Escalation was changed by someone else; reload and try again', 409);
+      }
+    }
+
+    const event = await this.recordEvent(updated, rule.event, actor, {
+      fromStatus: escalation.status,
+      toStatus: updated.status,
+      note,
+      details: details ? details(escalation) : {}
+    });
+
+    if (updated.status !== escalation.status) {
+      await this.syncConversation(updated);
+    }
+
+    this.broadcast(updated, event);
+    return { escalation: updated, event };
+  }
+
+  async recordEvent(escalation, eventType, actor, { fromStatus = null, toStatus = null, note = null, details = {} } = {}) {
+    return await this.dbService.createEscalationEvent({
+      escalation_id: escalation.id,
+      business_id: escalation.business_id,
+      event_type: eventType,
+      actor: actor || 'system',
+      from_status: fromStatus,
+      to_status: toStatus,
+      note: note || null,
+      details
+    });
+  }
+
+  async syncConversation(escalation) {
+    if (!escalation.conversation_id) {
+      return;
+    }
+
+    const updates = { status: CONVERSATION_STATUS[escalation.status] };
+
+    if (escalation.status === 'resolved') {
+      updates.escalation_pending = false;
+    }
+
+    try {
+      await this.dbService.updateConversation(escalation.conversation_id, updates);
+    } catch (error) {
+      // The escalation change stands even if the conversation lags behind
+      logger.error(`Error syncing conversation for escalation ${escalation.id}:`, error);
+    }
+  }
+
+  broadcast(escalation, event) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(`business-${escalation.business_id}`).emit('escalation-updated', { escalation, event });
+  }
+}
+
+module.exports = EscalationService;
@@ -0,0 +1,169 @@
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+// Most recent messages given to the model; older ones rarely change the picture
+const MAX_TRANSCRIPT_MESSAGES = 20;
+
+const MAX_QUOTE_LENGTH = 160;
+
+const REQUIREMENT_CUES = [
+  'need', 'needs', 'want', 'wants', 'looking for', 'would like', "i'd like", 'must', 'has to',
+  'require', 'requirement', 'budget', 'deadline', 'by the end', 'before', 'launch'
+];
+
+const summarySchema = Joi.object({
+  summary: Joi.string().max(1000).required(),
+  key_requirements: Joi.array().items(Joi.string().max(300)).max(10).required(),
+  open_questions: Joi.array().items(Joi.string().max(300)).max(10).required(),
+  suggested_reply: Joi.string().max(2000).required()
+});
+
+const splitSentences = (text) => String(text || '')
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length > 2);
+
+const quote = (text) => text.length > MAX_QUOTE_LENGTH ? `${text.slice(0, MAX_QUOTE_LENGTH - 3).trim()}...` : text;
+
+const unique = (items) => [...new Set(items)];
+
+// Writes what the owner needs to pick up an escalation without reading the
+// whole chat: a summary, the customer's key requirements, their open questions
+// and a draft reply. The local provider (no LLM configured or reachable) gets
+// an extractive version pulled straight from the customer's messages.
+class EscalationSummarizer {
+  constructor(llmService) {
+    this.llm = llmService;
+  }
+
+  // messages: the conversation so far, oldest first ({ sender, content })
+  async summarize({ messages, escalationReason, priority, customerInfo = {}, businessConfig = null }) {
+    const transcript = (messages || [])
+      .filter(entry => entry.content)
+      .slice(-MAX_TRANSCRIPT_MESSAGES);
+    const context = { transcript, escalationReason, priority, customerInfo, businessConfig };
+    const extractive = () => this.summarizeExtractively(context);
+
+    try {
+      const result = await this.llm.generate({
+        prompt: this.buildPrompt(context),
+        json: true,
+        temperature: 0.3,
+        fallback: () => this.toStoredShape(extractive())
+      }, {
+        providerOrder: this.llm.getProviderOrder(businessConfig)
+      });
+
+      if (result.provider === 'local') {
+        return { ...extractive(), source: 'extractive' };
+      }
+
+      const { error, value } = summarySchema.validate(result.data, { stripUnknown: true });
+
+      if (error) {
+        logger.warn('Escalation summary from the model was off-schema, using the extractive one', { error: error.message });
+        return { ...extractive(), source: 'extractive' };
+      }
+
+      return {
+        summary: value.summary,
+        keyRequirements: value.key_requirements,
+        openQuestions: value.open_questions,
+        suggestedReply: value.suggested_reply,
+        source: 'llm',
+        provider: result.provider,
+        model: result.model
+      };
+    } catch (error) {
+      logger.error('Error summarizing escalation:', error);
+      return { ...extractive(), source: 'extractive' };
+    }
+  }
+
+  buildPrompt({ transcript, escalationReason, priority, customerInfo, businessConfig }) {
+    const lines = transcript
+      .map(entry => `${entry.sender === 'customer' ? 'Customer' : 'Assistant'}: ${entry.content}`)
+      .join('\n');
+
+    return `You are briefing the owner of ${businessConfig?.name || 'a small business'} on a customer conversation that has been handed to them.
+
+Escalation reason: ${(escalationReason || 'not given').replace(/_/g, ' ')}
+Priority: ${priority || 'medium'}
+Customer: ${customerInfo?.name || 'name not given'}
+Brand voice for the reply: ${(businessConfig?.brand_voice || 'professional_friendly').replace(/_/g, ' ')}
+
+Conversation:
+${lines}
+
+Respond with ONLY a JSON object (no markdown formatting):
+{
+  "summary": "two or three sentences: who the customer is, what they want and why it needs a person",
+  "key_requirements": ["what the customer needs, one per entry, including any budget or deadline they gave"],
+  "open_questions": ["questions the customer asked that have not been answered yet"],
+  "suggested_reply": "a short message the owner could send the customer as-is, addressed to them by first name"
+}`;
+  }
+
+  // Deterministic: every line comes from the customer's own words
+  summarizeExtractively({ transcript, escalationReason, priority, customerInfo, businessConfig }) {
+    const customerMessages = transcript.filter(entry => entry.sender === 'customer').map(entry => entry.content.trim());
+    const sentences = unique(customerMessages.flatMap(splitSentences));
+
+    const openQuestions = sentences.filter(sentence => sentence.endsWith('?')).slice(-3);
+    const keyRequirements = sentences
+      .filter(sentence => !sentence.endsWith('?') && this.hasRequirementCue(sentence))
+      .slice(0, 5);
+
+    const name = customerInfo?.name || 'A customer';
+    const reason = (escalationReason || 'needs a person').replace(/_/g, ' ');
+    const first = customerMessages[0];
+    const latest = customerMessages[customerMessages.length - 1];
+
+    let summary = `${name} was escalated (${reason}).`;
+
+    if (first) {
+      summary += ` They opened with: "${quote(first)}"`;
+    }
+
+    if (latest && latest !== first) {
+      summary += ` Latest message: "${quote(latest)}"`;
+    }
+
+    return {
+      summary,
+      keyRequirements,
+      openQuestions,
+      suggestedReply: this.draftReply({ customerInfo, priority, businessConfig, openQuestions })
+    };
+  }
+
+  draftReply({ customerInfo, priority, businessConfig, openQuestions }) {
+    const firstName = customerInfo?.name ? customerInfo.name.split(' ')[0] : 'there';
+    const businessName = businessConfig?.name ? ` with ${businessConfig.name}` : '';
+    const urgent = priority === 'high' || priority === 'urgent';
+    const question = openQuestions[openQuestions.length - 1];
+
+    return [
+      `Hi ${firstName}, thanks for getting in touch${businessName}.`,
+      urgent ? "I saw you needed help quickly, so I'm getting back to you as soon as I can." : null,
+      question ? `You asked: "${quote(question)}" - I'd be happy to go through that with you.` : "I've read through your conversation with our assistant.",
+      'Are you free for a quick call so we can go through the details?'
+    ].filter(Boolean).join(' ');
+  }
+
+  hasRequirementCue(sentence) {
+    const lower = sentence.toLowerCase();
+    return REQUIREMENT_CUES.some(cue => new RegExp(`(^|\\W)${cue}($|\\W)`).test(lower)) || /[$£€]\s?\d/.test(sentence);
+  }
+
+  toStoredShape(result) {
+    return {
+      summary: result.summary,
+      key_requirements: result.keyRequirements,
+      open_questions: result.openQuestions,
+      suggested_reply: result.suggestedReply
+    };
+  }
+}
+
+module.exports = EscalationSummarizer;
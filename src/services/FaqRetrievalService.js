@@ -0,0 +1,197 @@
+// Offline FAQ retrieval: BM25 ranking over a business's faq_data and service
+// descriptions. No network or model calls, so it also works when every LLM
+// provider is down.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does',
+  'for', 'from', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or',
+  'our', 'so', 'that', 'the', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where',
+  'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+const K1 = 1.2;
+const B = 0.75;
+
+// A match is trusted as a direct answer when it covers at least this share of
+// the question's terms and clears the minimum BM25 score
+const DIRECT_ANSWER_COVERAGE = 0.5;
+const DIRECT_ANSWER_MIN_SCORE = 1.0;
+
+const MAX_CACHED_INDEXES = 200;
+
+class FaqRetrievalService {
+  constructor() {
+    this.indexes = new Map();
+  }
+
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .map(token => this.stem(token));
+  }
+
+  // Light suffix stripping so "websites"/"website" and "hosting"/"host" line up
+  stem(token) {
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+  }
+
+  buildDocuments(knowledge) {
+    const documents = [];
+
+    (knowledge.faqs || []).forEach((faq, index) => {
+      const question = faq.question || faq.q;
+      const answer = faq.answer || faq.a;
+
+      if (!question || !answer) return;
+
+      documents.push({
+        id: `faq_${index}`,
+        type: 'faq',
+        question,
+        answer,
+        // Questions are weighted double; keywords let owners add synonyms
+        text: [question, question, answer, ...(faq.keywords || [])].join(' ')
+      });
+    });
+
+    (knowledge.services || []).forEach(service => {
+      if (!service.description) return;
+
+      const details = [service.priceRange, service.typicalTimeline].filter(Boolean).join(', ');
+
+      documents.push({
+        id: `service_${service.key}`,
+        type: 'service',
+        question: service.name,
+        answer: details ? `${service.description} (${details})` : service.description,
+        text: [service.name, service.name, service.description].join(' ')
+      });
+    });
+
+    return documents;
+  }
+
+  buildIndex(knowledge) {
+    const documents = this.buildDocuments(knowledge).map(document => {
+      const tokens = this.tokenize(document.text);
+      const termFrequencies = new Map();
+
+      tokens.forEach(token => termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1));
+
+      return { ...document, length: tokens.length, termFrequencies };
+    });
+
+    const documentFrequencies = new Map();
+    documents.forEach(document => {
+      for (const term of document.termFrequencies.keys()) {
+        documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+      }
+    });
+
+    const totalLength = documents.reduce((sum, document) => sum + document.length, 0);
+
+    return {
+      documents,
+      documentFrequencies,
+      averageLength: documents.length > 0 ? totalLength / documents.length : 0
+    };
+  }
+
+  // One index per business, rebuilt whenever the business row or the
+  // receptionist's knowledge_base (service descriptions) changes
+  getIndex(knowledge) {
+    if (!knowledge.businessId) {
+      return this.buildIndex(knowledge);
+    }
+
+    const version = `${knowledge.updatedAt || ''}:${knowledge.agentConfigUpdatedAt || ''}`;
+    const cached = this.indexes.get(knowledge.businessId);
+
+    if (cached && cached.version === version) {
+      return cached.index;
+    }
+
+    this.indexes.delete(knowledge.businessId);
+
+    if (this.indexes.size >= MAX_CACHED_INDEXES) {
+      this.indexes.delete(this.indexes.keys().next().value);
+    }
+
+    const index = this.buildIndex(knowledge);
+    this.indexes.set(knowledge.businessId, { version, index });
+
+    return index;
+  }
+
+  search(knowledge, query, options = {}) {
+    const limit = options.limit || 3;
+    const index = this.getIndex(knowledge);
+    const queryTerms = [...new Set(this.tokenize(query))];
+
+    if (queryTerms.length === 0 || index.documents.length === 0) {
+      return [];
+    }
+
+    const totalDocuments = index.documents.length;
+
+    return index.documents
+      .map(document => {
+        let score = 0;
+        let matchedTerms = 0;
+
+        for (const term of queryTerms) {
+          const frequency = document.termFrequencies.get(term) || 0;
+          if (frequency === 0) continue;
+
+          matchedTerms++;
+
+          const documentFrequency = index.documentFrequencies.get(term);
+          const idf = Math.log(1 + (totalDocuments - documentFrequency + 0.5) / (documentFrequency + 0.5));
+          const normalizer = K1 * (1 - B + B * (document.length / (index.averageLength || 1)));
+
+          score += idf * (frequency * (K1 + 1)) / (frequency + normalizer);
+        }
+
+        return {
+          id: document.id,
+          type: document.type,
+          question: document.question,
+          answer: document.answer,
+          score: Number(score.toFixed(4)),
+          coverage: Number((matchedTerms / queryTerms.length).toFixed(2))
+        };
+      })
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Best FAQ answer that is safe to send verbatim, or null
+  getDirectAnswer(matches) {
+    const best = matches.find(match => match.type === 'faq');
+
+    if (!best || best.coverage < DIRECT_ANSWER_COVERAGE || best.score < DIRECT_ANSWER_MIN_SCORE) {
+      return null;
+    }
+
+    return best;
+  }
+
+  // Snippet for LLM prompts
+  formatForPrompt(matches) {
+    if (matches.length === 0) {
+      return 'No matching FAQs.';
+    }
+
+    return matches
+      .map(match => `Q: ${match.question}\nA: ${match.answer}`)
+      .join('\n\n');
+  }
+}
+
+module.exports = FaqRetrievalService;
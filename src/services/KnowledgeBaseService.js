@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+const { getVerticalPack } = require('../verticals');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class KnowledgeBaseService {
+  constructor(dbService = null) {
+    this.dbService = dbService;
+    this.cache = new Map();
+  }
+
+  // Loads and normalizes a business's catalogue. Falls back to the default
+  // vertical pack when there is no database or the business can't be loaded.
+  async getBusinessKnowledge(businessId) {
+    if (!this.dbService || !businessId) {
+      return this.buildKnowledge(null, null);
+    }
+
+    const cached = this.cache.get(businessId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.knowledge;
+    }
+
+    try {
+      const [businessConfig, agentConfig] = await Promise.all([
+        this.dbService.getBusinessConfig(businessId),
+        this.dbService.getAgentConfig(businessId, 'receptionist')
+      ]);
+
+      const knowledge = this.buildKnowledge(businessConfig, agentConfig);
+      this.cache.set(businessId, { knowledge, loadedAt: Date.now() });
+      return knowledge;
+    } catch (error) {
+      logger.error('Error loading business knowledge, using defaults:', error);
+      return this.buildKnowledge(null, null);
+    }
+  }
+
+  invalidate(businessId) {
+    this.cache.delete(businessId);
+  }
+
+  // Anything the business hasn't stored yet comes from its industry's vertical pack
+  buildKnowledge(businessConfig, agentConfig) {
+    const pack = getVerticalPack(businessConfig?.industry);
+
+    const storedTiers = businessConfig?.pricing_tiers || {};
+    const pricingTiers = Object.keys(storedTiers).length > 0 ? storedTiers : pack.pricingTiers;
+
+    const serviceDetails = agentConfig?.knowledge_base?.services || pack.services;
+
+    return {
+      businessId: businessConfig?.id || null,
+      updatedAt: businessConfig?.updated_at || null,
+      agentConfigUpdatedAt: agentConfig?.updated_at || null,
+      businessName: businessConfig?.name || 'our business',
+      timezone: businessConfig?.timezone || null,
+      industry: pack.industry,
+      pack,
+      pricingTiers,
+      services: this.normalizeServices(businessConfig?.services, serviceDetails),
+      faqs: Array.isArray(businessConfig?.faq_data) ? businessConfig.faq_data : []
+    };
+  }
+
+  // businesses.services may hold plain keys or full objects; details for plain
+  // keys come from the receptionist's knowledge_base.services
+  normalizeServices(services, serviceDetails) {
+    const list = Array.isArray(services) && services.length > 0 ? services : Object.keys(serviceDetails);
+
+    return list.map(service => {
+      const key = typeof service === 'string' ? service : service.key || service.name;
+      const details = {
+        ...(serviceDetails[key] || {}),
+        ...(typeof service === 'object' ? service : {})
+      };
+
+      return {
+        key,
+        name: details.name || this.humanize(key),
+        description: details.description || null,
+        typicalTimeline: details.typical_timeline || null,
+        priceRange: details.price_range || null
+      };
+    });
+  }
+
+  getTierForProjectType(knowledge, projectType) {
+    const candidates = knowledge.pack.projectTypeTiers?.[projectType] || [projectType];
+    const tierKey = candidates.find(key => knowledge.pricingTiers[key]);
+
+    return tierKey ? { key: tierKey, ...knowledge.pricingTiers[tierKey] } : null;
+  }
+
+  getOverallRange(knowledge) {
+    const tiers = Object.values(knowledge.pricingTiers).filter(tier => tier.min != null);
+
+    if (tiers.length === 0) {
+      return null;
+    }
+
+    return {
+      min: Math.min(...tiers.map(tier => tier.min)),
+      max: Math.max(...tiers.map(tier => tier.max ?? tier.min))
+    };
+  }
+
+  formatPrice(amount) {
+    return `$${Number(amount).toLocaleString('en-US')}`;
+  }
+
+  formatPriceRange(tier) {
+    if (!tier) return null;
+    if (tier.max == null) return `${this.formatPrice(tier.min)}+`;
+    return `${this.formatPrice(tier.min)}-${this.formatPrice(tier.max)}`;
+  }
+
+  // Plain-text catalogue for LLM prompts
+  buildCatalogueText(knowledge) {
+    const lines = [];
+
+    for (const [key, tier] of Object.entries(knowledge.pricingTiers)) {
+      const timeline = tier.typical_timeline ? `, typically ${tier.typical_timeline}` : '';
+      lines.push(`- ${this.humanize(key)}: ${this.formatPriceRange(tier)}${timeline}`);
+    }
+
+    for (const service of knowledge.services) {
+      const details = [service.description, service.priceRange, service.typicalTimeline].filter(Boolean);
+      lines.push(`- ${service.name}${details.length > 0 ? `: ${details.join(', ')}` : ''}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  humanize(key) {
+    const text = String(key).replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+module.exports = KnowledgeBaseService;
@@ -0,0 +1,186 @@
+const logger = require('../utils/logger');
+const AnthropicProvider = require('./llm/AnthropicProvider');
+const GeminiProvider = require('./llm/GeminiProvider');
+const LocalProvider = require('./llm/LocalProvider');
+
+const DEFAULT_PROVIDER_ORDER = ['gemini', 'anthropic', 'local'];
+
+// Model/tool round trips allowed before the model must answer
+const MAX_TOOL_ROUNDS = 4;
+
+class LLMService {
+  constructor() {
+    this.providers = new Map();
+
+    this.registerProvider(new GeminiProvider());
+    this.registerProvider(new AnthropicProvider());
+    this.registerProvider(new LocalProvider());
+
+    this.defaultOrder = this.parseProviderOrder(process.env.LLM_PROVIDER_ORDER) || DEFAULT_PROVIDER_ORDER;
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  parseProviderOrder(value) {
+    if (!value) return null;
+
+    const order = Array.isArray(value) ? value : String(value).split(',');
+    const cleaned = order.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+
+    return cleaned.length > 0 ? cleaned : null;
+  }
+
+  // Businesses can store their own priority order in businesses.llm_providers
+  getProviderOrder(businessConfig) {
+    return this.parseProviderOrder(businessConfig?.llm_providers) || this.defaultOrder;
+  }
+
+  getProviderStatus() {
+    const status = {};
+    for (const [name, provider] of this.providers) {
+      status[name] = provider.isAvailable();
+    }
+    return status;
+  }
+
+  // Tries each provider in order until one succeeds. With `json: true` the
+  // response is parsed as well, and a malformed payload counts as a failure.
+  // With `tools` (and a `runTool(name, input)` callback) the model may call
+  // tools before it answers.
+  async generate(request, options = {}) {
+    const order = options.providerOrder || this.defaultOrder;
+    const failures = [];
+
+    for (const name of order) {
+      const provider = this.providers.get(name);
+
+      if (!provider || !provider.isAvailable()) {
+        continue;
+      }
+
+      const startedAt = Date.now();
+
+      try {
+        const providerRequest = { ...request, model: options.models?.[name] };
+        const result = request.tools?.length > 0 && request.runTool ?
+          await this.generateWithTools(provider, providerRequest) :
+          await provider.generate(providerRequest);
+
+        const response = {
+          text: result.text,
+          provider: name,
+          model: result.model,
+          latencyMs: Date.now() - startedAt,
+          failures
+        };
+
+        if (request.json) {
+          response.data = this.parseJSON(result.text);
+        }
+
+        if (failures.length > 0) {
+          logger.info('LLM request served after failover', { provider: name, failures });
+        }
+
+        return response;
+      } catch (error) {
+        logger.warn(`LLM provider ${name} failed`, { error: error.message });
+        failures.push({ provider: name, error: error.message });
+      }
+    }
+
+    const error = new Error('No LLM provider was able to handle the request');
+    error.failures = failures;
+    throw error;
+  }
+
+  // Runs the model/tool loop on one provider. Providers without native tool
+  // use get the tool catalogue in the prompt and call tools by replying in JSON.
+  async generateWithTools(provider, request) {
+    if (provider.toolUse === 'none') {
+      return await provider.generate(request);
+    }
+
+    const messages = [{ role: 'user', content: request.prompt }];
+    const maxRounds = request.maxToolRounds || MAX_TOOL_ROUNDS;
+
+    for (let round = 0; round <= maxRounds; round++) {
+      const step = provider.toolUse === 'native' ?
+        await provider.generateWithTools({ ...request, messages }) :
+        await this.emulateToolStep(provider, request, messages);
+
+      if (step.toolCalls.length === 0) {
+        return { text: step.text, model: step.model };
+      }
+
+      if (round === maxRounds) {
+        break;
+      }
+
+      const results = [];
+      for (const call of step.toolCalls) {
+        const { output, error } = await request.runTool(call.name, call.input, { provider: provider.name });
+        results.push({ id: call.id, name: call.name, output, error });
+      }
+
+      messages.push({ role: 'assistant', text: step.text, toolCalls: step.toolCalls });
+      messages.push({ role: 'tool', results });
+    }
+
+    throw new Error(`Model was still calling tools after ${maxRounds} rounds`);
+  }
+
+  async emulateToolStep(provider, request, messages) {
+    const result = await provider.generate({
+      ...request,
+      prompt: this.buildToolEmulationPrompt(request, messages)
+    });
+
+    let parsed = null;
+    try {
+      parsed = this.parseJSON(result.text);
+    } catch (error) {
+      // Not JSON, so not a tool call: treat it as the answer
+    }
+
+    const calls = Array.isArray(parsed?.tool_calls) ?
+      parsed.tool_calls.filter(call => call && typeof call.name === 'string') :
+      [];
+
+    return {
+      text: calls.length > 0 ? '' : result.text,
+      toolCalls: calls.map((call, index) => ({ id: `${call.name}_${index}`, name: call.name, input: call.input || {} })),
+      model: result.model
+    };
+  }
+
+  buildToolEmulationPrompt(request, messages) {
+    const catalogue = request.tools
+      .map(tool => `- ${tool.name}: ${tool.description}\n  input schema: ${JSON.stringify(tool.parameters)}`)
+      .join('\n');
+
+    const results = messages
+      .filter(message => message.role === 'tool')
+      .flatMap(message => message.results)
+      .map(result => `- ${result.name}: ${JSON.stringify(result.error ? { error: result.error } : result.output)}`)
+      .join('\n');
+
+    return `${request.prompt}
+
+You can call these tools before answering:
+${catalogue}
+
+To call tools, reply with ONLY a JSON object: {"tool_calls": [{"name": "tool_name", "input": {}}]}
+Once you have what you need, give your final answer exactly as instructed above.
+${results ? `\nTool results so far:\n${results}\n` : ''}`;
+  }
+
+  parseJSON(text) {
+    const cleaned = String(text).replace(/```json\n?|\n?```/g, '').trim();
+    return JSON.parse(cleaned);
+  }
+}
+
+module.exports = LLMService;
@@ -1,13 +1,28 @@
 const logger = require('../utils/logger');
+const { getBusinessAvailability, formatDateTime } = require('../utils/businessHours');
+const { SHARED_CHANNELS, getRecipientChannels, getHoldUntil } = require('../utils/notificationPreferences');
+
+// Push services drop an alert no device has picked up within a day
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Customer and model text ends up in the email body
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
 
 class NotificationService {
-  constructor() {
+  constructor(dbService = null) {
+    this.dbService = dbService;
     this.channels = {
       sms: this.initializeSMS(),
       email: this.initializeEmail(),
       slack: this.initializeSlack(),
       push: this.initializePush()
     };
+    this.outbox = null;
   }
 
   // Initialize notification channels
@@ -43,66 +58,160 @@ class NotificationService {
     return null;
   }
 
+  // Web Push (VAPID). Generate the key pair once with `npx web-push generate-vapid-keys`;
+  // the subject is a contact address push services can reach you on.
   initializePush() {
-    // Placeholder for push notification service
+    const subject = process.env.VAPID_SUBJECT || (process.env.OWNER_EMAIL && `mailto:${process.env.OWNER_EMAIL}`);
+
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY && subject) {
+      const webpush = require('web-push');
+      webpush.setVapidDetails(subject, process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+      return webpush;
+    }
     return null;
   }
 
   // Main notification methods
-  async sendEscalationNotification(escalationData) {
-    const { priority, customer_info, escalation_reason, summary } = escalationData;
-
-    const message = this.formatEscalationMessage(escalationData);
-
-    // Send notifications based on priority
-    if (priority === 'high') {
-      await Promise.all([
-        this.sendSMSAlert(message),
-        this.sendSlackUrgent(message),
-        this.sendEmailAlert(message)
-      ]);
-    } else {
-      await Promise.all([
-        this.sendSlackNotification(message),
-        this.sendEmailAlert(message)
-      ]);
+  // Alerts wait while the business is closed (after hours, or on a holiday or
+  // closure). Returns when they can go out, or null to send now. A business
+  // with no opening in sight is alerted straight away.
+  getQuietUntil(businessConfig, now = new Date()) {
+    const availability = getBusinessAvailability(businessConfig, now);
+    return !availability.open && availability.nextOpening ? availability.nextOpening.at : null;
+  }
+
+  // Timestamps are shown in the business's timezone when businessConfig is given
+  async sendEscalationNotification(escalationData, businessConfig = null) {
+    const message = this.formatEscalationMessage(escalationData, businessConfig?.timezone);
+    const recipients = await this.getRecipients(businessConfig, escalationData.business_id);
+
+    return this.notifyRecipients(recipients, 'escalation', escalationData.priority || 'medium', message, {
+      timezone: businessConfig?.timezone,
+      urgent: escalationData.priority === 'high' || escalationData.priority === 'urgent'
+    });
+  }
+
+  async sendImmediateEscalation(escalationData, businessConfig = null) {
+    const urgentMessage = {
+      ...escalationData,
+      ...this.formatUrgentMessage(escalationData, businessConfig?.timezone)
+    };
+    const recipients = await this.getRecipients(businessConfig, escalationData.business_id);
+
+    return this.notifyRecipients(recipients, 'immediate_escalation', escalationData.priority || 'high', urgentMessage, {
+      timezone: businessConfig?.timezone,
+      urgent: true
+    });
+  }
+
+  // A heads-up rather than a call to action, so by default it's a push only
+  async sendHotLeadAlert(conversation, agentResponse) {
+    const businessConfig = conversation.businessConfig;
+    const message = this.formatHotLeadMessage(conversation, agentResponse, businessConfig?.timezone);
+    const recipients = await this.getRecipients(businessConfig, conversation.business_id);
+
+    return this.notifyRecipients(recipients, 'hot_lead', 'medium', message, {
+      timezone: businessConfig?.timezone
+    });
+  }
+
+  // Active staff members who receive alerts, or the business owner when
+  // nobody has been set up (businesses.owner_phone / owner_email, then the
+  // OWNER_PHONE / OWNER_EMAIL env vars)
+  async getRecipients(businessConfig = null, businessId = businessConfig?.id) {
+    if (this.dbService && businessId) {
+      try {
+        const staff = await this.dbService.getAlertRecipients(businessId);
+
+        if (staff.length > 0) {
+          return staff;
+        }
+      } catch (error) {
+        logger.error('Error getting alert recipients, alerting the owner instead:', error);
+      }
     }
+
+    return [this.getOwnerRecipient(businessConfig)];
+  }
+
+  getOwnerRecipient(businessConfig = null) {
+    return {
+      name: businessConfig?.owner_name || 'Owner',
+      phone: businessConfig?.owner_phone || process.env.OWNER_PHONE,
+      email: businessConfig?.owner_email || process.env.OWNER_EMAIL,
+      notification_preferences: {},
+      quiet_hours: null
+    };
   }
 
-  async sendImmediateEscalation(escalationData) {
-    const urgentMessage = this.formatUrgentMessage(escalationData);
+  // Sends one alert to each recipient on the channels they chose for this
+  // event and priority (`defaultChannels`, or the built-in defaults, when they
+  // haven't chosen). In a recipient's quiet hours their alert is held in the
+  // outbox until the quiet hours end. Returns the channels delivered.
+  async notifyRecipients(recipients, eventType, priority, message, { defaultChannels = null, timezone = null, urgent = false } = {}) {
+    const shared = new Set();
+    const sends = [];
+
+    for (const recipient of recipients) {
+      const sendAt = getHoldUntil(recipient, priority, timezone);
+
+      for (const channel of getRecipientChannels(recipient, eventType, priority, defaultChannels)) {
+        if (SHARED_CHANNELS.includes(channel)) {
+          shared.add(channel);
+        } else {
+          sends.push([channel, () => this.sendToRecipient(channel, message, recipient, { sendAt })]);
+        }
+      }
+    }
+
+    if (shared.has('slack')) {
+      sends.push(['slack', () => urgent ? this.sendSlackUrgent(message) : this.sendSlackNotification(message)]);
+    }
 
-    // Send via all available channels for immediate escalations
-    await Promise.all([
-      this.sendSMSAlert(urgentMessage),
-      this.sendSlackUrgent(urgentMessage),
-      this.sendEmailAlert(urgentMessage),
-      this.sendPushNotification(urgentMessage)
-    ]);
+    const results = await Promise.all(sends.map(async ([channel, send]) => [channel, await send()]));
+    return [...new Set(results.filter(([, sent]) => sent).map(([channel]) => channel))];
+  }
+
+  sendToRecipient(channel, message, recipient, options = {}) {
+    switch (channel) {
+      case 'sms':
+        return this.sendSMSAlert(message, recipient.phone || null, options);
+      case 'call':
+        return this.placeCall(message, recipient.phone || null, options);
+      case 'email':
+        return this.sendEmailAlert(message, recipient.email || null, options);
+      case 'push':
+        return this.sendPushNotification(message, recipient, options);
+      default:
+        return false;
+    }
   }
 
-  // SMS Notifications
-  async sendSMSAlert(messageData) {
-    if (!this.channels.sms || !process.env.OWNER_PHONE) {
+  // SMS Notifications (to the owner unless another number is given)
+  async sendSMSAlert(messageData, to = process.env.OWNER_PHONE, { sendAt = null } = {}) {
+    if (!this.channels.sms || !to) {
       logger.warn('SMS service not configured');
       return false;
     }
 
-    try {
-      const message = typeof messageData === 'string' ? messageData : messageData.smsText;
-
-      await this.channels.sms.messages.create({
-        body: message,
-        from: process.env.TWILIO_PHONE_NUMBER,
-        to: process.env.OWNER_PHONE
-      });
+    const body = typeof messageData === 'string' ? messageData : messageData.smsText;
+    return this.dispatch('sms', { to, body }, { recipient: to, context: messageData, sendAt });
+  }
 
-      logger.info('SMS alert sent successfully');
-      return true;
-    } catch (error) {
-      logger.error('Failed to send SMS alert:', error);
+  // Voice call that reads the alert out, for when texts have been ignored
+  async placeCall(messageData, to = process.env.OWNER_PHONE, { sendAt = null } = {}) {
+    if (!this.channels.sms || !to) {
+      logger.warn('Voice calls not configured');
       return false;
     }
+
+    const message = typeof messageData === 'string' ? messageData : messageData.voiceText || messageData.smsText;
+    const spoken = message.replace(/[<>&]/g, ' ');
+
+    return this.dispatch('call', {
+      to,
+      twiml: `<Response><Say>${spoken}</Say><Pause length="1"/><Say>${spoken}</Say></Response>`
+    }, { recipient: to, context: messageData, sendAt });
   }
 
   // Slack Notifications
@@ -112,47 +221,40 @@ class NotificationService {
       return false;
     }
 
-    try {
-      const slackMessage = {
-        text: "🚨 URGENT ESCALATION - Staff in a Box",
-        attachments: [
-          {
-            color: "danger",
-            fields: [
-              {
-                title: "Customer",
-                value: `${messageData.customerInfo?.name || 'Unknown'}\n📞 ${messageData.customerInfo?.phone || 'N/A'}`,
-                short: true
-              },
-              {
-                title: "Urgency",
-                value: messageData.urgency || 'HIGH',
-                short: true
-              },
-              {
-                title: "Reason",
-                value: messageData.escalationReason || 'Customer needs immediate assistance',
-                short: false
-              },
-              {
-                title: "Original Message",
-                value: `"${messageData.originalMessage || messageData.summary}"`,
-                short: false
-              }
-            ],
-            footer: "Staff in a Box Alert System",
-            ts: Math.floor(Date.now() / 1000)
-          }
-        ]
-      };
-
-      await this.channels.slack.send(slackMessage);
-      logger.info('Slack urgent notification sent');
-      return true;
-    } catch (error) {
-      logger.error('Failed to send Slack urgent notification:', error);
-      return false;
-    }
+    const slackMessage = {
+      text: "🚨 URGENT ESCALATION - Staff in a Box",
+      attachments: [
+        {
+          color: "danger",
+          fields: [
+            {
+              title: "Customer",
+              value: `${messageData.customerInfo?.name || 'Unknown'}\n📞 ${messageData.customerInfo?.phone || 'N/A'}`,
+              short: true
+            },
+            {
+              title: "Urgency",
+              value: messageData.urgency || 'HIGH',
+              short: true
+            },
+            {
+              title: "Reason",
+              value: messageData.escalationReason || 'Customer needs immediate assistance',
+              short: false
+            },
+            {
+              title: "Original Message",
+              value: `"${messageData.originalMessage || messageData.summary}"`,
+              short: false
+            }
+          ],
+          footer: "Staff in a Box Alert System",
+          ts: Math.floor(Date.now() / 1000)
+        }
+      ]
+    };
+
+    return this.dispatch('slack', slackMessage, { context: messageData });
   }
 
   async sendSlackNotification(messageData) {
@@ -161,83 +263,198 @@ class NotificationService {
       return false;
     }
 
+    const slackMessage = {
+      text: "📋 New Escalation - Staff in a Box",
+      attachments: [
+        {
+          color: "warning",
+          fields: [
+            {
+              title: "Customer",
+              value: `${messageData.customerInfo?.name || 'Unknown'}\n📧 ${messageData.customerInfo?.email || 'N/A'}`,
+              short: true
+            },
+            {
+              title: "Priority",
+              value: messageData.priority || 'Medium',
+              short: true
+            },
+            {
+              title: "Summary",
+              value: messageData.summary || 'Customer inquiry needs attention',
+              short: false
+            }
+          ],
+          footer: "Staff in a Box Alert System",
+          ts: Math.floor(Date.now() / 1000)
+        }
+      ]
+    };
+
+    return this.dispatch('slack', slackMessage, { context: messageData });
+  }
+
+  // Email Notifications
+  async sendEmailAlert(messageData, to = process.env.OWNER_EMAIL, { sendAt = null } = {}) {
+    if (!this.channels.email || !to) {
+      logger.warn('Email service not configured');
+      return false;
+    }
+
+    const emailContent = this.formatEmailContent(messageData);
+
+    return this.dispatch('email', {
+      to,
+      subject: emailContent.subject,
+      html: emailContent.html,
+      text: emailContent.text
+    }, { recipient: to, context: messageData, sendAt });
+  }
+
+  // Re-alert for an escalation nobody has acknowledged. Goes to the alert
+  // recipients on their sla_breach channels (the policy's `channels` unless
+  // they chose others), or only to `contact` (a staff member) on `channels`
+  // when escalating to a backup. Returns the channels that were delivered.
+  async sendSlaReminder(escalation, channels, { contact = null, minutesWaiting, timezone = null } = {}) {
+    const message = this.formatSlaReminder(escalation, minutesWaiting, timezone);
+    const recipients = contact ?
+      [{ ...contact, notification_preferences: {} }] :
+      await this.getRecipients(escalation.business, escalation.business_id);
+
+    return this.notifyRecipients(recipients, 'sla_breach', escalation.priority || 'medium', message, {
+      defaultChannels: channels,
+      timezone,
+      urgent: true
+    });
+  }
+
+  // With an outbox worker attached, the notification is recorded and the
+  // worker delivers it, retrying on failure; true then means it was queued.
+  // Without one (or if the outbox can't be written) it is sent inline.
+  // `sendAt` holds it in the outbox until then (a recipient's quiet hours).
+  async dispatch(channel, payload, { recipient = null, context = null, sendAt = null } = {}) {
+    if (this.outbox) {
+      try {
+        await this.outbox.enqueue({
+          channel,
+          payload,
+          recipient,
+          businessId: context?.businessId || null,
+          escalationId: context?.escalationId || null,
+          sendAt
+        });
+        return true;
+      } catch (error) {
+        logger.error(`Error queueing ${channel} notification, sending it now instead:`, error);
+      }
+    }
+
+    // Nowhere to hold it, and it mustn't go out during quiet hours
+    if (sendAt) {
+      logger.info(`${channel} notification to ${recipient} not sent during their quiet hours`);
+      return false;
+    }
+
     try {
-      const slackMessage = {
-        text: "📋 New Escalation - Staff in a Box",
-        attachments: [
-          {
-            color: "warning",
-            fields: [
-              {
-                title: "Customer",
-                value: `${messageData.customerInfo?.name || 'Unknown'}\n📧 ${messageData.customerInfo?.email || 'N/A'}`,
-                short: true
-              },
-              {
-                title: "Priority",
-                value: messageData.priority || 'Medium',
-                short: true
-              },
-              {
-                title: "Summary",
-                value: messageData.summary || 'Customer inquiry needs attention',
-                short: false
-              }
-            ],
-            footer: "Staff in a Box Alert System",
-            ts: Math.floor(Date.now() / 1000)
-          }
-        ]
-      };
-
-      await this.channels.slack.send(slackMessage);
-      logger.info('Slack notification sent');
+      await this.getDeliverers()[channel](payload);
+      logger.info(`${channel} notification sent`);
       return true;
     } catch (error) {
-      logger.error('Failed to send Slack notification:', error);
+      logger.error(`Failed to send ${channel} notification:`, error);
       return false;
     }
   }
 
-  // Email Notifications
-  async sendEmailAlert(messageData) {
-    if (!this.channels.email || !process.env.OWNER_EMAIL) {
-      logger.warn('Email service not configured');
+  setOutbox(outbox) {
+    this.outbox = outbox;
+  }
+
+  // Send a stored payload; each throws if the provider refuses it
+  getDeliverers() {
+    return {
+      sms: ({ to, body }) => this.requireChannel('sms').messages.create({ body, from: process.env.TWILIO_PHONE_NUMBER, to }),
+      call: ({ to, twiml }) => this.requireChannel('sms').calls.create({ twiml, from: process.env.TWILIO_PHONE_NUMBER, to }),
+      slack: (message) => this.requireChannel('slack').send(message),
+      email: ({ to, subject, html, text }) => this.requireChannel('email').sendMail({ from: process.env.SMTP_USER, to, subject, html, text }),
+      push: ({ subscription, notification }) => this.deliverPush(subscription, notification)
+    };
+  }
+
+  requireChannel(name) {
+    if (!this.channels[name]) {
+      throw new Error(`${name} service not configured`);
+    }
+
+    return this.channels[name];
+  }
+
+  // Push Notifications, to each browser the recipient has subscribed from.
+  // The owner fallback (no staff member) goes to everyone subscribed in the business.
+  async sendPushNotification(messageData, recipient = null, { sendAt = null } = {}) {
+    const businessId = messageData.businessId;
+
+    if (!this.channels.push || !this.dbService || !businessId) {
+      logger.warn('Push notifications not configured');
       return false;
     }
 
-    try {
-      const emailContent = this.formatEmailContent(messageData);
-
-      await this.channels.email.sendMail({
-        from: process.env.SMTP_USER,
-        to: process.env.OWNER_EMAIL,
-        subject: emailContent.subject,
-        html: emailContent.html,
-        text: emailContent.text
-      });
+    let subscriptions;
 
-      logger.info('Email alert sent successfully');
-      return true;
+    try {
+      subscriptions = await this.dbService.getPushSubscriptions(businessId, recipient?.id || null);
     } catch (error) {
-      logger.error('Failed to send email alert:', error);
+      logger.error('Error getting push subscriptions:', error);
+      return false;
+    }
+
+    if (subscriptions.length === 0) {
       return false;
     }
+
+    const notification = this.formatPushNotification(messageData);
+    const results = await Promise.all(subscriptions.map(subscription => this.dispatch('push', {
+      subscription: { endpoint: subscription.endpoint, keys: subscription.keys },
+      notification
+    }, { recipient: subscription.endpoint, context: messageData, sendAt })));
+
+    return results.some(Boolean);
+  }
+
+  async deliverPush(subscription, notification) {
+    try {
+      return await this.requireChannel('push').sendNotification(subscription, JSON.stringify(notification), {
+        TTL: PUSH_TTL_SECONDS,
+        urgency: notification.urgent ? 'high' : 'normal'
+      });
+    } catch (error) {
+      // The browser unsubscribed or the subscription expired: forget it, and
+      // don't retry
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        error.permanent = true;
+        await this.dbService?.deletePushSubscription(subscription.endpoint).catch(deleteError => {
+          logger.error('Error deleting expired push subscription:', deleteError);
+        });
+      }
+      throw error;
+    }
   }
 
-  // Push Notifications (placeholder)
-  async sendPushNotification(messageData) {
-    // Implement push notification logic here
-    logger.info('Push notification would be sent:', messageData);
-    return true;
+  // Where tapping a push notification goes: the conversation on the owner dashboard
+  getConversationUrl(conversationId) {
+    const dashboard = (process.env.DASHBOARD_URL || '').replace(/\/$/, '');
+    return conversationId ? `${dashboard}/conversations/${conversationId}` : dashboard || '/';
   }
 
   // Message formatting methods
-  formatEscalationMessage(escalationData) {
-    const { customer_info, escalation_reason, priority, summary } = escalationData;
+  formatEscalationMessage(escalationData, timezone = null) {
+    const { customer_info, escalation_reason, priority, summary, created_at, key_requirements, open_questions, suggested_reply } = escalationData;
+    // Escalations queued after hours go out later, so show when they were raised
+    const raisedAt = formatDateTime(created_at || new Date(), timezone);
 
     return {
-      smsText: `🚨 Staff Alert: ${customer_info?.name || 'Customer'} needs ${priority} assistance. ${escalation_reason}. Call: ${customer_info?.phone || 'N/A'}`,
+      smsText: `🚨 Staff Alert: ${customer_info?.name || 'Customer'} needs ${priority} assistance. ${escalation_reason}. Call: ${customer_info?.phone || 'N/A'}. Raised ${raisedAt}`,
+
+      raisedAt,
 
       summary: summary || 'Customer escalation needs attention',
 
@@ -245,15 +462,30 @@ class NotificationService {
 
       escalationReason: escalation_reason,
 
-      priority: priority
+      priority: priority,
+
+      businessId: escalationData.business_id,
+
+      escalationId: escalationData.id,
+
+      conversationId: escalationData.conversation_id,
+
+      keyRequirements: key_requirements || [],
+
+      openQuestions: open_questions || [],
+
+      suggestedReply: suggested_reply || null
     };
   }
 
-  formatUrgentMessage(escalationData) {
-    const { customerInfo, originalMessage, urgency } = escalationData;
+  formatUrgentMessage(escalationData, timezone = null) {
+    const { customerInfo, originalMessage, urgency, summary, keyRequirements, openQuestions, suggestedReply } = escalationData;
+    const raisedAt = formatDateTime(new Date(), timezone);
 
     return {
-      smsText: `🚨 URGENT: ${customerInfo?.name} wants to speak NOW! 📞 ${customerInfo?.phone}. Issue: "${originalMessage}". Response promised in 2-5 min!`,
+      smsText: `🚨 URGENT: ${customerInfo?.name} wants to speak NOW! 📞 ${customerInfo?.phone}.${originalMessage ? ` Issue: "${originalMessage}".` : ''} Response promised in 2-5 min! (${raisedAt})`,
+
+      raisedAt,
 
       customerInfo,
 
@@ -261,12 +493,129 @@ class NotificationService {
 
       urgency,
 
-      escalationReason: 'immediate_response_requested'
+      escalationReason: 'immediate_response_requested',
+
+      priority: 'high',
+
+      businessId: escalationData.business_id,
+
+      escalationId: escalationData.escalationId,
+
+      conversationId: escalationData.conversation_id,
+
+      summary,
+
+      keyRequirements: keyRequirements || [],
+
+      openQuestions: openQuestions || [],
+
+      suggestedReply: suggestedReply || null
+    };
+  }
+
+  formatSlaReminder(escalation, minutesWaiting, timezone = null) {
+    const customerInfo = escalation.customer_info || {};
+    const raisedAt = formatDateTime(escalation.created_at || new Date(), timezone);
+    const waiting = `${minutesWaiting} minute${minutesWaiting === 1 ? '' : 's'}`;
+
+    return {
+      smsText: `⏰ STILL WAITING: ${customerInfo.name || 'A customer'} has waited ${waiting} and nobody has picked this up.${escalation.escalation_reason ? ` ${escalation.escalation_reason}.` : ''} Call: ${customerInfo.phone || 'N/A'}`,
+
+      voiceText: `This is Staff in a Box. ${customerInfo.name || 'A customer'} has been waiting ${waiting} for a call back and nobody has picked it up yet. Please check your escalations.`,
+
+      summary: `Not acknowledged after ${waiting}. ${escalation.summary || ''}`.trim(),
+
+      customerInfo,
+
+      escalationReason: escalation.escalation_reason,
+
+      originalMessage: escalation.original_message,
+
+      businessId: escalation.business_id,
+
+      escalationId: escalation.id,
+
+      conversationId: escalation.conversation_id,
+
+      keyRequirements: escalation.key_requirements || [],
+
+      openQuestions: escalation.open_questions || [],
+
+      suggestedReply: escalation.suggested_reply || null,
+
+      priority: 'high',
+
+      urgency: 'HIGH',
+
+      raisedAt
+    };
+  }
+
+  // A customer the sales side has marked hot, before anyone has been asked to call them
+  formatHotLeadMessage(conversation, agentResponse, timezone = null) {
+    const customerInfo = {
+      name: conversation.customer_name || null,
+      phone: conversation.customer_phone || null,
+      email: conversation.customer_email || null,
+      ...(agentResponse.customerInfo || {})
+    };
+    const raisedAt = formatDateTime(new Date(), timezone);
+
+    return {
+      smsText: `🔥 Hot lead: ${customerInfo.name || 'A new customer'} is ready to talk. Call: ${customerInfo.phone || 'N/A'}. (${raisedAt})`,
+
+      pushTitle: `🔥 Hot lead: ${customerInfo.name || 'new customer'}`,
+
+      summary: agentResponse.summary || 'A customer looks ready to buy. Have a look at the conversation while it is warm.',
+
+      customerInfo,
+
+      escalationReason: 'hot_lead',
+
+      priority: 'medium',
+
+      businessId: conversation.business_id,
+
+      conversationId: conversation.id,
+
+      keyRequirements: [],
+
+      openQuestions: [],
+
+      suggestedReply: null,
+
+      raisedAt
+    };
+  }
+
+  // What the service worker shows; tapping it opens `url`. Alerts about the
+  // same escalation share a tag, so a reminder replaces the earlier one.
+  formatPushNotification(messageData) {
+    const name = messageData.customerInfo?.name || 'A customer';
+    const urgent = ['urgent', 'high'].includes(messageData.priority) || messageData.urgency === 'HIGH';
+    const tag = messageData.escalationId ? `escalation-${messageData.escalationId}` :
+      messageData.conversationId ? `conversation-${messageData.conversationId}` : null;
+
+    return {
+      title: messageData.pushTitle || (urgent ? `🚨 ${name} needs you now` : `${name} needs a reply`),
+      body: messageData.summary || messageData.smsText,
+      url: this.getConversationUrl(messageData.conversationId),
+      tag,
+      urgent
     };
   }
 
   formatEmailContent(messageData) {
     const { customerInfo, escalationReason, priority, summary, originalMessage } = messageData;
+    const raisedAt = messageData.raisedAt || formatDateTime(new Date());
+    const keyRequirements = messageData.keyRequirements || [];
+    const openQuestions = messageData.openQuestions || [];
+    // Without a drafted reply (older escalations), fall back to a generic opener
+    const suggestedReply = messageData.suggestedReply ||
+      `Hi ${customerInfo?.name || 'there'}, thanks for reaching out! I'd be happy to help with your inquiry. ` +
+      `${priority === 'high' ? 'I saw you needed immediate assistance - ' : ''}Are you available for a brief call to discuss your project?`;
+    const htmlList = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    const textList = (items) => items.map(item => `- ${item}`).join('\n      ');
 
     const subject = priority === 'high' || messageData.urgency === 'HIGH'
       ? `🚨 URGENT: Staff in a Box Escalation - ${customerInfo?.name || 'Customer'}`
@@ -282,35 +631,47 @@ class NotificationService {
 
             <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
               <h3>Customer Information:</h3>
-              <p><strong>Name:</strong> ${customerInfo?.name || 'Not provided'}</p>
-              <p><strong>Phone:</strong> ${customerInfo?.phone || 'Not provided'}</p>
-              <p><strong>Email:</strong> ${customerInfo?.email || 'Not provided'}</p>
+              <p><strong>Name:</strong> ${escapeHtml(customerInfo?.name || 'Not provided')}</p>
+              <p><strong>Phone:</strong> ${escapeHtml(customerInfo?.phone || 'Not provided')}</p>
+              <p><strong>Email:</strong> ${escapeHtml(customerInfo?.email || 'Not provided')}</p>
             </div>
 
             <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 15px 0;">
               <h3>Escalation Details:</h3>
-              <p><strong>Reason:</strong> ${escalationReason || 'General inquiry'}</p>
-              <p><strong>Priority:</strong> ${priority || 'Medium'}</p>
-              <p><strong>Summary:</strong> ${summary || 'Customer needs assistance'}</p>
+              <p><strong>Reason:</strong> ${escapeHtml(escalationReason || 'General inquiry')}</p>
+              <p><strong>Priority:</strong> ${escapeHtml(priority || 'Medium')}</p>
+              <p><strong>Summary:</strong> ${escapeHtml(summary || 'Customer needs assistance')}</p>
             </div>
 
+            ${keyRequirements.length > 0 ? `
+              <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+                <h3>Key Requirements:</h3>
+                ${htmlList(keyRequirements)}
+              </div>
+            ` : ''}
+
+            ${openQuestions.length > 0 ? `
+              <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+                <h3>Open Questions:</h3>
+                ${htmlList(openQuestions)}
+              </div>
+            ` : ''}
+
             ${originalMessage ? `
               <div style="background: #e3f2fd; padding: 15px; border-radius: 5px; margin: 15px 0;">
                 <h3>Original Message:</h3>
-                <p style="font-style: italic;">"${originalMessage}"</p>
+                <p style="font-style: italic;">"${escapeHtml(originalMessage)}"</p>
               </div>
             ` : ''}
 
             <div style="background: #d4edda; padding: 15px; border-radius: 5px; margin: 15px 0;">
               <h3>Suggested Response:</h3>
-              <p>Hi ${customerInfo?.name || 'there'}, thanks for reaching out! I'd be happy to help with your inquiry.
-              ${priority === 'high' ? 'I saw you needed immediate assistance - ' : ''}
-              Are you available for a brief call to discuss your project?</p>
+              <p>${escapeHtml(suggestedReply)}</p>
             </div>
 
             <p style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px;">
               This notification was sent by Staff in a Box Alert System<br>
-              Time: ${new Date().toLocaleString()}
+              Time: ${raisedAt}
             </p>
           </div>
         </body>
@@ -330,8 +691,10 @@ class NotificationService {
       ${originalMessage ? `Original Message: "${originalMessage}"` : ''}
 
       Summary: ${summary || 'Customer needs assistance'}
+      ${keyRequirements.length > 0 ? `\n      Key requirements:\n      ${textList(keyRequirements)}\n` : ''}${openQuestions.length > 0 ? `\n      Open questions:\n      ${textList(openQuestions)}\n` : ''}
+      Suggested response: ${suggestedReply}
 
-      Time: ${new Date().toLocaleString()}
+      Time: ${raisedAt}
     `;
 
     return { subject, html, text };
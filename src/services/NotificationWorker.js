@@ -0,0 +1,171 @@
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  // 30s, 1m, 2m, 4m... capped at an hour
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * MINUTE_MS,
+  // A 'sending' row older than this belonged to a worker that died mid-send
+  staleAfterMs: 5 * MINUTE_MS
+};
+
+// Delivers the notification outbox. Each notification is written to the
+// notifications table first, then sent by a channel deliverer; every attempt
+// is logged in notification_attempts, and failures are retried with
+// exponential backoff until max_attempts. Deliverers take the stored payload
+// and throw when the provider refuses it.
+class NotificationWorker {
+  constructor(dbService, deliverers, options = {}) {
+    this.dbService = dbService;
+    this.deliverers = deliverers;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  canDeliver(channel) {
+    return typeof this.deliverers[channel] === 'function';
+  }
+
+  // Records the notification and makes the first attempt straight away,
+  // without holding up the caller. With `sendAt` in the future it waits for
+  // the cron run after that instead.
+  async enqueue({ channel, payload, recipient = null, businessId = null, escalationId = null, sendAt = null }) {
+    const held = sendAt && new Date(sendAt) > new Date();
+
+    const notification = await this.dbService.createNotification({
+      business_id: businessId,
+      escalation_id: escalationId,
+      channel,
+      recipient,
+      payload,
+      status: 'pending',
+      max_attempts: this.options.maxAttempts,
+      next_attempt_at: held ? new Date(sendAt).toISOString() : new Date().toISOString()
+    });
+
+    if (held) {
+      logger.info(`${channel} notification held until ${notification.next_attempt_at}`, { notificationId: notification.id });
+      return notification;
+    }
+
+    setImmediate(() => {
+      this.attempt(notification).catch(error => {
+        logger.error(`Error delivering notification ${notification.id}:`, error);
+      });
+    });
+
+    return notification;
+  }
+
+  // Run from a cron job: retries whatever is due
+  async processDue(now = new Date()) {
+    const due = await this.dbService.getDueNotifications(
+      now.toISOString(),
+      new Date(now.getTime() - this.options.staleAfterMs).toISOString()
+    );
+    let delivered = 0;
+
+    for (const notification of due) {
+      try {
+        const result = await this.attempt(notification, now);
+        if (result?.status === 'sent') {
+          delivered++;
+        }
+      } catch (error) {
+        logger.error(`Error delivering notification ${notification.id}:`, error);
+      }
+    }
+
+    return delivered;
+  }
+
+  // One delivery attempt. Returns the updated notification, or null if
+  // another worker claimed it first.
+  async attempt(notification, now = new Date()) {
+    const attemptNumber = (notification.attempts || 0) + 1;
+
+    const claimed = await this.dbService.claimNotification(notification.id, notification.status, notification.attempts || 0, {
+      status: 'sending',
+      attempts: attemptNumber,
+      locked_at: now.toISOString()
+    });
+
+    if (!claimed) {
+      return null;
+    }
+
+    const startedAt = Date.now();
+    let providerId = null;
+    let failure = null;
+
+    try {
+      if (!this.canDeliver(claimed.channel)) {
+        throw new Error(`No deliverer for channel ${claimed.channel}`);
+      }
+
+      const result = await this.deliverers[claimed.channel](claimed.payload);
+      providerId = result?.sid || result?.messageId || null;
+    } catch (error) {
+      failure = error;
+    }
+
+    await this.dbService.createNotificationAttempt({
+      notification_id: claimed.id,
+      attempt_number: attemptNumber,
+      status: failure ? 'failed' : 'sent',
+      error: failure ? failure.message : null,
+      provider_id: providerId,
+      duration_ms: Date.now() - startedAt
+    });
+
+    if (!failure) {
+      logger.info(`${claimed.channel} notification sent`, { notificationId: claimed.id, attempt: attemptNumber });
+
+      return await this.dbService.updateNotification(claimed.id, {
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        locked_at: null,
+        next_attempt_at: null,
+        last_error: null
+      });
+    }
+
+    const maxAttempts = claimed.max_attempts || this.options.maxAttempts;
+    // A deliverer marks an error permanent when retrying can't help
+    const exhausted = failure.permanent || attemptNumber >= maxAttempts;
+
+    logger[exhausted ? 'error' : 'warn'](`${claimed.channel} notification attempt ${attemptNumber}/${maxAttempts} failed`, {
+      notificationId: claimed.id,
+      error: failure.message
+    });
+
+    return await this.dbService.updateNotification(claimed.id, {
+      status: exhausted ? 'failed' : 'retrying',
+      locked_at: null,
+      last_error: failure.message,
+      next_attempt_at: exhausted ? null : new Date(Date.now() + this.getBackoffMs(attemptNumber)).toISOString()
+    });
+  }
+
+  getBackoffMs(attemptNumber) {
+    return Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attemptNumber - 1));
+  }
+
+  // Manual retry of a notification that gave up: gets a fresh set of attempts
+  async retry(notification) {
+    const reset = await this.dbService.claimNotification(notification.id, notification.status, notification.attempts || 0, {
+      status: 'retrying',
+      max_attempts: (notification.attempts || 0) + this.options.maxAttempts,
+      next_attempt_at: new Date().toISOString()
+    });
+
+    if (!reset) {
+      return null;
+    }
+
+    return await this.attempt(reset);
+  }
+}
+
+module.exports = NotificationWorker;
@@ -0,0 +1,211 @@
+const { PRIORITIES, getSlaPolicy, getBackupDueAt } = require('../utils/slaPolicies');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Watches for escalations nobody has acknowledged in time. On a breach it
+// re-alerts the owner on louder channels and, if the policy says so, tells the
+// customer honestly that we're running late; if it's still unclaimed later,
+// the business's backup contact is alerted. Runs from a cron job.
+class SlaMonitor {
+  constructor(dbService, notificationService, escalationService) {
+    this.dbService = dbService;
+    this.notificationService = notificationService;
+    this.escalationService = escalationService;
+  }
+
+  async check(now = new Date()) {
+    const due = await this.dbService.getSlaDueEscalations(now.toISOString());
+    let handled = 0;
+
+    for (const escalation of due) {
+      try {
+        const policy = getSlaPolicy(escalation.business, escalation.priority);
+
+        if (!escalation.sla_stage) {
+          await this.handleBreach(escalation, policy, now);
+        } else if (escalation.sla_stage === 'breached') {
+          await this.alertBackup(escalation, policy, now);
+        }
+
+        handled++;
+      } catch (error) {
+        logger.error(`Error checking SLA for escalation ${escalation.id}:`, error);
+      }
+    }
+
+    return handled;
+  }
+
+  async handleBreach(escalation, policy, now) {
+    const backupDueAt = getBackupDueAt(policy, now);
+
+    // Only if it's still pending: someone may have acknowledged it since the query
+    const claimed = await this.dbService.transitionEscalation(escalation.id, ['pending'], {
+      sla_stage: 'breached',
+      sla_breached_at: now.toISOString(),
+      sla_next_check_at: backupDueAt
+    });
+
+    if (!claimed) {
+      return;
+    }
+
+    // sla_stage is already set, so the breach must be recorded even if the reminder fails
+    let renotified = [];
+
+    try {
+      renotified = await this.notificationService.sendSlaReminder(escalation, policy.renotify_channels, {
+        minutesWaiting: this.minutesWaiting(escalation, now),
+        timezone: escalation.business?.timezone
+      });
+    } catch (error) {
+      logger.error(`Error sending SLA reminder for escalation ${escalation.id}:`, error);
+    }
+
+    const customerUpdated = policy.customer_update ? await this.sendCustomerUpdate(escalation) : false;
+
+    await this.dbService.createSlaBreach({
+      escalation_id: escalation.id,
+      business_id: escalation.business_id,
+      priority: policy.priority,
+      target_minutes: policy.acknowledge_within_minutes,
+      due_at: escalation.sla_due_at,
+      breached_at: now.toISOString(),
+      renotified_channels: renotified,
+      customer_updated: customerUpdated
+    });
+
+    await this.escalationService.logEvent(claimed, 'sla_breached', {
+      note: `Not acknowledged within ${policy.acknowledge_within_minutes} minutes`,
+      details: { renotified_channels: renotified, customer_updated: customerUpdated, backup_due_at: backupDueAt }
+    });
+
+    logger.warn('Escalation SLA breached', { escalationId: escalation.id, priority: policy.priority, renotified });
+  }
+
+  async alertBackup(escalation, policy, now) {
+    const claimed = await this.dbService.transitionEscalation(escalation.id, ['pending'], {
+      sla_stage: 'backup_notified',
+      sla_next_check_at: null
+    });
+
+    if (!claimed) {
+      return;
+    }
+
+    const contact = policy.backup_staff_member_id ?
+      await this.dbService.getStaffMember(escalation.business_id, policy.backup_staff_member_id) :
+      null;
+
+    if (!contact || !contact.active) {
+      await this.escalationService.logEvent(claimed, 'backup_notified', {
+        note: 'No active backup contact is set in sla_policies, so nobody else was alerted',
+        details: { channels: [] }
+      });
+      return;
+    }
+
+    const channels = await this.notificationService.sendSlaReminder(escalation, policy.backup_channels, {
+      contact,
+      minutesWaiting: this.minutesWaiting(escalation, now),
+      timezone: escalation.business?.timezone
+    });
+
+    await this.dbService.updateSlaBreach(escalation.id, {
+      backup_staff_member_id: contact.id,
+      backup_notified_at: now.toISOString()
+    });
+
+    await this.escalationService.logEvent(claimed, 'backup_notified', {
+      note: `Alerted backup contact ${contact.name}`,
+      details: { staff_member_id: contact.id, channels }
+    });
+  }
+
+  // Posted to the conversation and texted to the customer if we have their number
+  async sendCustomerUpdate(escalation) {
+    const customerInfo = escalation.customer_info || {};
+    const firstName = customerInfo.name ? customerInfo.name.split(' ')[0] : null;
+    const businessName = escalation.business?.name || 'our team';
+
+    const message = `Sorry for the wait${firstName ? `, ${firstName}` : ''}. We haven't managed to get back to you as quickly as we said we would. ` +
+      `Your request is still at the top of the list and someone from ${businessName} will be in touch as soon as they can.`;
+
+    try {
+      if (escalation.conversation_id) {
+        await this.dbService.saveMessage({
+          conversation_id: escalation.conversation_id,
+          sender: 'agent',
+          agent_type: 'receptionist',
+          content: message,
+          message_type: 'text',
+          metadata: { slaUpdate: true, escalationId: escalation.id }
+        });
+      }
+
+      if (customerInfo.phone) {
+        await this.notificationService.sendSMSAlert(message, customerInfo.phone);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error(`Error sending SLA update to customer for escalation ${escalation.id}:`, error);
+      return false;
+    }
+  }
+
+  minutesWaiting(escalation, now) {
+    return Math.max(0, Math.round((now - new Date(escalation.notified_at || escalation.created_at)) / MINUTE_MS));
+  }
+
+  // Per-priority acknowledgement times and breach rates since `since`
+  async buildReport(businessId, businessConfig, since) {
+    const [escalations, breaches] = await Promise.all([
+      this.dbService.getNotifiedEscalations(businessId, since),
+      this.dbService.getSlaBreaches(businessId, since)
+    ]);
+
+    const byPriority = {};
+
+    for (const priority of PRIORITIES) {
+      const matching = escalations.filter(escalation => (escalation.priority || 'medium') === priority);
+      const acknowledged = matching.filter(escalation => escalation.acknowledged_at);
+      const minutesToAcknowledge = acknowledged.map(escalation =>
+        (new Date(escalation.acknowledged_at) - new Date(escalation.notified_at)) / MINUTE_MS
+      );
+      const breached = matching.filter(escalation => escalation.sla_breached_at).length;
+
+      byPriority[priority] = {
+        targetMinutes: getSlaPolicy(businessConfig, priority).acknowledge_within_minutes,
+        escalations: matching.length,
+        acknowledged: acknowledged.length,
+        breached,
+        breachRate: matching.length > 0 ? Math.round((breached / matching.length) * 1000) / 10 : 0,
+        averageMinutesToAcknowledge: minutesToAcknowledge.length > 0 ?
+          Math.round((minutesToAcknowledge.reduce((sum, minutes) => sum + minutes, 0) / minutesToAcknowledge.length) * 10) / 10 :
+          null
+      };
+    }
+
+    return {
+      since,
+      byPriority,
+      breaches: breaches.map(breach => ({
+        escalationId: breach.escalation_id,
+        priority: breach.priority,
+        targetMinutes: breach.target_minutes,
+        dueAt: breach.due_at,
+        breachedAt: breach.breached_at,
+        acknowledgedAt: breach.escalation?.acknowledged_at || null,
+        status: breach.escalation?.status || null,
+        customer: breach.escalation?.customer_info || {},
+        renotifiedChannels: breach.renotified_channels,
+        customerUpdated: breach.customer_updated,
+        backupNotifiedAt: breach.backup_notified_at
+      }))
+    };
+  }
+}
+
+module.exports = SlaMonitor;
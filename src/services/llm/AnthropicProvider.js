@@ -0,0 +1,92 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.toolUse = 'native';
+    this.defaultModel = options.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-20241022';
+    this.client = process.env.ANTHROPIC_API_KEY ?
+      new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY }) : null;
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  async generate(request) {
+    const model = request.model || this.defaultModel;
+
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: request.maxTokens || 1024,
+      temperature: request.temperature ?? 0.7,
+      system: request.system,
+      messages: [{ role: 'user', content: request.prompt }]
+    });
+
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return { text, model };
+  }
+
+  // One round of native tool use. `messages` is the provider-neutral
+  // transcript built by LLMService: user prompt, assistant tool calls, tool results.
+  async generateWithTools(request) {
+    const model = request.model || this.defaultModel;
+
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: request.maxTokens || 1024,
+      temperature: request.temperature ?? 0.7,
+      system: request.system,
+      tools: request.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      })),
+      messages: request.messages.map(message => this.toAnthropicMessage(message))
+    });
+
+    return {
+      text: response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      toolCalls: response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input })),
+      model
+    };
+  }
+
+  toAnthropicMessage(message) {
+    if (message.role === 'assistant') {
+      return {
+        role: 'assistant',
+        content: [
+          ...(message.text ? [{ type: 'text', text: message.text }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+        ]
+      };
+    }
+
+    if (message.role === 'tool') {
+      return {
+        role: 'user',
+        content: message.results.map(result => ({
+          type: 'tool_result',
+          tool_use_id: result.id,
+          content: JSON.stringify(result.error ? { error: result.error } : result.output),
+          is_error: Boolean(result.error)
+        }))
+      };
+    }
+
+    return { role: 'user', content: message.content };
+  }
+}
+
+module.exports = AnthropicProvider;
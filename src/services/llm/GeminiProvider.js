@@ -0,0 +1,98 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.toolUse = 'native';
+    this.defaultModel = options.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+    this.client = process.env.GOOGLE_AI_API_KEY ?
+      new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY) : null;
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  async generate(request) {
+    const model = request.model || this.defaultModel;
+
+    const generativeModel = this.client.getGenerativeModel({
+      model,
+      systemInstruction: request.system,
+      generationConfig: {
+        temperature: request.temperature ?? 0.7,
+        maxOutputTokens: request.maxTokens || 1024,
+        ...(request.json ? { responseMimeType: 'application/json' } : {})
+      }
+    });
+
+    const result = await generativeModel.generateContent(request.prompt);
+
+    return { text: result.response.text(), model };
+  }
+
+  // One round of native function calling. JSON mode can't be combined with
+  // tools, so a JSON answer is left to the prompt and parsed by LLMService.
+  async generateWithTools(request) {
+    const model = request.model || this.defaultModel;
+
+    const generativeModel = this.client.getGenerativeModel({
+      model,
+      systemInstruction: request.system,
+      tools: [{
+        functionDeclarations: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: Object.keys(tool.parameters.properties || {}).length > 0 ? tool.parameters : undefined
+        }))
+      }],
+      generationConfig: {
+        temperature: request.temperature ?? 0.7,
+        maxOutputTokens: request.maxTokens || 1024
+      }
+    });
+
+    const result = await generativeModel.generateContent({
+      contents: request.messages.map(message => this.toGeminiContent(message))
+    });
+
+    const parts = result.response.candidates?.[0]?.content?.parts || [];
+
+    return {
+      text: parts.filter(part => part.text).map(part => part.text).join(''),
+      // Gemini doesn't id its calls; results are matched back by name and order
+      toolCalls: parts
+        .filter(part => part.functionCall)
+        .map((part, index) => ({ id: `${part.functionCall.name}_${index}`, name: part.functionCall.name, input: part.functionCall.args || {} })),
+      model
+    };
+  }
+
+  toGeminiContent(message) {
+    if (message.role === 'assistant') {
+      return {
+        role: 'model',
+        parts: [
+          ...(message.text ? [{ text: message.text }] : []),
+          ...message.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.input } }))
+        ]
+      };
+    }
+
+    if (message.role === 'tool') {
+      return {
+        role: 'function',
+        parts: message.results.map(result => ({
+          functionResponse: {
+            name: result.name,
+            response: result.error ? { error: result.error } : { result: result.output }
+          }
+        }))
+      };
+    }
+
+    return { role: 'user', parts: [{ text: message.content }] };
+  }
+}
+
+module.exports = GeminiProvider;
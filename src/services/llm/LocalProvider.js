@@ -0,0 +1,31 @@
+// Deterministic provider with no network dependency. Callers pass a
+// `fallback` function on the request that produces their rule-based answer;
+// this keeps the last link of the failover chain predictable.
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    // Tools are skipped here: the caller's fallback already works without them
+    this.toolUse = 'none';
+    this.defaultModel = 'rules';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async generate(request) {
+    let output;
+
+    if (typeof request.fallback === 'function') {
+      output = await request.fallback();
+    } else {
+      output = request.json ? {} : "Thanks for reaching out! Could you tell me a bit more about what you're looking for?";
+    }
+
+    const text = typeof output === 'string' ? output : JSON.stringify(output);
+
+    return { text, model: this.defaultModel };
+  }
+}
+
+module.exports = LocalProvider;
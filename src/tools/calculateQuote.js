@@ -0,0 +1,53 @@
+module.exports = {
+  name: 'calculate_quote',
+  description: "Estimate a price range from the business's catalogue for a project type or service, optionally for several units.",
+  parameters: {
+    type: 'object',
+    properties: {
+      item: { type: 'string', description: 'Project type, pricing tier or service name, e.g. "ecommerce" or "logo design"' },
+      quantity: { type: 'number', description: 'Number of units (default 1)' }
+    },
+    required: ['item']
+  },
+
+  async execute({ item, quantity }, { conversation, knowledgeBase }) {
+    const knowledge = knowledgeBase.buildKnowledge(conversation.businessConfig, conversation.agentConfigs?.receptionist);
+    const key = item.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const units = quantity > 0 ? quantity : 1;
+
+    const tier = knowledgeBase.getTierForProjectType(knowledge, key);
+
+    if (tier) {
+      return {
+        item: knowledgeBase.humanize(tier.key),
+        unitPrice: knowledgeBase.formatPriceRange(tier),
+        quantity: units,
+        total: knowledgeBase.formatPriceRange({
+          min: tier.min * units,
+          max: tier.max == null ? null : tier.max * units
+        }),
+        typicalTimeline: tier.typical_timeline || null
+      };
+    }
+
+    const service = knowledge.services.find(candidate =>
+      candidate.key === key || candidate.name.toLowerCase() === item.trim().toLowerCase());
+
+    if (service) {
+      return {
+        item: service.name,
+        unitPrice: service.priceRange,
+        quantity: units,
+        total: null,
+        typicalTimeline: service.typicalTimeline,
+        note: 'Catalogue gives a price range for this service only; quote it as written'
+      };
+    }
+
+    return {
+      item,
+      found: false,
+      available: [...Object.keys(knowledge.pricingTiers), ...knowledge.services.map(candidate => candidate.key)]
+    };
+  }
+};
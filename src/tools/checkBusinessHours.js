@@ -0,0 +1,16 @@
+const { getBusinessAvailability } = require('../utils/businessHours');
+
+module.exports = {
+  name: 'check_business_hours',
+  description: 'Check whether the business is open right now (including holiday overrides), its hours today and when it next opens.',
+  parameters: { type: 'object', properties: {} },
+
+  async execute(input, { conversation }) {
+    const businessConfig = conversation.businessConfig || {};
+
+    return {
+      ...getBusinessAvailability(businessConfig),
+      weeklyHours: businessConfig.business_hours || {}
+    };
+  }
+};
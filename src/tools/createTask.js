@@ -0,0 +1,35 @@
+module.exports = {
+  name: 'create_task',
+  description: 'Create a follow-up task for the business owner, such as a callback or quote to prepare.',
+  parameters: {
+    type: 'object',
+    properties: {
+      task_type: { type: 'string', enum: ['callback', 'follow_up', 'quote_preparation'] },
+      priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+      due_date: { type: 'string', description: 'ISO 8601 date/time the task should be done by, if the customer gave one' },
+      notes: { type: 'string', description: 'What the owner needs to know or do' }
+    },
+    required: ['task_type', 'notes']
+  },
+
+  async execute({ task_type, priority, due_date, notes }, { conversation, dbService, agentType }) {
+    const dueDate = due_date && !isNaN(new Date(due_date)) ? new Date(due_date).toISOString() : null;
+
+    const task = await dbService.createTask({
+      business_id: conversation.business_id,
+      conversation_id: conversation.id,
+      task_type,
+      priority: priority || 'medium',
+      due_date: dueDate,
+      customer_info: {
+        name: conversation.customer_name || null,
+        phone: conversation.customer_phone || null,
+        email: conversation.customer_email || null
+      },
+      task_data: { notes, created_by: agentType },
+      assigned_to: 'owner'
+    });
+
+    return { taskId: task.id, taskType: task.task_type, dueDate };
+  }
+};
@@ -0,0 +1,34 @@
+module.exports = {
+  name: 'get_customer_history',
+  description: "Look up this customer's earlier conversations with the business, matched on their phone number or email.",
+  parameters: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', description: 'How many past conversations to return (default 5)' }
+    }
+  },
+
+  async execute({ limit }, { conversation, dbService }) {
+    const contact = { phone: conversation.customer_phone, email: conversation.customer_email };
+
+    if (!contact.phone && !contact.email) {
+      return { conversations: [], reason: 'no_contact_details' };
+    }
+
+    const history = await dbService.getCustomerConversations(conversation.business_id, contact, Math.min(limit || 5, 20) + 1);
+
+    return {
+      conversations: history
+        .filter(previous => previous.id !== conversation.id)
+        .slice(0, Math.min(limit || 5, 20))
+        .map(previous => ({
+          conversationId: previous.id,
+          startedAt: previous.created_at,
+          status: previous.status,
+          inquiryType: previous.inquiry_type,
+          projectType: previous.project_type,
+          leadQuality: previous.lead_quality
+        }))
+    };
+  }
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  name: 'search_faqs',
+  description: "Search the business's FAQs and service catalogue for answers to a customer question.",
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'The question or topic to look up' }
+    },
+    required: ['query']
+  },
+
+  async execute({ query }, { conversation, knowledgeBase, faqRetrieval }) {
+    const knowledge = knowledgeBase.buildKnowledge(conversation.businessConfig, conversation.agentConfigs?.receptionist);
+    const matches = faqRetrieval.search(knowledge, query, { limit: 3 });
+
+    return {
+      matches: matches.map(match => ({ question: match.question, answer: match.answer, score: match.score }))
+    };
+  }
+};
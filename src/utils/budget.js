@@ -0,0 +1,44 @@
+const MULTIPLIERS = {
+  k: 1000,
+  grand: 1000,
+  thousand: 1000,
+  m: 1000000,
+  million: 1000000
+};
+
+const AMOUNT = '(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k|m|grand|thousand|million)?\\b';
+
+// An amount only counts as money with a currency sign, a currency word after
+// it, or a budget phrase before it, so "15 pages" or "3 weeks" are ignored
+const PATTERNS = [
+  new RegExp(`[$£€]\\s?${AMOUNT}`, 'g'),
+  new RegExp(`${AMOUNT}\\s*(?:dollars|usd|pounds|gbp|euros|eur)\\b`, 'g'),
+  new RegExp(`(?:budget|spend|spending|invest|investment)\\s+(?:is\\s+|of\\s+|around\\s+|about\\s+|up to\\s+|roughly\\s+)*${AMOUNT}`, 'g')
+];
+
+const toAmount = (digits, unit) => parseFloat(digits.replace(/,/g, '')) * (unit ? MULTIPLIERS[unit] : 1);
+
+// Finds the budget a customer mentioned ("$15k", "about 20,000 dollars",
+// "budget is around 8k"). With a range, the top of it is what counts.
+function parseBudget(message) {
+  if (!message) return null;
+
+  const lower = String(message).toLowerCase();
+  let best = null;
+
+  for (const pattern of PATTERNS) {
+    for (const match of lower.matchAll(pattern)) {
+      const amount = toAmount(match[1], match[2]);
+
+      if (amount > 0 && (!best || amount > best.amount)) {
+        best = { amount, label: match[0].trim() };
+      }
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  parseBudget
+};
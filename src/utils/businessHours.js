@@ -0,0 +1,219 @@
+const { findClosure } = require('./closures');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when a business hasn't set weekly hours, so only its closures apply
+const ALWAYS_OPEN = Object.fromEntries(DAY_KEYS.map(day => [day, '0-24']));
+
+// How far ahead to look for the next opening (covers a long vacation)
+const MAX_LOOKAHEAD_DAYS = 60;
+
+// "9-17", "9:30-17:30" or "closed" -> minutes since midnight, or null when closed
+function parseHoursRange(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    open: parseInt(match[1]) * 60 + parseInt(match[2] || 0),
+    close: parseInt(match[3]) * 60 + parseInt(match[4] || 0)
+  };
+}
+
+// Calendar date, weekday and minutes since midnight in the business's
+// timezone (server time when unset)
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(entry => entry.type === type).value;
+
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    dayIndex: WEEKDAY_INDEX[part('weekday')],
+    minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+  };
+}
+
+function addDays(localDate, days) {
+  return new Date(Date.parse(`${localDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// The instant at which it is `minutes` past midnight on `localDate` in `timezone`
+function toInstant(localDate, minutes, timezone) {
+  const wallClock = Date.parse(`${localDate}T00:00:00Z`) + minutes * 60 * 1000;
+  let instant = wallClock;
+
+  // Two passes settle the offset either side of a DST change
+  for (let pass = 0; pass < 2; pass++) {
+    const local = getLocalTime(new Date(instant), timezone);
+    const shown = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60 * 1000;
+    instant += wallClock - shown;
+  }
+
+  return new Date(instant);
+}
+
+// A date override ({ "2026-12-24": "9-13" }) wins, then any closure on the
+// calendar (closed all day, or its reduced hours), then the weekly hours
+function getHoursForDate(businessHours, { overrides, closures }, localDate, dayIndex) {
+  if (overrides?.[localDate] !== undefined) {
+    return { value: overrides[localDate], range: parseHoursRange(overrides[localDate]), closure: null };
+  }
+
+  const closure = findClosure(closures, localDate);
+
+  if (closure) {
+    return { value: closure.hours || 'closed', range: parseHoursRange(closure.hours), closure: { id: closure.id, name: closure.name } };
+  }
+
+  const value = businessHours?.[DAY_KEYS[dayIndex]];
+  return { value: value || 'closed', range: parseHoursRange(value), closure: null };
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// 9:00 -> "9am", 13:30 -> "1:30pm"
+function formatClockTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  const suffix = hours >= 12 ? 'pm' : 'am';
+  const displayHours = hours % 12 || 12;
+
+  return mins === 0 ? `${displayHours}${suffix}` : `${displayHours}:${String(mins).padStart(2, '0')}${suffix}`;
+}
+
+// Whether the business is open at `now`, and when it next opens if not.
+// A business that hasn't set any hours is open except on its closures.
+function getBusinessHoursStatus(businessHours, timezone, now = new Date(), calendar = {}) {
+  const local = getLocalTime(now, timezone);
+  const weekly = businessHours && Object.keys(businessHours).length > 0 ? businessHours : ALWAYS_OPEN;
+
+  const today = getHoursForDate(weekly, calendar, local.date, local.dayIndex);
+  const open = Boolean(today.range && local.minutes >= today.range.open && local.minutes < today.range.close);
+
+  let nextOpening = null;
+
+  if (!open) {
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const date = addDays(local.date, offset);
+      const dayIndex = (local.dayIndex + offset) % 7;
+      const { range } = getHoursForDate(weekly, calendar, date, dayIndex);
+
+      if (range && (offset > 0 || local.minutes < range.open)) {
+        nextOpening = {
+          date,
+          day: DAY_KEYS[dayIndex],
+          time: formatMinutes(range.open),
+          inDays: offset,
+          at: toInstant(date, range.open, timezone).toISOString(),
+          label: `${offset === 0 ? 'later today' : offset === 1 ? 'tomorrow' : DAY_NAMES[dayIndex]} at ${formatClockTime(range.open)}`
+        };
+        break;
+      }
+    }
+  }
+
+  return {
+    open,
+    date: local.date,
+    day: DAY_KEYS[local.dayIndex],
+    localTime: formatMinutes(local.minutes),
+    timezone: timezone || null,
+    todayHours: today.value,
+    closure: today.closure,
+    closesAt: open ? formatMinutes(today.range.close) : null,
+    nextOpening
+  };
+}
+
+// Midnight at the start of `date`'s calendar day in `timezone`
+function startOfLocalDay(date, timezone) {
+  return toInstant(getLocalTime(date, timezone).date, 0, timezone);
+}
+
+// Timestamps for emails, SMS and reports: "Mon, Nov 30, 9:05 AM EST"
+function formatDateTime(date, timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(date));
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Hours values are "closed" or an "open-close" range
+function isValidHoursValue(value) {
+  return value === 'closed' || Boolean(parseHoursRange(value));
+}
+
+// Reads hours, timezone, date overrides and the closure calendar from a
+// businesses row (getBusinessConfig embeds `closures`)
+function getBusinessAvailability(businessConfig, now = new Date()) {
+  return getBusinessHoursStatus(
+    businessConfig?.business_hours,
+    businessConfig?.timezone,
+    now,
+    {
+      overrides: businessConfig?.hours_overrides || {},
+      closures: businessConfig?.closures || []
+    }
+  );
+}
+
+// Next moment the business is open at or after `date` (the date itself when already open)
+function getNextOpenTime(businessConfig, date = new Date()) {
+  const status = getBusinessAvailability(businessConfig, date);
+
+  if (status.open || !status.nextOpening) {
+    return date;
+  }
+
+  return new Date(status.nextOpening.at);
+}
+
+module.exports = {
+  DAY_KEYS,
+  parseHoursRange,
+  getLocalTime,
+  addDays,
+  toInstant,
+  startOfLocalDay,
+  formatClockTime,
+  formatDateTime,
+  isValidTimezone,
+  isValidHoursValue,
+  getBusinessHoursStatus,
+  getBusinessAvailability,
+  getNextOpenTime
+};
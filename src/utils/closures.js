@@ -0,0 +1,96 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const RECURRENCES = ['none', 'yearly', 'nth_weekday'];
+
+const toTime = (date) => Date.parse(`${date}T00:00:00Z`);
+
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Length of the closure in days beyond its first day
+function getSpanDays(closure) {
+  return closure.end_date ? Math.max(0, Math.round((toTime(closure.end_date) - toTime(closure.start_date)) / DAY_MS)) : 0;
+}
+
+// nth (1-5, or -1 for last) weekday of a month, e.g. the 4th Thursday of November
+function getNthWeekday(year, month, weekday, nth) {
+  const dayIndex = WEEKDAYS.indexOf(weekday);
+
+  if (nth === -1) {
+    const last = new Date(Date.UTC(year, month, 0));
+    const back = (last.getUTCDay() - dayIndex + 7) % 7;
+    return toDate(last.getTime() - back * DAY_MS);
+  }
+
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const forward = (dayIndex - first.getUTCDay() + 7) % 7;
+  const date = new Date(first.getTime() + (forward + (nth - 1) * 7) * DAY_MS);
+
+  return date.getUTCMonth() === month - 1 ? toDate(date.getTime()) : null;
+}
+
+// First and last day of the closure in a given year, or null if it doesn't happen that year
+function getOccurrence(closure, year) {
+  const startYear = parseInt(closure.start_date.slice(0, 4));
+  const span = getSpanDays(closure);
+  let start;
+
+  switch (closure.recurrence || 'none') {
+    case 'yearly':
+      start = `${year}${closure.start_date.slice(4)}`;
+      // Feb 29 closures fall on Feb 28 in other years
+      if (isNaN(toTime(start)) || toDate(toTime(start)) !== start) {
+        start = `${year}-02-28`;
+      }
+      break;
+
+    case 'nth_weekday': {
+      const rule = closure.recurrence_rule || {};
+      start = getNthWeekday(year, rule.month, rule.weekday, rule.nth);
+      break;
+    }
+
+    default:
+      start = year === startYear ? closure.start_date : null;
+  }
+
+  if (!start || year < startYear) {
+    return null;
+  }
+
+  return { start, end: toDate(toTime(start) + span * DAY_MS) };
+}
+
+// The closure covering a local calendar date (YYYY-MM-DD), if any. The
+// previous year is checked too so a closure spanning New Year is found.
+function findClosure(closures, localDate) {
+  const year = parseInt(localDate.slice(0, 4));
+
+  return (closures || []).find(closure => [year - 1, year].some(candidate => {
+    const occurrence = getOccurrence(closure, candidate);
+    return occurrence && localDate >= occurrence.start && localDate <= occurrence.end;
+  })) || null;
+}
+
+// Next time the closure starts (or the current occurrence, if it's under way)
+function getNextOccurrence(closure, fromDate) {
+  const year = parseInt(fromDate.slice(0, 4));
+
+  for (const candidate of [year - 1, year, year + 1]) {
+    const occurrence = getOccurrence(closure, candidate);
+    if (occurrence && occurrence.end >= fromDate) {
+      return occurrence;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  RECURRENCES,
+  WEEKDAYS,
+  getOccurrence,
+  getNextOccurrence,
+  findClosure
+};
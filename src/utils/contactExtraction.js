@@ -0,0 +1,90 @@
+const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+const PHONE_REGEX = /(\+?1?[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})/;
+
+// Multiple name patterns
+const NAME_PATTERNS = [
+  /(?:my name is|i'm|i am|call me)\s+([a-zA-Z\s]{2,30})(?:\s+and|,|\.|$)/i,
+  /(?:it'?s|this is)\s+([a-zA-Z\s]{2,30})(?:\s+and|,|\.|$)/i,
+  /(?:my nae is|my nam is)\s+([a-zA-Z\s]{2,30})(?:\s+and|,|\.|$)/i // Handle typos
+];
+
+const NON_NAME_REPLIES = ['ok', 'yes', 'no', 'sure', 'thanks', 'hello', 'hi', 'hey'];
+
+// Words that show "i'm ..." / "it's ..." is describing something, not introducing someone
+const NON_NAME_WORDS = [
+  'a', 'an', 'the', 'looking', 'interested', 'trying', 'wondering', 'just', 'not', 'still',
+  'here', 'ready', 'new', 'about', 'for', 'hoping', 'thinking', 'calling', 'asking', 'good',
+  'fine', 'great', 'sorry', 'urgent', 'going', 'getting', 'having', 'in', 'on', 'at'
+];
+
+function isLikelyName(candidate) {
+  const words = candidate.trim().split(/\s+/);
+
+  return words.length >= 1 && words.length <= 3 &&
+    candidate.trim().length >= 2 &&
+    !words.some(word => NON_NAME_WORDS.includes(word.toLowerCase()));
+}
+
+// Pulls a name, email and phone number out of free text. With `allowBareName`
+// a short reply made only of letters ("Jane Smith") is taken as a name.
+function extractContactInfo(message, { allowBareName = true } = {}) {
+  const result = {
+    hasContact: false
+  };
+
+  // Extract email
+  const email = message.match(EMAIL_REGEX);
+  if (email) {
+    result.email = email[0];
+    result.hasContact = true;
+  }
+
+  // Extract phone
+  const phone = message.match(PHONE_REGEX);
+  if (phone) {
+    result.phone = phone[0].trim();
+    result.hasContact = true;
+  }
+
+  // Extract name using multiple patterns
+  for (const pattern of NAME_PATTERNS) {
+    const nameMatch = message.match(pattern);
+    if (nameMatch && isLikelyName(nameMatch[1])) {
+      result.name = nameMatch[1].trim();
+      result.hasContact = true;
+      break;
+    }
+  }
+
+  // Handle "Name, email@domain.com" format
+  if (email && !result.name) {
+    const parts = message.split(',');
+    if (parts.length >= 2) {
+      const potentialName = parts[0].trim();
+      if (potentialName.length >= 2 && potentialName.length <= 30 && /^[a-zA-Z\s]+$/.test(potentialName)) {
+        result.name = potentialName;
+      }
+    }
+  }
+
+  // Simple name detection for standalone names (but be more careful)
+  if (allowBareName && !result.name && !email && !phone) {
+    const trimmed = message.trim();
+
+    // Check if it looks like a name (1-3 words, only letters and spaces, reasonable length)
+    if (trimmed.length <= 30 &&
+        /^[a-zA-Z\s]+$/.test(trimmed) &&
+        isLikelyName(trimmed) &&
+        !NON_NAME_REPLIES.includes(trimmed.toLowerCase())) {
+      result.name = trimmed;
+      result.hasContact = true;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  extractContactInfo,
+  isLikelyName
+};
@@ -2,6 +2,8 @@ const winston = require('winston');
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
+  // Keeps test output readable
+  silent: process.env.NODE_ENV === 'test',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
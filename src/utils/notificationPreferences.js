@@ -0,0 +1,119 @@
+const Joi = require('joi');
+const { PRIORITIES } = require('./slaPolicies');
+const { getLocalTime, addDays, toInstant, isValidTimezone } = require('./businessHours');
+
+// Alerts a recipient can choose channels for
+const EVENT_TYPES = ['escalation', 'immediate_escalation', 'sla_breach', 'hot_lead'];
+
+const CHANNELS = ['sms', 'call', 'email', 'slack', 'push'];
+
+// Goes to the business as a whole rather than to a person, so it's sent once
+// however many recipients ask for it
+const SHARED_CHANNELS = ['slack'];
+
+// Priorities that can break through quiet hours
+const URGENT_PRIORITIES = ['urgent', 'high'];
+
+// What a recipient gets when they haven't set preferences for an event; the
+// SLA re-alert channels come from the business's sla_policies instead
+const DEFAULT_CHANNELS = {
+  escalation: {
+    urgent: ['sms', 'slack', 'email', 'push'],
+    high: ['sms', 'slack', 'email', 'push'],
+    medium: ['slack', 'email'],
+    low: ['slack', 'email']
+  },
+  immediate_escalation: {
+    urgent: ['sms', 'slack', 'email', 'push'],
+    high: ['sms', 'slack', 'email', 'push'],
+    medium: ['sms', 'slack', 'email', 'push'],
+    low: ['sms', 'slack', 'email', 'push']
+  },
+  // Hot leads are always sent at medium priority
+  hot_lead: {
+    medium: ['push']
+  }
+};
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// staff_members.notification_preferences: { "escalation": { "high": ["sms", "email"] } }.
+// An empty list turns that alert off for the recipient.
+const notificationPreferencesSchema = Joi.object().pattern(
+  Joi.string().valid(...EVENT_TYPES),
+  Joi.object().pattern(
+    Joi.string().valid(...PRIORITIES),
+    Joi.array().items(Joi.string().valid(...CHANNELS)).unique()
+  )
+);
+
+// staff_members.quiet_hours: { "start": "22:00", "end": "07:00" }, in the
+// recipient's timezone (the business's when not given). Urgent and high
+// priority alerts still come through unless allow_urgent is false.
+const quietHoursSchema = Joi.object({
+  start: Joi.string().pattern(CLOCK_TIME).required(),
+  end: Joi.string().pattern(CLOCK_TIME).invalid(Joi.ref('start')).required(),
+  timezone: Joi.string().allow(null).custom((value, helpers) => !value || isValidTimezone(value) ? value : helpers.error('any.invalid')),
+  allow_urgent: Joi.boolean().default(true)
+}).allow(null);
+
+const toMinutes = (clockTime) => {
+  const [hours, minutes] = clockTime.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+function getRecipientChannels(recipient, eventType, priority, defaultChannels = null) {
+  const chosen = recipient?.notification_preferences?.[eventType]?.[priority];
+
+  if (Array.isArray(chosen)) {
+    return chosen;
+  }
+
+  return defaultChannels || DEFAULT_CHANNELS[eventType]?.[priority] || DEFAULT_CHANNELS[eventType]?.medium || [];
+}
+
+// When the recipient's quiet hours end, or null if they aren't in them now.
+// Windows may run past midnight ("22:00" to "07:00").
+function getQuietHoursEnd(quietHours, timezone = null, now = new Date()) {
+  if (!quietHours?.start || !quietHours?.end) {
+    return null;
+  }
+
+  const zone = quietHours.timezone || timezone;
+  const local = getLocalTime(now, zone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start < end) {
+    return local.minutes >= start && local.minutes < end ? toInstant(local.date, end, zone) : null;
+  }
+
+  if (local.minutes >= start) {
+    return toInstant(addDays(local.date, 1), end, zone);
+  }
+
+  return local.minutes < end ? toInstant(local.date, end, zone) : null;
+}
+
+// Null when the alert can go now, otherwise when it should be held until
+function getHoldUntil(recipient, priority, timezone = null, now = new Date()) {
+  const quietHours = recipient?.quiet_hours;
+
+  if (quietHours && quietHours.allow_urgent !== false && URGENT_PRIORITIES.includes(priority)) {
+    return null;
+  }
+
+  return getQuietHoursEnd(quietHours, timezone, now);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  CHANNELS,
+  SHARED_CHANNELS,
+  DEFAULT_CHANNELS,
+  notificationPreferencesSchema,
+  quietHoursSchema,
+  getRecipientChannels,
+  getQuietHoursEnd,
+  getHoldUntil
+};
@@ -0,0 +1,74 @@
+const Joi = require('joi');
+
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+
+const CHANNELS = ['sms', 'call', 'slack', 'email'];
+
+const MINUTE_MS = 60 * 1000;
+
+// How long each priority may wait for someone to acknowledge it, and what
+// happens when nobody does. High matches the "2-5 minutes" promised to
+// customers who ask to talk to someone right away.
+const DEFAULT_SLA_POLICIES = {
+  urgent: { acknowledge_within_minutes: 5, renotify_channels: ['sms', 'call'], backup_after_minutes: 10, customer_update: true },
+  high: { acknowledge_within_minutes: 5, renotify_channels: ['sms', 'call'], backup_after_minutes: 15, customer_update: true },
+  medium: { acknowledge_within_minutes: 60, renotify_channels: ['sms', 'slack'], backup_after_minutes: 120, customer_update: false },
+  low: { acknowledge_within_minutes: 240, renotify_channels: ['slack', 'email'], backup_after_minutes: null, customer_update: false }
+};
+
+const policySchema = Joi.object({
+  acknowledge_within_minutes: Joi.number().integer().min(1),
+  // Louder channels used when the deadline passes
+  renotify_channels: Joi.array().items(Joi.string().valid(...CHANNELS)),
+  // Minutes after the breach before the backup contact is alerted; null for never
+  backup_after_minutes: Joi.number().integer().min(0).allow(null),
+  customer_update: Joi.boolean()
+});
+
+// businesses.sla_policies: per-priority overrides of the defaults, plus who to
+// call when nobody picks up
+const slaPoliciesSchema = Joi.object({
+  ...Object.fromEntries(PRIORITIES.map(priority => [priority, policySchema])),
+  backup_staff_member_id: Joi.string().guid().allow(null),
+  backup_channels: Joi.array().items(Joi.string().valid('sms', 'call', 'email'))
+});
+
+function getSlaPolicy(businessConfig, priority) {
+  const stored = businessConfig?.sla_policies || {};
+  const level = PRIORITIES.includes(priority) ? priority : 'medium';
+
+  return {
+    priority: level,
+    ...DEFAULT_SLA_POLICIES[level],
+    ...(stored[level] || {}),
+    backup_staff_member_id: stored.backup_staff_member_id || null,
+    backup_channels: stored.backup_channels || ['sms', 'email']
+  };
+}
+
+// The clock starts when the alert actually goes out, so escalations queued
+// overnight aren't already late when the business opens
+function getSlaDueAt(policy, notifiedAt) {
+  if (!notifiedAt) {
+    return null;
+  }
+
+  return new Date(new Date(notifiedAt).getTime() + policy.acknowledge_within_minutes * MINUTE_MS).toISOString();
+}
+
+function getBackupDueAt(policy, breachedAt) {
+  if (policy.backup_after_minutes === null || policy.backup_after_minutes === undefined) {
+    return null;
+  }
+
+  return new Date(new Date(breachedAt).getTime() + policy.backup_after_minutes * MINUTE_MS).toISOString();
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_SLA_POLICIES,
+  slaPoliciesSchema,
+  getSlaPolicy,
+  getSlaDueAt,
+  getBackupDueAt
+};
@@ -0,0 +1,88 @@
+const UNIT_DAYS = {
+  minute: 1 / (24 * 60),
+  hour: 1 / 24,
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const WORD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, couple: 2, few: 3 };
+
+const toNumber = (value) => WORD_NUMBERS[value] || parseFloat(value);
+
+const unitDays = (unit) => UNIT_DAYS[unit.replace(/s$/, '')];
+
+// Turns catalogue timelines such as "2-4 weeks", "45-60 minutes", "Same day"
+// or "2 weeks to 18 months" into a day range. Returns null when open-ended.
+function parseDuration(text) {
+  if (!text) return null;
+
+  const lower = String(text).toLowerCase();
+
+  if (/same day|today/.test(lower)) {
+    return { minDays: 0, maxDays: 1 };
+  }
+
+  const range = lower.match(/(\d+(?:\.\d+)?)\s*(minutes?|hours?|days?|weeks?|months?|years?)?\s*(?:-|to)\s*(\d+(?:\.\d+)?)\s*(minutes?|hours?|days?|weeks?|months?|years?)/);
+  if (range) {
+    const maxUnit = unitDays(range[4]);
+    const minUnit = range[2] ? unitDays(range[2]) : maxUnit;
+    return { minDays: parseFloat(range[1]) * minUnit, maxDays: parseFloat(range[3]) * maxUnit };
+  }
+
+  const single = lower.match(/(\d+(?:\.\d+)?)\s*(minutes?|hours?|days?|weeks?|months?|years?)/);
+  if (single) {
+    const days = parseFloat(single[1]) * unitDays(single[2]);
+    return { minDays: days, maxDays: days };
+  }
+
+  return null;
+}
+
+// Finds a deadline the customer mentioned ("in 3 weeks", "by next month",
+// "before June 1st") and returns how many days away it is
+function parseDeadline(message, now = new Date()) {
+  const lower = message.toLowerCase();
+
+  const relative = lower.match(/\b(?:in|within|under|next)\s+(?:the\s+)?(?:a\s+)?(\d+|a|an|one|two|three|four|five|six|couple|few)\s*(?:of\s+)?(days?|weeks?|months?)/);
+  if (relative) {
+    const amount = toNumber(relative[1]);
+    return { days: amount * unitDays(relative[2]), label: relative[0].trim() };
+  }
+
+  const named = [
+    [/\b(asap|as soon as possible|urgently|right away)\b/, 0],
+    [/\btoday\b/, 0],
+    [/\btomorrow\b/, 1],
+    [/\b(end of (the|this) week|this week)\b/, 7],
+    [/\bnext week\b/, 14],
+    [/\b(end of (the|this) month|this month)\b/, 30],
+    [/\bnext month\b/, 60]
+  ];
+
+  for (const [pattern, days] of named) {
+    const match = lower.match(pattern);
+    if (match) {
+      return { days, label: match[0] };
+    }
+  }
+
+  const dated = lower.match(new RegExp(`\\b(?:by|before|for|on)\\s+(${MONTHS.join('|')})\\s+(\\d{1,2})(?:st|nd|rd|th)?`));
+  if (dated) {
+    const target = new Date(now.getFullYear(), MONTHS.indexOf(dated[1]), parseInt(dated[2]));
+    if (target < now) {
+      target.setFullYear(target.getFullYear() + 1);
+    }
+    return { days: Math.ceil((target - now) / (24 * 60 * 60 * 1000)), label: dated[0] };
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseDuration,
+  parseDeadline
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_INDUSTRY = 'web_design';
+const BUILT_IN_DIR = path.join(__dirname, 'packs');
+
+const packs = new Map();
+
+function registerVerticalPack(pack) {
+  if (!pack || !pack.industry) {
+    throw new Error('Vertical pack must declare an industry');
+  }
+
+  packs.set(pack.industry, pack);
+}
+
+// Every .js file in the directory is a pack. Extra packs can be installed by
+// pointing VERTICAL_PACKS_DIR at a directory of the same shape.
+function loadPacksFromDirectory(directory) {
+  if (!fs.existsSync(directory)) {
+    logger.warn(`Vertical pack directory not found: ${directory}`);
+    return;
+  }
+
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => {
+      try {
+        registerVerticalPack(require(path.join(directory, file)));
+      } catch (error) {
+        logger.error(`Failed to load vertical pack ${file}:`, error);
+      }
+    });
+}
+
+function getVerticalPack(industry) {
+  return packs.get(industry) || packs.get(DEFAULT_INDUSTRY);
+}
+
+function hasVerticalPack(industry) {
+  return packs.has(industry);
+}
+
+function listVerticalPacks() {
+  return [...packs.values()].map(pack => ({
+    industry: pack.industry,
+    name: pack.name,
+    description: pack.businessDescription
+  }));
+}
+
+loadPacksFromDirectory(BUILT_IN_DIR);
+
+if (process.env.VERTICAL_PACKS_DIR) {
+  loadPacksFromDirectory(path.resolve(process.env.VERTICAL_PACKS_DIR));
+}
+
+module.exports = {
+  DEFAULT_INDUSTRY,
+  registerVerticalPack,
+  getVerticalPack,
+  hasVerticalPack,
+  listVerticalPacks
+};
@@ -0,0 +1,123 @@
+module.exports = {
+  industry: 'dental',
+  name: 'Dental Practice',
+  businessDescription: 'a dental practice',
+  specialty: 'general, cosmetic and emergency dentistry',
+  offering: 'appointment',
+
+  projectTypes: {
+    'checkup': ['check up', 'checkup', 'cleaning', 'hygienist', 'exam'],
+    'emergency': ['toothache', 'broken tooth', 'chipped', 'swelling', 'knocked out', 'abscess'],
+    'cosmetic': ['whitening', 'veneers', 'invisalign', 'aligners', 'straighten'],
+    'restorative': ['filling', 'crown', 'root canal', 'implant', 'bridge', 'dentures']
+  },
+
+  projectTypeTiers: {
+    'checkup': ['checkup'],
+    'emergency': ['emergency'],
+    'cosmetic': ['cosmetic'],
+    'restorative': ['restorative']
+  },
+
+  pricingQuestions: {
+    'checkup': {
+      question: "Are you a new or existing patient, and would you like a hygienist clean at the same visit?",
+      label: "Check-ups typically range from"
+    },
+    'emergency': {
+      question: "How long have you had the pain, and is there any swelling?",
+      label: "Emergency appointments typically range from",
+      suffix: " before any treatment"
+    },
+    'cosmetic': {
+      question: "Which treatment are you interested in - whitening, aligners or veneers?",
+      label: "Cosmetic treatments typically range from"
+    },
+    'restorative': {
+      question: "Has a dentist already recommended a particular treatment?",
+      label: "Restorative treatments typically range from",
+      suffix: " per tooth"
+    }
+  },
+
+  escalationTriggers: [
+    'swelling',
+    'can\'t stop bleeding',
+    'knocked out',
+    'abscess',
+    'insurance claim',
+    'complaint',
+    'treatment went wrong',
+    'medical history'
+  ],
+
+  upsellMap: {
+    'checkup': {
+      mentions: ['check up', 'checkup', 'cleaning'],
+      upsells: ['hygienist_plan', 'whitening', 'fluoride_treatment']
+    },
+    'cosmetic': {
+      mentions: ['whitening', 'straighten'],
+      upsells: ['aligners', 'composite_bonding', 'retainer']
+    }
+  },
+
+  competitors: {
+    'chain_practice': ['aspen dental', 'mydentist', 'bupa dental'],
+    'direct_aligners': ['smiledirectclub', 'byte', 'straight my teeth'],
+    'other_dentist': ['another dentist', 'my old dentist', 'other practice']
+  },
+
+  highValueSignals: ['implant', 'veneers', 'invisalign', 'full mouth'],
+  lowValueSignals: ['just a check', 'quick question'],
+
+  pricingTiers: {
+    checkup: { min: 60, max: 150, typical_timeline: 'Within 1-2 weeks' },
+    emergency: { min: 90, max: 200, typical_timeline: 'Same day' },
+    cosmetic: { min: 300, max: 6000, typical_timeline: '2 weeks to 18 months' },
+    restorative: { min: 150, max: 4000, typical_timeline: '1-3 visits' }
+  },
+
+  services: {
+    'general_dentistry': {
+      description: 'Check-ups, cleans and fillings',
+      typical_timeline: 'Within 1-2 weeks',
+      price_range: '$60-$250'
+    },
+    'emergency_dentistry': {
+      description: 'Same-day appointments for pain and injuries',
+      typical_timeline: 'Same day',
+      price_range: '$90-$200'
+    },
+    'cosmetic_dentistry': {
+      description: 'Whitening, aligners and veneers',
+      typical_timeline: '2 weeks to 18 months',
+      price_range: '$300-$6,000'
+    }
+  },
+
+  faqs: [
+    {
+      question: 'Are you accepting new patients?',
+      answer: 'Yes, we are welcoming new patients - your first visit includes a full exam and x-rays.',
+      keywords: ['register', 'join']
+    },
+    {
+      question: 'Do you accept dental insurance?',
+      answer: 'We work with most major dental insurance plans and can check your cover before your visit.',
+      keywords: ['cover', 'plan']
+    }
+  ],
+
+  customerSegments: {},
+
+  prompts: {
+    pricingIntro: "We always confirm the cost of treatment before we begin. ",
+    greeting: "Hello! I'm here to help with appointments and questions about our dental services. How can I help today?",
+    offTopicRedirect: "That's an interesting question! I can't help with general topics, but I'd be happy to help you book an appointment or answer questions about our dental care. What can I help with?",
+    generalResponse: "Thanks for getting in touch! I'd be happy to help. Are you looking to book a check-up, or is there something specific bothering you?",
+    escalationContactRequest: "I'd like one of our clinicians to speak with you about this directly. Could I get your name and best contact number so they can call you?",
+    scopeReminder: "I help with dental appointments and questions about our treatments. Is there something I can book for you?",
+    finalFallback: "I'm here to help with your dental appointment! What can I help with?"
+  }
+};
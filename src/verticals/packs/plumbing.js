@@ -0,0 +1,122 @@
+module.exports = {
+  industry: 'plumbing',
+  name: 'Plumbing & Heating',
+  businessDescription: 'a plumbing and heating company',
+  specialty: 'plumbing repairs, installations and emergency call-outs',
+  offering: 'job',
+
+  projectTypes: {
+    'emergency': ['burst pipe', 'flooding', 'no water', 'gas smell', 'water everywhere', 'leak'],
+    'repair': ['dripping', 'blocked', 'clogged', 'running toilet', 'low pressure', 'broken'],
+    'installation': ['install', 'new boiler', 'water heater', 'new bathroom', 'replace'],
+    'maintenance': ['service', 'annual check', 'inspection', 'maintenance']
+  },
+
+  projectTypeTiers: {
+    'emergency': ['emergency_callout'],
+    'repair': ['repair'],
+    'installation': ['installation'],
+    'maintenance': ['maintenance']
+  },
+
+  pricingQuestions: {
+    'emergency': {
+      question: "Is water still running right now, and have you been able to turn off the stopcock?",
+      label: "Emergency call-outs typically range from"
+    },
+    'repair': {
+      question: "Can you tell me a bit more about what's happening and where in the property it is?",
+      label: "Standard repairs typically range from"
+    },
+    'installation': {
+      question: "What are you looking to have installed, and is it replacing an existing unit?",
+      label: "Installations typically range from",
+      suffix: " including parts"
+    },
+    'maintenance': {
+      question: "Which appliances or systems would you like serviced?",
+      label: "Maintenance visits typically range from"
+    }
+  },
+
+  escalationTriggers: [
+    'gas smell',
+    'smell gas',
+    'carbon monoxide',
+    'burst pipe',
+    'flooding',
+    'sewage',
+    'insurance claim',
+    'commercial property'
+  ],
+
+  upsellMap: {
+    'repair': {
+      mentions: ['blocked', 'clogged', 'leak'],
+      upsells: ['drain_camera_survey', 'annual_service_plan']
+    },
+    'installation': {
+      mentions: ['boiler', 'water heater'],
+      upsells: ['smart_thermostat', 'extended_warranty', 'water_softener']
+    }
+  },
+
+  competitors: {
+    'national_chain': ['british gas', 'roto-rooter', 'mr. rooter'],
+    'marketplace': ['checkatrade', 'angi', 'homeadvisor', 'thumbtack'],
+    'other_plumber': ['another plumber', 'other quote', 'handyman']
+  },
+
+  highValueSignals: ['new boiler', 'new bathroom', 'repipe', 'commercial'],
+  lowValueSignals: ['dripping tap', 'small leak'],
+
+  pricingTiers: {
+    emergency_callout: { min: 150, max: 350, typical_timeline: 'Same day, usually within 2 hours' },
+    repair: { min: 90, max: 300, typical_timeline: '1-3 days' },
+    installation: { min: 800, max: 6000, typical_timeline: '1-2 weeks' },
+    maintenance: { min: 80, max: 150, typical_timeline: 'Within the week' }
+  },
+
+  services: {
+    'emergency_repairs': {
+      description: '24/7 emergency call-outs for leaks and bursts',
+      typical_timeline: 'Same day',
+      price_range: '$150-$350 call-out'
+    },
+    'installations': {
+      description: 'Boilers, water heaters and bathroom fit-outs',
+      typical_timeline: '1-2 weeks',
+      price_range: '$800-$6,000'
+    },
+    'servicing': {
+      description: 'Annual boiler and heating system servicing',
+      typical_timeline: 'Within the week',
+      price_range: '$80-$150'
+    }
+  },
+
+  faqs: [
+    {
+      question: 'Do you offer emergency call-outs?',
+      answer: 'Yes - we run a 24/7 emergency line and usually arrive within two hours.',
+      keywords: ['24 hour', 'night', 'weekend']
+    },
+    {
+      question: 'Are your plumbers licensed and insured?',
+      answer: 'All of our engineers are fully licensed and insured, and gas work is done by registered engineers.',
+      keywords: ['certified', 'qualified']
+    }
+  ],
+
+  customerSegments: {},
+
+  prompts: {
+    pricingIntro: "We quote a fixed price before any work starts, so there are no surprises. ",
+    greeting: "Hello! I'm here to help with plumbing and heating jobs, including emergencies. What's going on?",
+    offTopicRedirect: "That's an interesting question! I can't help with general topics, but I'd be happy to help with any plumbing or heating problem. What do you need a hand with?",
+    generalResponse: "Thanks for getting in touch! Can you tell me a bit more about the problem or the job you have in mind?",
+    escalationContactRequest: "That sounds like it needs an engineer to look at it directly. Could I get your name and best contact number so they can call you straight away?",
+    scopeReminder: "I help with plumbing and heating jobs. Is there something at your property that needs fixing?",
+    finalFallback: "I'm here to help with your plumbing or heating job! What's the problem?"
+  }
+};
@@ -0,0 +1,119 @@
+module.exports = {
+  industry: 'restaurant',
+  name: 'Restaurant & Catering',
+  businessDescription: 'a restaurant',
+  specialty: 'dining, private events and catering',
+  offering: 'booking',
+
+  projectTypes: {
+    'reservation': ['table for', 'reservation', 'book a table', 'tonight', 'dinner for'],
+    'private_event': ['private room', 'private dining', 'birthday', 'party', 'rehearsal dinner'],
+    'catering': ['catering', 'cater', 'office lunch', 'delivery for'],
+    'takeout': ['takeout', 'take out', 'pickup', 'to go', 'order online']
+  },
+
+  projectTypeTiers: {
+    'reservation': ['dinner'],
+    'private_event': ['private_event'],
+    'catering': ['catering'],
+    'takeout': ['dinner']
+  },
+
+  pricingQuestions: {
+    'reservation': {
+      question: "How many guests, and what date and time were you thinking?",
+      label: "Dinner typically runs from",
+      suffix: " per person"
+    },
+    'private_event': {
+      question: "How many guests are you expecting, and do you have a date in mind?",
+      label: "Private events typically range from",
+      suffix: " per person"
+    },
+    'catering': {
+      question: "How many people will you be catering for, and is it a buffet or plated service?",
+      label: "Catering typically ranges from",
+      suffix: " per person"
+    }
+  },
+
+  escalationTriggers: [
+    'food poisoning',
+    'got sick',
+    'allergic reaction',
+    'found a hair',
+    'complaint',
+    'refund',
+    'speak to the manager',
+    'buyout'
+  ],
+
+  upsellMap: {
+    'private_event': {
+      mentions: ['birthday', 'party', 'private room'],
+      upsells: ['set_menu', 'wine_pairing', 'celebration_cake']
+    },
+    'catering': {
+      mentions: ['catering', 'office lunch'],
+      upsells: ['dessert_platter', 'beverage_package', 'staffed_service']
+    }
+  },
+
+  competitors: {
+    'delivery_app': ['uber eats', 'doordash', 'grubhub', 'deliveroo'],
+    'booking_platform': ['opentable', 'resy'],
+    'other_restaurant': ['another restaurant', 'other place', 'down the street']
+  },
+
+  highValueSignals: ['private room', 'buyout', 'catering', 'corporate event'],
+  lowValueSignals: ['just a coffee', 'quick bite'],
+
+  pricingTiers: {
+    dinner: { min: 25, max: 60, typical_timeline: 'Walk-ins welcome, book ahead on weekends' },
+    private_event: { min: 55, max: 120, typical_timeline: 'Book 2-4 weeks ahead' },
+    catering: { min: 18, max: 45, typical_timeline: '72 hours notice' }
+  },
+
+  services: {
+    'dine_in': {
+      description: 'Lunch and dinner service in our dining room',
+      typical_timeline: 'Same day',
+      price_range: '$25-$60 per person'
+    },
+    'private_dining': {
+      description: 'Private room for groups of 10-40 guests',
+      typical_timeline: '2-4 weeks notice',
+      price_range: '$55-$120 per person'
+    },
+    'catering': {
+      description: 'Off-site catering for offices and events',
+      typical_timeline: '72 hours notice',
+      price_range: '$18-$45 per person'
+    }
+  },
+
+  faqs: [
+    {
+      question: 'Do you have vegetarian or gluten-free options?',
+      answer: 'Yes - our menu marks vegetarian, vegan and gluten-free dishes, and the kitchen can adapt most plates.',
+      keywords: ['vegan', 'allergies', 'dietary']
+    },
+    {
+      question: 'Do you take walk-ins?',
+      answer: 'We welcome walk-ins, but we recommend booking ahead on Friday and Saturday evenings.',
+      keywords: ['reservation', 'without booking']
+    }
+  ],
+
+  customerSegments: {},
+
+  prompts: {
+    pricingIntro: "Happy to help with that! ",
+    greeting: "Hello! I'm here to help with reservations, events and catering. What can I do for you today?",
+    offTopicRedirect: "That's an interesting question! I can't help with general topics, but I'd be happy to help you with a reservation, private event or catering order. What are you planning?",
+    generalResponse: "Thanks for getting in touch! I'd be happy to help. Are you looking to book a table, plan an event or order catering?",
+    escalationContactRequest: "I'm really sorry to hear that. I'd like our manager to follow up with you personally. Could I get your name and best contact number?",
+    scopeReminder: "I help with reservations, events and catering. Is there something I can book for you?",
+    finalFallback: "I'm here to help with your reservation or event! What are you planning?"
+  }
+};
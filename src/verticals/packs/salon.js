@@ -0,0 +1,128 @@
+module.exports = {
+  industry: 'salon',
+  name: 'Hair & Beauty Salon',
+  businessDescription: 'a hair and beauty salon',
+  specialty: 'haircuts, colour, styling and beauty treatments',
+  offering: 'appointment',
+
+  projectTypes: {
+    'haircut': ['haircut', 'hair cut', 'trim', 'blow dry', 'blowout'],
+    'colour': ['color', 'colour', 'highlights', 'balayage', 'dye', 'roots'],
+    'treatment': ['facial', 'manicure', 'pedicure', 'nails', 'waxing', 'lashes', 'brows'],
+    'bridal': ['wedding', 'bridal', 'bride', 'prom', 'special occasion']
+  },
+
+  projectTypeTiers: {
+    'haircut': ['haircut'],
+    'colour': ['colour'],
+    'treatment': ['treatment'],
+    'bridal': ['bridal']
+  },
+
+  pricingQuestions: {
+    'haircut': {
+      question: "Is this a cut only, or would you like a wash and blow dry as well?",
+      label: "Cuts typically range from"
+    },
+    'colour': {
+      question: "Are you thinking of a full colour, highlights or a root touch-up?",
+      label: "Colour services typically range from",
+      suffix: " depending on hair length"
+    },
+    'treatment': {
+      question: "Which treatment are you interested in?",
+      label: "Beauty treatments typically range from"
+    },
+    'bridal': {
+      question: "How many people will need styling on the day?",
+      label: "Bridal and occasion styling typically ranges from",
+      suffix: " per person"
+    }
+  },
+
+  escalationTriggers: [
+    'allergic reaction',
+    'patch test',
+    'burned my scalp',
+    'damaged my hair',
+    'fix my colour',
+    'fix my color',
+    'refund',
+    'complaint',
+    'group booking'
+  ],
+
+  upsellMap: {
+    'haircut': {
+      mentions: ['haircut', 'trim'],
+      upsells: ['deep_conditioning', 'blow_dry', 'scalp_treatment']
+    },
+    'colour': {
+      mentions: ['color', 'colour', 'highlights'],
+      upsells: ['gloss_treatment', 'bond_repair', 'aftercare_products']
+    },
+    'bridal': {
+      mentions: ['wedding', 'bridal'],
+      upsells: ['trial_session', 'makeup', 'bridal_party_package']
+    }
+  },
+
+  competitors: {
+    'chain_salon': ['supercuts', 'great clips', 'toni & guy'],
+    'booking_app': ['fresha', 'booksy', 'treatwell'],
+    'other_salon': ['other salon', 'my usual stylist', 'another salon']
+  },
+
+  highValueSignals: ['wedding', 'bridal', 'balayage', 'full colour', 'full color'],
+  lowValueSignals: ['just a trim', 'quick trim'],
+
+  pricingTiers: {
+    haircut: { min: 35, max: 85, typical_timeline: '45-60 minutes' },
+    colour: { min: 80, max: 250, typical_timeline: '2-3 hours' },
+    treatment: { min: 25, max: 120, typical_timeline: '30-90 minutes' },
+    bridal: { min: 120, max: 350, typical_timeline: 'Book 2-3 months ahead' }
+  },
+
+  services: {
+    'cut_and_style': {
+      description: 'Haircuts, blow dries and styling',
+      typical_timeline: '45-60 minutes',
+      price_range: '$35-$85'
+    },
+    'colour': {
+      description: 'Full colour, highlights and balayage',
+      typical_timeline: '2-3 hours',
+      price_range: '$80-$250'
+    },
+    'beauty_treatments': {
+      description: 'Nails, lashes, brows and facials',
+      typical_timeline: '30-90 minutes',
+      price_range: '$25-$120'
+    }
+  },
+
+  faqs: [
+    {
+      question: 'Do I need a patch test before colouring?',
+      answer: 'Yes, we ask for a quick patch test at least 48 hours before any colour service.',
+      keywords: ['allergy', 'color']
+    },
+    {
+      question: 'What is your cancellation policy?',
+      answer: 'Please give us at least 24 hours notice to cancel or reschedule your appointment.',
+      keywords: ['cancel', 'reschedule']
+    }
+  ],
+
+  customerSegments: {},
+
+  prompts: {
+    pricingIntro: "Happy to help with pricing! ",
+    greeting: "Hello! I'm here to help you book your next salon visit. What can I do for you today?",
+    offTopicRedirect: "That's an interesting question! I can't help with general topics, but I'd be happy to help you with a booking or any questions about our salon services. What are you looking to have done?",
+    generalResponse: "Thanks for getting in touch! I'd be happy to help. Which service are you interested in?",
+    escalationContactRequest: "I'm sorry to hear that - I'd like one of our senior stylists to look into this personally. Could I get your name and best contact number so they can reach you?",
+    scopeReminder: "I help with salon bookings and questions about our services. Is there a treatment you're interested in?",
+    finalFallback: "I'm here to help with your salon booking! Which service are you thinking about?"
+  }
+};
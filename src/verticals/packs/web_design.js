@@ -0,0 +1,139 @@
+module.exports = {
+  industry: 'web_design',
+  name: 'Web Design & Development',
+  businessDescription: 'a web design business',
+  specialty: 'website design and development',
+  offering: 'website',
+
+  projectTypes: {
+    'one_page': ['one page', 'single page', 'landing page', 'simple site'],
+    'ecommerce': ['online store', 'e-commerce', 'sell products', 'shopping cart'],
+    'redesign': ['redesign', 'rebuild', 'complete overhaul', 'start over'],
+    'new_website': ['new website', 'build a site', 'create a website', 'from scratch']
+  },
+
+  // Project type -> pricing tier keys, in order of preference
+  projectTypeTiers: {
+    'one_page': ['one_page'],
+    'new_website': ['business_site'],
+    'ecommerce': ['ecommerce'],
+    'redesign': ['redesign', 'business_site']
+  },
+
+  pricingQuestions: {
+    'one_page': {
+      question: "Are you looking for a simple one-page site or something more comprehensive?",
+      label: "Simple one-page sites typically range from"
+    },
+    'ecommerce': {
+      question: "What type of e-commerce site are you considering?",
+      label: "E-commerce sites typically range from",
+      suffix: " depending on features"
+    },
+    'new_website': {
+      question: "What type of website are you looking for? A simple business site or something more complex?",
+      label: "Business websites typically range from"
+    },
+    'redesign': {
+      question: "What type of redesign are you considering - complete rebuild or working with your existing content?",
+      label: "Complete redesigns typically range from"
+    }
+  },
+
+  escalationTriggers: [
+    'changes to my existing site',
+    'modify my current',
+    'update my website',
+    'add to my site',
+    'crypto payment',
+    'payment gateway',
+    'specific functionality',
+    'custom feature',
+    'how would you implement',
+    'what technology',
+    'database structure',
+    'api integration'
+  ],
+
+  upsellMap: {
+    'basic_website': {
+      mentions: ['simple site', 'basic website', 'one page'],
+      upsells: ['seo_optimization', 'maintenance_plan', 'analytics_setup']
+    },
+    'ecommerce': {
+      mentions: ['online store', 'sell products', 'ecommerce'],
+      upsells: ['payment_gateways', 'inventory_management', 'marketing_automation']
+    },
+    'existing_site': {
+      mentions: ['current site', 'existing website', 'my site'],
+      upsells: ['redesign', 'performance_optimization', 'mobile_optimization']
+    }
+  },
+
+  competitors: {
+    'wix': ['wix', 'wix.com'],
+    'squarespace': ['squarespace', 'square space'],
+    'wordpress': ['wordpress', 'wp'],
+    'shopify': ['shopify'],
+    'webflow': ['webflow'],
+    'local_agency': ['other developer', 'another company', 'local agency']
+  },
+
+  // Lead score adjustments for project scope
+  highValueSignals: ['ecommerce', 'online store'],
+  lowValueSignals: ['simple', 'basic'],
+
+  pricingTiers: {
+    one_page: { min: 1500, max: 3500, typical_timeline: '1-2 weeks' },
+    business_site: { min: 3000, max: 10000, typical_timeline: '2-4 weeks' },
+    ecommerce: { min: 5000, max: 15000, typical_timeline: '4-8 weeks' },
+    custom_app: { min: 10000, max: 50000, typical_timeline: '2-6 months' }
+  },
+
+  services: {
+    'website_design': {
+      description: 'Custom website design and development',
+      typical_timeline: '2-6 weeks',
+      price_range: '$2,000-$15,000'
+    },
+    'app_development': {
+      description: 'Mobile and web application development',
+      typical_timeline: '3-12 months',
+      price_range: '$10,000-$100,000+'
+    },
+    'maintenance': {
+      description: 'Ongoing website updates and support',
+      typical_timeline: 'Ongoing',
+      price_range: '$100-$500/month'
+    }
+  },
+
+  faqs: [],
+
+  // Replies when a customer names the kind of business their site is for
+  customerSegments: {
+    salon: {
+      keywords: ['salon'],
+      reply: "Great! A salon website is a perfect way to showcase your services and allow online booking. What specific features are you looking for - online appointments, service galleries, or something else?"
+    },
+    restaurant: {
+      keywords: ['restaurant'],
+      reply: "Excellent! Restaurant websites are great for showcasing your menu and taking online orders. Are you looking for online ordering, reservations, or just an informational site?"
+    },
+    business: {
+      keywords: ['business website'],
+      exact: ['business'],
+      reply: "Perfect! Business websites help establish credibility and attract customers. What type of business is this for, and what key information do you want to showcase?"
+    }
+  },
+
+  prompts: {
+    pricingIntro: "I'd rather give you a total project cost upfront so there's no confusion or hassle calculating hours. ",
+    greeting: "Hello! I'm here to help with your web development needs. What can I assist you with today?",
+    offTopicRedirect: "That's an interesting question! While I can't help with general topics, I'd be happy to discuss how we can help with your website needs. Are you looking for web design or development services?",
+    generalResponse: "Thanks for reaching out! I'd be happy to help you with your website project. What type of website are you looking to create?",
+    escalationContactRequest: "That's a great question about specific modifications! Since every existing site is different, I'd like to have our developer take a look at your current setup to give you an accurate quote. Could I get your name and best contact number so they can reach you?",
+    scopeReminder: "I help with web development projects. Are you looking to build a website?",
+    finalFallback: "I'm here to help with your website project! What type of website are you thinking about?"
+  }
+};
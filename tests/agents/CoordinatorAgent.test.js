@@ -0,0 +1,50 @@
+const CoordinatorAgent = require('../../src/agents/CoordinatorAgent');
+const LLMService = require('../../src/services/LLMService');
+
+// Only the local provider, so classification falls back to the keyword rules
+const conversation = () => ({
+  id: 'conversation-1',
+  messageCount: 3,
+  businessConfig: { llm_providers: ['local'] }
+});
+
+describe('CoordinatorAgent keyword classification', () => {
+  const agent = new CoordinatorAgent(null, null, new LLMService());
+
+  test.each([
+    'What are your prices?',
+    'Can I get some quotes',
+    'what are your rates',
+    'pricing please',
+    'How much does a website cost?'
+  ])('"%s" is a pricing inquiry', async (message) => {
+    const classification = await agent.classifyIntent(message, conversation());
+
+    expect(classification.intent).toBe('pricing_inquiry');
+    expect(classification.source).toBe('keywords');
+  });
+
+  test.each([
+    'I need it urgently',
+    'This is urgent',
+    'Can someone call me right now?'
+  ])('"%s" is urgent', async (message) => {
+    const classification = await agent.classifyIntent(message, conversation());
+
+    expect(classification.urgency).toBe('urgent');
+  });
+
+  test('keywords still have to be whole words', () => {
+    expect(agent.containsKeyword('I know what I want', ['now'])).toBe(false);
+    expect(agent.containsKeyword('keep them separate', ['rate'])).toBe(false);
+    expect(agent.containsKeyword('that was helpful', ['help'])).toBe(false);
+    expect(agent.containsKeyword('I need help', ['help'])).toBe(true);
+  });
+
+  test('a message with no keywords is a general inquiry', async () => {
+    const classification = await agent.classifyIntent('Hello there', conversation());
+
+    expect(classification.intent).toBe('general_inquiry');
+    expect(classification.urgency).toBe('medium');
+  });
+});
@@ -0,0 +1,50 @@
+const ReceptionistAgent = require('../../src/agents/ReceptionistAgent');
+const LLMService = require('../../src/services/LLMService');
+
+// Only the local provider, so replies come from the keyword rules
+const conversation = (overrides = {}) => ({
+  id: 'conversation-1',
+  messageCount: 3,
+  businessConfig: { llm_providers: ['local'] },
+  contact_collection_stage: 'collect_name',
+  conversation_data: {},
+  ...overrides
+});
+
+describe('ReceptionistAgent contact collection', () => {
+  const agent = new ReceptionistAgent(null, null, new LLMService());
+
+  test('takes a name and asks for the phone number', async () => {
+    const response = await agent.processMessage('Anna Costa', conversation());
+
+    expect(response).toMatchObject({ action: 'collect_contact_info', nextStep: 'collect_phone' });
+    expect(response.conversationUpdates.customer_name).toBe('Anna Costa');
+  });
+
+  test.each(['What are your prices?', 'how long does it take', 'Do you do logos?'])(
+    'answers "%s" instead of taking it as a name', async (message) => {
+      const response = await agent.processMessage(message, conversation());
+
+      expect(response.action).not.toBe('collect_contact_info');
+      expect(response.conversationUpdates?.customer_name).toBeUndefined();
+      expect(response.conversationUpdates.contact_collection_stage).toBeNull();
+    }
+  );
+
+  test('"never mind" ends the flow and drops a pending escalation', async () => {
+    const response = await agent.processMessage('never mind', conversation({
+      contact_collection_stage: 'collect_phone',
+      customer_name: 'Bob',
+      escalation_pending: true,
+      conversation_data: { pending_escalation: { level: 'immediate', reason: 'angry_customer' } }
+    }));
+
+    expect(response.action).toBe('contact_collection_cancelled');
+    expect(response.conversationUpdates).toMatchObject({
+      contact_collection_stage: null,
+      escalation_pending: false,
+      conversation_data: { contact_flow: { values: { name: 'Bob' } } }
+    });
+    expect(response.conversationUpdates.conversation_data.pending_escalation).toBeUndefined();
+  });
+});
@@ -0,0 +1,136 @@
+const AgentOrchestrator = require('../../src/core/AgentOrchestrator');
+const LLMService = require('../../src/services/LLMService');
+
+const stubAgent = (response) => ({ processMessage: jest.fn().mockResolvedValue(response) });
+
+describe('AgentOrchestrator.runAgentChain', () => {
+  let orchestrator;
+
+  beforeEach(() => {
+    orchestrator = new AgentOrchestrator(null, null, new LLMService());
+  });
+
+  const useAgents = ({ sales, receptionist }) => {
+    orchestrator.agents.set('sales', stubAgent(sales));
+    orchestrator.agents.set('receptionist', stubAgent(receptionist));
+  };
+
+  test('the receptionist answers while sales is only monitoring', async () => {
+    useAgents({
+      sales: { agentType: 'sales', message: null, action: 'opportunity_analyzed', leadScore: 40 },
+      receptionist: { agentType: 'receptionist', message: 'Our rates start at $80/hour.', action: 'pricing_response' }
+    });
+
+    const response = await orchestrator.runAgentChain(['sales', 'receptionist'], 'What are your rates?', {});
+
+    expect(response.agentType).toBe('receptionist');
+    expect(response.supportingAgents.map(agent => agent.agentType)).toEqual(['sales']);
+  });
+
+  test('an engaged sales agent\'s assessment is added to the receptionist\'s reply', async () => {
+    useAgents({
+      sales: {
+        agentType: 'sales',
+        message: null,
+        action: 'high_value_opportunity',
+        priority: 'high',
+        shouldEngage: true,
+        leadScore: 90,
+        recommendations: [{ action: 'priority_follow_up' }],
+        suggestedActions: ['Schedule immediate consultation']
+      },
+      receptionist: {
+        agentType: 'receptionist',
+        message: 'Happy to help with that.',
+        action: 'await_project_details',
+        leadQuality: 'hot',
+        faqId: 'faq_1',
+        conversationUpdates: { project_type: 'ecommerce' }
+      }
+    });
+
+    const response = await orchestrator.runAgentChain(['sales', 'receptionist'], 'Budget approved, ready to start', {});
+
+    expect(response).toMatchObject({
+      agentType: 'receptionist',
+      action: 'await_project_details',
+      leadQuality: 'hot',
+      faqId: 'faq_1',
+      message: 'Happy to help with that.',
+      conversationUpdates: { project_type: 'ecommerce' },
+      priority: 'high',
+      leadScore: 90,
+      recommendations: [{ action: 'priority_follow_up' }],
+      suggestedActions: ['Schedule immediate consultation']
+    });
+    expect(response.supportingAgents.map(agent => agent.agentType)).toEqual(['sales']);
+  });
+
+  test('the reply keeps its own action and priority when sales engages', async () => {
+    useAgents({
+      sales: { agentType: 'sales', message: null, action: 'high_value_opportunity', priority: 'high', shouldEngage: true, leadScore: 90 },
+      receptionist: {
+        agentType: 'receptionist',
+        message: 'Someone will call you back this afternoon.',
+        action: 'schedule_callback',
+        priority: 'medium',
+        callbackTime: '2026-03-04T18:00:00.000Z'
+      }
+    });
+
+    const response = await orchestrator.runAgentChain(['sales', 'receptionist'], 'Call me later', {});
+
+    expect(response).toMatchObject({
+      agentType: 'receptionist',
+      action: 'schedule_callback',
+      priority: 'medium',
+      callbackTime: '2026-03-04T18:00:00.000Z',
+      leadScore: 90
+    });
+  });
+});
+
+describe('AgentOrchestrator.handleCallbackScheduling', () => {
+  test('the callback task carries the customer\'s contact details', async () => {
+    const dbService = { createTask: jest.fn().mockResolvedValue({ id: 'task-1' }) };
+    const orchestrator = new AgentOrchestrator(dbService, null, new LLMService());
+
+    await orchestrator.handleCallbackScheduling(
+      { action: 'schedule_callback', priority: 'high', callbackTime: '2026-03-04T18:00:00.000Z' },
+      {
+        id: 'conversation-1',
+        business_id: 'business-1',
+        customer_name: 'Bob Smith',
+        customer_phone: '555-123-4567',
+        customer_email: 'bob@example.com',
+        businessConfig: {}
+      }
+    );
+
+    expect(dbService.createTask).toHaveBeenCalledWith(expect.objectContaining({
+      task_type: 'callback',
+      priority: 'high',
+      scheduled_time: '2026-03-04T18:00:00.000Z',
+      customer_info: { name: 'Bob Smith', phone: '555-123-4567', email: 'bob@example.com' }
+    }));
+  });
+});
+
+describe('AgentOrchestrator enabled agents', () => {
+  const orchestrator = new AgentOrchestrator(null, null, new LLMService());
+  const coordinator = orchestrator.agents.get('coordinator');
+
+  test('the coordinator routes with the same enabled agents the orchestrator runs', () => {
+    const businessConfig = { enabled_agents: ['sales', 'not_an_agent'], llm_providers: ['local'] };
+
+    expect(coordinator.getEnabledAgents({ businessConfig })).toEqual(orchestrator.getEnabledAgents(businessConfig));
+    expect(orchestrator.getEnabledAgents(businessConfig)).toEqual(['coordinator', 'receptionist', 'sales']);
+  });
+
+  test('a business without enabled_agents still gets the required agents', () => {
+    const routing = coordinator.routeMessage('high_value_lead', { businessConfig: { enabled_agents: null } });
+
+    expect(coordinator.getEnabledAgents({ businessConfig: { enabled_agents: null } })).toEqual(['coordinator', 'receptionist']);
+    expect(routing.agentChain).toEqual(['receptionist']);
+  });
+});
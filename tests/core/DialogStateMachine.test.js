@@ -0,0 +1,104 @@
+const DialogStateMachine = require('../../src/core/DialogStateMachine');
+
+const { VALIDATORS, COMPLETE_STATE } = DialogStateMachine;
+
+describe('DialogStateMachine', () => {
+  const flow = new DialogStateMachine();
+
+  describe('name validator', () => {
+    test.each(['Bob', 'Anna Costa', 'Mary Jane van Dyke', "Sinéad O'Connor"])('accepts "%s"', (input) => {
+      expect(VALIDATORS.name(input)).toBe(true);
+    });
+
+    test.each([
+      ['a question', 'Can you build me an online store?'],
+      ['a short question', 'Why?'],
+      ['a long message', 'I just want to know about your services'],
+      ['digits', '12345'],
+      ['a single letter', 'b']
+    ])('rejects %s', (label, input) => {
+      expect(VALIDATORS.name(input)).toBe(false);
+    });
+  });
+
+  test('starts at the first field', () => {
+    const transition = flow.start({});
+
+    expect(transition).toMatchObject({ state: 'collect_name', field: 'name', complete: false });
+    expect(transition.updates.contact_collection_stage).toBe('collect_name');
+  });
+
+  test('resumes at the first field it does not have', () => {
+    const transition = flow.start({ customer_name: 'Bob' });
+
+    expect(transition.state).toBe('collect_phone');
+    expect(transition.message).toContain('Bob');
+  });
+
+  test('walks through every field to completion', () => {
+    let conversation = { contact_collection_stage: 'collect_name' };
+
+    for (const input of ['Bob Smith', '555-123-4567', 'bob@example.com']) {
+      const transition = flow.handleInput(conversation, input);
+      conversation = { ...conversation, ...transition.updates };
+    }
+
+    expect(conversation).toMatchObject({
+      contact_collection_stage: COMPLETE_STATE,
+      customer_name: 'Bob Smith',
+      customer_phone: '555-123-4567',
+      customer_email: 'bob@example.com',
+      has_contact_info: true
+    });
+  });
+
+  test('asks again when a question is given as a name', () => {
+    const transition = flow.handleInput({ contact_collection_stage: 'collect_name' }, 'How much is a website?');
+
+    expect(transition).toMatchObject({ state: 'collect_name', valid: false, complete: false });
+    expect(transition.updates).toEqual({ contact_collection_stage: 'collect_name' });
+  });
+
+  test.each(['cancel', 'Never mind.', 'stop, I have to go', 'forget it'])('"%s" leaves the flow', (input) => {
+    const conversation = { contact_collection_stage: 'collect_phone', customer_name: 'Bob', conversation_data: { source: 'web' } };
+    const transition = flow.handleInput(conversation, input);
+
+    expect(transition).toMatchObject({ exited: true, complete: false, state: null });
+    expect(transition.updates.contact_collection_stage).toBeNull();
+    expect(transition.updates.conversation_data).toEqual({ source: 'web', contact_flow: { values: { name: 'Bob' } } });
+    expect(flow.isActive({ ...conversation, ...transition.updates })).toBe(false);
+  });
+
+  test('uses custom exit words and message', () => {
+    const custom = new DialogStateMachine({ fields: ['name'], exitWords: ['quit'], exitMessage: 'Okay!' });
+
+    expect(custom.handleInput({ contact_collection_stage: 'collect_name' }, 'quit').message).toBe('Okay!');
+    expect(custom.handleInput({ contact_collection_stage: 'collect_name' }, 'cancel').exited).toBeUndefined();
+  });
+
+  test('optional fields can be skipped', () => {
+    const custom = new DialogStateMachine({ fields: ['name', { key: 'email', optional: true }] });
+    const transition = custom.handleInput({ contact_collection_stage: 'collect_email', customer_name: 'Bob' }, 'no thanks');
+
+    expect(transition.complete).toBe(true);
+    expect(transition.values).toEqual({ name: 'Bob', email: null });
+  });
+
+  test('custom fields validate with a pattern', () => {
+    const custom = new DialogStateMachine({ fields: [{ key: 'postcode', pattern: '^[A-Z0-9 ]{5,8}$' }] });
+    const state = { contact_collection_stage: 'collect_postcode' };
+
+    expect(custom.handleInput(state, 'not a postcode!').valid).toBe(false);
+    expect(custom.handleInput(state, 'SW1A 1AA')).toMatchObject({ valid: true, complete: true });
+  });
+
+  test('the definition schema accepts exit settings', () => {
+    const { error } = DialogStateMachine.definitionSchema.validate({
+      fields: ['name'],
+      exitWords: ['quit'],
+      exitMessage: 'Okay!'
+    });
+
+    expect(error).toBeUndefined();
+  });
+});
@@ -0,0 +1,111 @@
+const EscalationRulesEngine = require('../../src/core/EscalationRulesEngine');
+
+const facts = (overrides = {}) => ({
+  message: 'Hello',
+  intent: 'general_inquiry',
+  sentiment: 'neutral',
+  urgency: 'medium',
+  budget: null,
+  projectType: null,
+  leadScore: null,
+  ...overrides
+});
+
+describe('EscalationRulesEngine', () => {
+  const engine = new EscalationRulesEngine(null, { triggers: ['update my website', 'api integration'] });
+
+  test('does not escalate a plain message', () => {
+    expect(engine.evaluate(facts())).toMatchObject({ escalate: false, level: null, rule: null, matches: [] });
+  });
+
+  test('an angry customer is escalated immediately', () => {
+    expect(engine.evaluate(facts({ sentiment: 'negative' }))).toMatchObject({
+      escalate: true,
+      level: 'immediate',
+      rule: 'angry_customer'
+    });
+  });
+
+  test('the receptionist\'s triggers drive existing_site_modifications', () => {
+    const decision = engine.evaluate(facts({ message: 'Can you update my website footer?' }));
+
+    expect(decision.rule).toBe('existing_site_modifications');
+    expect(decision.matches[0].reasons).toEqual(['mentions "update my website"']);
+  });
+
+  test('keywords match whole words only', () => {
+    const custom = new EscalationRulesEngine({ immediate: ['api'], rules: { api: { keywords: ['api'] } } });
+
+    expect(custom.evaluate(facts({ message: 'We need a rapid turnaround' })).escalate).toBe(false);
+    expect(custom.evaluate(facts({ message: 'Does it have an API?' })).escalate).toBe(true);
+  });
+
+  test('budget rules carry their own threshold', () => {
+    expect(engine.evaluate(facts({ budget: 20000 }))).toMatchObject({ level: 'schedule_call', rule: 'budget_over_15k' });
+    expect(engine.evaluate(facts({ budget: 15001 })).matches[0].reasons).toEqual(['budget 15001 is over 15000']);
+    expect(engine.evaluate(facts({ budget: 14999 })).escalate).toBe(false);
+  });
+
+  test('"over" in a rule name is strictly over', () => {
+    const custom = new EscalationRulesEngine({ schedule_call: ['budget_over_15k', 'lead_score_over_80'] });
+
+    expect(custom.evaluate(facts({ budget: 15000 })).escalate).toBe(false);
+    expect(custom.evaluate(facts({ leadScore: 80 })).escalate).toBe(false);
+    expect(custom.evaluate(facts({ leadScore: 81 })).rule).toBe('lead_score_over_80');
+  });
+
+  test('min_budget in a custom rule is inclusive', () => {
+    const custom = new EscalationRulesEngine({ schedule_call: ['big_budget'], rules: { big_budget: { min_budget: 15000 } } });
+
+    expect(custom.evaluate(facts({ budget: 15000 })).matches[0].reasons).toEqual(['budget 15000 is at least 15000']);
+  });
+
+  test('an immediate match wins over a scheduled call', () => {
+    const decision = engine.evaluate(facts({ sentiment: 'negative', budget: 50000 }));
+
+    expect(decision.level).toBe('immediate');
+    expect(decision.matches.map(match => match.rule)).toEqual(['angry_customer', 'budget_over_15k']);
+  });
+
+  test('every condition of a custom rule has to hold', () => {
+    const custom = new EscalationRulesEngine({
+      immediate: ['big_urgent_store'],
+      rules: { big_urgent_store: { urgency: ['urgent'], project_types: ['ecommerce'], min_lead_score: 70 } }
+    });
+
+    expect(custom.evaluate(facts({ urgency: 'urgent', projectType: 'ecommerce', leadScore: 75 }))).toMatchObject({
+      escalate: true,
+      rule: 'big_urgent_store'
+    });
+    expect(custom.evaluate(facts({ urgency: 'urgent', projectType: 'ecommerce', leadScore: 60 })).escalate).toBe(false);
+    expect(custom.evaluate(facts({ urgency: 'urgent', projectType: 'redesign', leadScore: 75 })).escalate).toBe(false);
+  });
+
+  test('a custom definition overrides a built-in rule', () => {
+    const custom = new EscalationRulesEngine({ immediate: ['angry_customer'], rules: { angry_customer: { keywords: ['refund'] } } });
+
+    expect(custom.evaluate(facts({ sentiment: 'negative' })).escalate).toBe(false);
+    expect(custom.evaluate(facts({ message: 'I want a refund' })).escalate).toBe(true);
+  });
+
+  test('lists rule names that are not defined', () => {
+    const custom = new EscalationRulesEngine({ immediate: ['angry_customer', 'angry_custmer'], schedule_call: ['lead_score_over_90'] });
+
+    expect(custom.evaluate(facts()).unknownRules).toEqual(['angry_custmer']);
+    expect(custom.evaluate(facts({ leadScore: 95 })).rule).toBe('lead_score_over_90');
+  });
+
+  describe('escalationRulesSchema', () => {
+    const { escalationRulesSchema } = EscalationRulesEngine;
+
+    test('accepts the defaults', () => {
+      expect(escalationRulesSchema.validate(EscalationRulesEngine.DEFAULT_ESCALATION_RULES).error).toBeUndefined();
+    });
+
+    test('rejects unknown levels and empty conditions', () => {
+      expect(escalationRulesSchema.validate({ someday: ['angry_customer'] }).error).toBeDefined();
+      expect(escalationRulesSchema.validate({ rules: { empty: {} } }).error).toBeDefined();
+      expect(escalationRulesSchema.validate({ rules: { moody: { sentiment: ['grumpy'] } } }).error).toBeDefined();
+    });
+  });
+});
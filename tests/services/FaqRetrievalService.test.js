@@ -0,0 +1,92 @@
+const FaqRetrievalService = require('../../src/services/FaqRetrievalService');
+const KnowledgeBaseService = require('../../src/services/KnowledgeBaseService');
+
+const knowledgeBase = new KnowledgeBaseService();
+
+const FAQS = [
+  { question: 'Do you offer website hosting?', answer: 'Yes, hosting is $20 a month.' },
+  { question: 'How long does a website take to build?', answer: 'Most sites take two to four weeks.' },
+  { question: 'Do you work with restaurants?', answer: 'We build sites for lots of restaurants and cafes.', keywords: ['cafe', 'bistro'] }
+];
+
+const buildKnowledge = (business = {}, agentConfig = null) => knowledgeBase.buildKnowledge({
+  id: 'business-1',
+  industry: 'web_design',
+  updated_at: '2026-01-01T00:00:00Z',
+  faq_data: FAQS,
+  ...business
+}, agentConfig);
+
+describe('FaqRetrievalService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new FaqRetrievalService();
+  });
+
+  test('ranks the FAQ that matches the question first', () => {
+    const [best] = service.search(buildKnowledge(), 'Do you host websites?');
+
+    expect(best).toMatchObject({ id: 'faq_0', type: 'faq' });
+    expect(service.getDirectAnswer([best]).answer).toBe('Yes, hosting is $20 a month.');
+  });
+
+  test('matches on keywords the owner added', () => {
+    const [best] = service.search(buildKnowledge(), 'I run a bistro');
+
+    expect(best.id).toBe('faq_2');
+  });
+
+  test('rarer terms outweigh common ones', () => {
+    const matches = service.search(buildKnowledge(), 'website for restaurants');
+
+    expect(matches[0].id).toBe('faq_2');
+  });
+
+  test('returns nothing for stop words alone', () => {
+    expect(service.search(buildKnowledge(), 'what is the')).toEqual([]);
+  });
+
+  test('weak matches are not sent as direct answers', () => {
+    const matches = service.search(buildKnowledge(), 'hosting and email and domains and logos and seo');
+
+    expect(matches.length).toBeGreaterThan(0);
+    expect(service.getDirectAnswer(matches)).toBeNull();
+  });
+
+  test('stems plurals and -ing forms', () => {
+    expect(service.tokenize('Websites hosting')).toEqual(service.tokenize('website host'));
+  });
+
+  describe('index cache', () => {
+    const services = (description) => ({
+      updated_at: '2026-01-01T00:00:00Z',
+      knowledge_base: { services: { seo: { name: 'SEO', description } } }
+    });
+
+    test('is reused while nothing changes', () => {
+      const build = jest.spyOn(service, 'buildIndex');
+
+      service.search(buildKnowledge(), 'hosting');
+      service.search(buildKnowledge(), 'hosting');
+
+      expect(build).toHaveBeenCalledTimes(1);
+    });
+
+    test('is rebuilt when the receptionist\'s knowledge base changes', () => {
+      const before = buildKnowledge({}, services('Search engine optimisation'));
+      const after = buildKnowledge({}, { ...services('Ranking on Google'), updated_at: '2026-02-01T00:00:00Z' });
+
+      expect(service.search(before, 'google')).toEqual([]);
+      expect(service.search(after, 'google')[0].id).toBe('service_seo');
+    });
+
+    test('keeps one index per business', () => {
+      service.search(buildKnowledge(), 'hosting');
+      service.search(buildKnowledge({ updated_at: '2026-02-01T00:00:00Z' }), 'hosting');
+      service.search(buildKnowledge({ id: 'business-2' }), 'hosting');
+
+      expect([...service.indexes.keys()]).toEqual(['business-1', 'business-2']);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const NotificationService = require('../../src/services/NotificationService');
+
+describe('NotificationService.formatEmailContent', () => {
+  const service = new NotificationService();
+  const script = '<script>alert(1)</script>';
+
+  test('escapes every customer-provided field in the HTML body', () => {
+    const { html } = service.formatEmailContent({
+      customerInfo: { name: `Eve ${script}`, phone: '<b>555</b>', email: '"eve"@example.com' },
+      escalationReason: '<img src=x onerror=alert(1)>',
+      priority: 'high',
+      summary: script,
+      originalMessage: `It's broken ${script}`,
+      keyRequirements: [script],
+      openQuestions: [script],
+      suggestedReply: script
+    });
+
+    expect(html).not.toMatch(/<script>|<b>|<img/);
+    expect(html).toContain('Eve &lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain('&lt;b&gt;555&lt;/b&gt;');
+    expect(html).toContain('&quot;eve&quot;@example.com');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('It&#39;s broken');
+  });
+
+  test('the plain text body is left as written', () => {
+    const { text } = service.formatEmailContent({
+      customerInfo: { name: 'Tom & Jerry' },
+      originalMessage: 'Is <this> right?'
+    });
+
+    expect(text).toContain('Customer: Tom & Jerry');
+    expect(text).toContain('Original Message: "Is <this> right?"');
+  });
+});
@@ -0,0 +1,190 @@
+const NotificationWorker = require('../../src/services/NotificationWorker');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+// In-memory stand-in for the notifications tables, with the same claim rule
+// as DatabaseService: the row must still have the status and attempts it was read with
+class FakeDatabase {
+  constructor() {
+    this.notifications = new Map();
+    this.attempts = [];
+    this.nextId = 1;
+  }
+
+  async createNotification(row) {
+    const notification = { id: `notification-${this.nextId++}`, attempts: 0, locked_at: null, ...row };
+    this.notifications.set(notification.id, notification);
+    return { ...notification };
+  }
+
+  async getDueNotifications(before, staleBefore) {
+    return [...this.notifications.values()]
+      .filter(row =>
+        (['pending', 'retrying'].includes(row.status) && row.next_attempt_at <= before) ||
+        (row.status === 'sending' && row.locked_at <= staleBefore))
+      .map(row => ({ ...row }));
+  }
+
+  async claimNotification(id, status, attempts, updates) {
+    const row = this.notifications.get(id);
+
+    if (!row || row.status !== status || row.attempts !== attempts) {
+      return null;
+    }
+
+    Object.assign(row, updates);
+    return { ...row };
+  }
+
+  async updateNotification(id, updates) {
+    const row = this.notifications.get(id);
+    Object.assign(row, updates);
+    return { ...row };
+  }
+
+  async createNotificationAttempt(attempt) {
+    this.attempts.push(attempt);
+    return attempt;
+  }
+}
+
+const failure = (message, permanent = false) => Object.assign(new Error(message), { permanent });
+
+describe('NotificationWorker', () => {
+  let db;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate'] });
+    db = new FakeDatabase();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const pending = (overrides = {}) => db.createNotification({
+    channel: 'sms',
+    payload: { to: '+15555550100', body: 'Hi' },
+    status: 'pending',
+    max_attempts: 3,
+    next_attempt_at: NOW.toISOString(),
+    ...overrides
+  });
+
+  test('backs off exponentially up to the cap', () => {
+    const worker = new NotificationWorker(db, {});
+
+    expect([1, 2, 3, 4].map(attempt => worker.getBackoffMs(attempt))).toEqual([30000, 60000, 120000, 240000]);
+    expect(worker.getBackoffMs(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('a delivered notification is marked sent and its attempt logged', async () => {
+    const sms = jest.fn().mockResolvedValue({ sid: 'SM123' });
+    const worker = new NotificationWorker(db, { sms });
+
+    const result = await worker.attempt(await pending(), NOW);
+
+    expect(sms).toHaveBeenCalledWith({ to: '+15555550100', body: 'Hi' });
+    expect(result).toMatchObject({ status: 'sent', attempts: 1, next_attempt_at: null, locked_at: null });
+    expect(db.attempts).toEqual([expect.objectContaining({ attempt_number: 1, status: 'sent', provider_id: 'SM123' })]);
+  });
+
+  test('a failure is retried after the backoff', async () => {
+    const worker = new NotificationWorker(db, { sms: jest.fn().mockRejectedValue(failure('Twilio is down')) });
+
+    const result = await worker.attempt(await pending(), NOW);
+
+    expect(result).toMatchObject({
+      status: 'retrying',
+      attempts: 1,
+      last_error: 'Twilio is down',
+      next_attempt_at: new Date(NOW.getTime() + 30000).toISOString()
+    });
+  });
+
+  test('gives up after max_attempts', async () => {
+    const worker = new NotificationWorker(db, { sms: jest.fn().mockRejectedValue(failure('Twilio is down')) });
+    let notification = await pending();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      notification = await worker.attempt(notification, NOW);
+    }
+
+    expect(notification).toMatchObject({ status: 'failed', attempts: 3, next_attempt_at: null });
+    expect(db.attempts.map(attempt => attempt.status)).toEqual(['failed', 'failed', 'failed']);
+  });
+
+  test('a permanent error is not retried', async () => {
+    const worker = new NotificationWorker(db, { sms: jest.fn().mockRejectedValue(failure('Invalid number', true)) });
+
+    const result = await worker.attempt(await pending(), NOW);
+
+    expect(result).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  test('a channel without a deliverer fails the attempt', async () => {
+    const worker = new NotificationWorker(db, {});
+
+    const result = await worker.attempt(await pending(), NOW);
+
+    expect(result.last_error).toBe('No deliverer for channel sms');
+  });
+
+  test('only one worker can claim a notification', async () => {
+    const sms = jest.fn().mockResolvedValue({});
+    const first = new NotificationWorker(db, { sms });
+    const second = new NotificationWorker(db, { sms });
+    const notification = await pending();
+
+    const results = await Promise.all([first.attempt(notification, NOW), second.attempt(notification, NOW)]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(sms).toHaveBeenCalledTimes(1);
+  });
+
+  test('processDue sends what is due and picks up stale sends', async () => {
+    const sms = jest.fn().mockResolvedValue({});
+    const worker = new NotificationWorker(db, { sms });
+
+    await pending();
+    await pending({ next_attempt_at: new Date(NOW.getTime() + 60000).toISOString() });
+    await pending({ status: 'sending', attempts: 1, locked_at: new Date(NOW.getTime() - 10 * 60000).toISOString() });
+    await pending({ status: 'sending', attempts: 1, locked_at: new Date(NOW.getTime() - 60000).toISOString() });
+
+    expect(await worker.processDue(NOW)).toBe(2);
+    expect([...db.notifications.values()].map(row => row.status)).toEqual(['sent', 'pending', 'sent', 'sending']);
+  });
+
+  test('enqueue holds a notification until sendAt', async () => {
+    const sms = jest.fn().mockResolvedValue({});
+    const worker = new NotificationWorker(db, { sms });
+    const sendAt = new Date(NOW.getTime() + 8 * 60 * 60 * 1000);
+
+    const notification = await worker.enqueue({ channel: 'sms', payload: {}, sendAt });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(notification).toMatchObject({ status: 'pending', next_attempt_at: sendAt.toISOString() });
+    expect(sms).not.toHaveBeenCalled();
+  });
+
+  test('enqueue sends straight away otherwise', async () => {
+    const sms = jest.fn().mockResolvedValue({});
+    const worker = new NotificationWorker(db, { sms });
+
+    const notification = await worker.enqueue({ channel: 'sms', payload: {} });
+    await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(sms).toHaveBeenCalledTimes(1);
+    expect(db.notifications.get(notification.id).status).toBe('sent');
+  });
+
+  test('a manual retry gets a fresh set of attempts', async () => {
+    const worker = new NotificationWorker(db, { sms: jest.fn().mockResolvedValue({}) });
+    const failed = await pending({ status: 'failed', attempts: 3 });
+
+    const result = await worker.retry(failed);
+
+    expect(result).toMatchObject({ status: 'sent', attempts: 4, max_attempts: 8 });
+  });
+});
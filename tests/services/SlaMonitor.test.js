@@ -0,0 +1,253 @@
+const SlaMonitor = require('../../src/services/SlaMonitor');
+const { getSlaPolicy } = require('../../src/utils/slaPolicies');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+const BACKUP_ID = '7d1c2a4e-1b9f-4c55-9a62-3f0d5e8b2c11';
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * MINUTE_MS);
+
+// In-memory stand-in for the escalation and SLA tables, with the same
+// transition rule as DatabaseService: the row must still be in one of the
+// statuses the caller expects
+class FakeDatabase {
+  constructor({ staffMembers = [] } = {}) {
+    this.escalations = new Map();
+    this.staffMembers = staffMembers;
+    this.breaches = [];
+    this.messages = [];
+  }
+
+  addEscalation(row) {
+    this.escalations.set(row.id, { ...row });
+  }
+
+  async getSlaDueEscalations(before) {
+    return [...this.escalations.values()]
+      .filter(row => row.status === 'pending' && row.sla_next_check_at && row.sla_next_check_at <= before)
+      .map(row => ({ ...row }));
+  }
+
+  async transitionEscalation(id, fromStatuses, updates) {
+    const row = this.escalations.get(id);
+
+    if (!row || !fromStatuses.includes(row.status)) {
+      return null;
+    }
+
+    Object.assign(row, updates);
+    return { ...row };
+  }
+
+  async getStaffMember(businessId, id) {
+    return this.staffMembers.find(member => member.business_id === businessId && member.id === id) || null;
+  }
+
+  async createSlaBreach(breach) {
+    this.breaches.push({ ...breach });
+    return breach;
+  }
+
+  async updateSlaBreach(escalationId, updates) {
+    const breach = this.breaches.find(row => row.escalation_id === escalationId);
+    Object.assign(breach, updates);
+    return breach;
+  }
+
+  async saveMessage(message) {
+    this.messages.push(message);
+    return message;
+  }
+}
+
+const escalationRow = (overrides = {}) => ({
+  id: 'escalation-1',
+  business_id: 'business-1',
+  conversation_id: 'conversation-1',
+  priority: 'high',
+  status: 'pending',
+  sla_stage: null,
+  notified_at: minutesFrom(NOW, -10).toISOString(),
+  sla_due_at: minutesFrom(NOW, -5).toISOString(),
+  sla_next_check_at: minutesFrom(NOW, -5).toISOString(),
+  customer_info: { name: 'Jamie Doe', phone: '+15551234567' },
+  business: {
+    name: 'Acme Web',
+    timezone: 'UTC',
+    sla_policies: { backup_staff_member_id: BACKUP_ID, backup_channels: ['call'] }
+  },
+  ...overrides
+});
+
+const backupContact = (overrides = {}) => ({
+  id: BACKUP_ID,
+  business_id: 'business-1',
+  name: 'Sam',
+  phone: '+15557654321',
+  active: true,
+  ...overrides
+});
+
+describe('SlaMonitor', () => {
+  let db;
+  let notificationService;
+  let escalationService;
+  let monitor;
+
+  const setUp = (options) => {
+    db = new FakeDatabase(options);
+    notificationService = {
+      sendSlaReminder: jest.fn().mockResolvedValue(['sms', 'call']),
+      sendSMSAlert: jest.fn().mockResolvedValue(true)
+    };
+    escalationService = { logEvent: jest.fn().mockResolvedValue({}) };
+    monitor = new SlaMonitor(db, notificationService, escalationService);
+  };
+
+  const loggedEvents = () => escalationService.logEvent.mock.calls.map(([, eventType]) => eventType);
+
+  beforeEach(() => setUp({ staffMembers: [backupContact()] }));
+
+  test('an unacknowledged escalation is breached, then the backup contact is alerted', async () => {
+    db.addEscalation(escalationRow());
+
+    expect(await monitor.check(NOW)).toBe(1);
+
+    const breached = db.escalations.get('escalation-1');
+    expect(breached.sla_stage).toBe('breached');
+    expect(breached.sla_breached_at).toBe(NOW.toISOString());
+    // High priority waits 15 minutes before the backup
+    expect(breached.sla_next_check_at).toBe(minutesFrom(NOW, 15).toISOString());
+    expect(notificationService.sendSlaReminder).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'escalation-1' }),
+      ['sms', 'call'],
+      { minutesWaiting: 10, timezone: 'UTC' }
+    );
+    expect(db.breaches).toEqual([expect.objectContaining({
+      escalation_id: 'escalation-1',
+      priority: 'high',
+      target_minutes: 5,
+      renotified_channels: ['sms', 'call'],
+      customer_updated: true
+    })]);
+
+    // Not due again until the backup time
+    expect(await monitor.check(minutesFrom(NOW, 10))).toBe(0);
+    expect(await monitor.check(minutesFrom(NOW, 15))).toBe(1);
+
+    const escalated = db.escalations.get('escalation-1');
+    expect(escalated.sla_stage).toBe('backup_notified');
+    expect(escalated.sla_next_check_at).toBeNull();
+    expect(notificationService.sendSlaReminder).toHaveBeenLastCalledWith(
+      expect.objectContaining({ id: 'escalation-1' }),
+      ['call'],
+      expect.objectContaining({ contact: backupContact(), minutesWaiting: 25 })
+    );
+    expect(db.breaches[0]).toMatchObject({
+      backup_staff_member_id: BACKUP_ID,
+      backup_notified_at: minutesFrom(NOW, 15).toISOString()
+    });
+    expect(loggedEvents()).toEqual(['sla_breached', 'backup_notified']);
+
+    // Nothing left to check
+    expect(await monitor.check(minutesFrom(NOW, 60))).toBe(0);
+  });
+
+  test('nothing is sent when someone acknowledges the escalation before the breach is claimed', async () => {
+    db.addEscalation(escalationRow());
+    const [due] = await db.getSlaDueEscalations(NOW.toISOString());
+    db.escalations.get('escalation-1').status = 'acknowledged';
+
+    await monitor.handleBreach(due, getSlaPolicy(due.business, due.priority), NOW);
+
+    expect(db.escalations.get('escalation-1').sla_stage).toBeNull();
+    expect(notificationService.sendSlaReminder).not.toHaveBeenCalled();
+    expect(notificationService.sendSMSAlert).not.toHaveBeenCalled();
+    expect(db.messages).toEqual([]);
+    expect(db.breaches).toEqual([]);
+    expect(escalationService.logEvent).not.toHaveBeenCalled();
+  });
+
+  test('the backup contact is not alerted when someone acknowledges first', async () => {
+    db.addEscalation(escalationRow({ sla_stage: 'breached', status: 'acknowledged' }));
+    const escalation = { ...db.escalations.get('escalation-1'), status: 'pending' };
+
+    await monitor.alertBackup(escalation, getSlaPolicy(escalation.business, escalation.priority), NOW);
+
+    expect(db.escalations.get('escalation-1').sla_stage).toBe('breached');
+    expect(notificationService.sendSlaReminder).not.toHaveBeenCalled();
+    expect(escalationService.logEvent).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['no backup contact is set', { sla_policies: {} }, [backupContact()]],
+    ['the backup contact is inactive', undefined, [backupContact({ active: false })]],
+    ['the backup contact no longer exists', undefined, []]
+  ])('nobody else is alerted when %s', async (_, business, staffMembers) => {
+    setUp({ staffMembers });
+    const row = escalationRow({ sla_stage: 'breached' });
+    db.addEscalation(business ? { ...row, business: { ...row.business, ...business } } : row);
+    const escalation = db.escalations.get('escalation-1');
+
+    await monitor.alertBackup({ ...escalation }, getSlaPolicy(escalation.business, escalation.priority), NOW);
+
+    expect(db.escalations.get('escalation-1').sla_stage).toBe('backup_notified');
+    expect(notificationService.sendSlaReminder).not.toHaveBeenCalled();
+    expect(escalationService.logEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'escalation-1' }),
+      'backup_notified',
+      expect.objectContaining({ details: { channels: [] } })
+    );
+  });
+
+  test('the breach is recorded even if the reminder fails', async () => {
+    notificationService.sendSlaReminder.mockRejectedValue(new Error('Twilio is down'));
+    db.addEscalation(escalationRow());
+
+    expect(await monitor.check(NOW)).toBe(1);
+
+    expect(db.escalations.get('escalation-1').sla_stage).toBe('breached');
+    expect(db.breaches).toEqual([expect.objectContaining({ escalation_id: 'escalation-1', renotified_channels: [] })]);
+    expect(loggedEvents()).toEqual(['sla_breached']);
+  });
+
+  test('medium priority does not update the customer', async () => {
+    db.addEscalation(escalationRow({ priority: 'medium' }));
+
+    await monitor.check(NOW);
+
+    expect(db.breaches[0].customer_updated).toBe(false);
+    expect(db.messages).toEqual([]);
+    expect(notificationService.sendSMSAlert).not.toHaveBeenCalled();
+  });
+
+  describe('sendCustomerUpdate', () => {
+    test('posts to the conversation and texts the customer', async () => {
+      const sent = await monitor.sendCustomerUpdate(escalationRow());
+
+      expect(sent).toBe(true);
+      expect(db.messages).toEqual([expect.objectContaining({
+        conversation_id: 'conversation-1',
+        sender: 'agent',
+        metadata: { slaUpdate: true, escalationId: 'escalation-1' }
+      })]);
+      expect(db.messages[0].content).toMatch(/^Sorry for the wait, Jamie\./);
+      expect(db.messages[0].content).toContain('someone from Acme Web');
+      expect(notificationService.sendSMSAlert).toHaveBeenCalledWith(db.messages[0].content, '+15551234567');
+    });
+
+    test('skips the text without a phone number', async () => {
+      const sent = await monitor.sendCustomerUpdate(escalationRow({ customer_info: {} }));
+
+      expect(sent).toBe(true);
+      expect(db.messages[0].content).toMatch(/^Sorry for the wait\./);
+      expect(notificationService.sendSMSAlert).not.toHaveBeenCalled();
+    });
+
+    test('reports false when the update can\'t be sent', async () => {
+      notificationService.sendSMSAlert.mockRejectedValue(new Error('Twilio is down'));
+
+      expect(await monitor.sendCustomerUpdate(escalationRow())).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,18 @@
+const { parseBudget } = require('../../src/utils/budget');
+
+describe('parseBudget', () => {
+  test.each([
+    ['Our budget is $15k', 15000],
+    ['about 20,000 dollars', 20000],
+    ['budget is around 8k', 8000],
+    ['£2.5 million', 2500000],
+    ['somewhere between $5,000 and $12,000', 12000],
+    ['we can spend 10 grand', 10000]
+  ])('"%s"', (message, amount) => {
+    expect(parseBudget(message).amount).toBe(amount);
+  });
+
+  test.each(['We need 15 pages', 'in 3 weeks', '', null])('ignores numbers that are not money (%p)', (message) => {
+    expect(parseBudget(message)).toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+const {
+  parseHoursRange,
+  getLocalTime,
+  toInstant,
+  formatClockTime,
+  isValidHoursValue,
+  getBusinessHoursStatus,
+  getBusinessAvailability,
+  getNextOpenTime
+} = require('../../src/utils/businessHours');
+
+const TIMEZONE = 'America/New_York';
+
+const WEEKDAYS_9_TO_5 = {
+  mon: '9-17', tue: '9-17', wed: '9-17', thu: '9-17', fri: '9-17', sat: 'closed', sun: 'closed'
+};
+
+describe('parseHoursRange', () => {
+  test('reads whole and half hours', () => {
+    expect(parseHoursRange('9-17')).toEqual({ open: 540, close: 1020 });
+    expect(parseHoursRange('9:30 - 17:30')).toEqual({ open: 570, close: 1050 });
+  });
+
+  test('is null when closed or unreadable', () => {
+    expect(parseHoursRange('closed')).toBeNull();
+    expect(parseHoursRange('nine to five')).toBeNull();
+    expect(isValidHoursValue('closed')).toBe(true);
+    expect(isValidHoursValue('nine to five')).toBe(false);
+  });
+});
+
+describe('time zones and daylight saving', () => {
+  test('reads the local calendar date and time', () => {
+    // 03:30 UTC on a Wednesday is still Tuesday evening in New York
+    expect(getLocalTime(new Date('2026-03-04T03:30:00Z'), TIMEZONE)).toEqual({ date: '2026-03-03', dayIndex: 2, minutes: 22 * 60 + 30 });
+  });
+
+  test('9am is a different UTC instant either side of the spring change', () => {
+    expect(toInstant('2026-03-07', 540, TIMEZONE).toISOString()).toBe('2026-03-07T14:00:00.000Z');
+    expect(toInstant('2026-03-08', 540, TIMEZONE).toISOString()).toBe('2026-03-08T13:00:00.000Z');
+  });
+
+  test('and either side of the autumn change', () => {
+    expect(toInstant('2026-10-31', 540, TIMEZONE).toISOString()).toBe('2026-10-31T13:00:00.000Z');
+    expect(toInstant('2026-11-01', 540, TIMEZONE).toISOString()).toBe('2026-11-01T14:00:00.000Z');
+  });
+
+  test('formats clock times for customers', () => {
+    expect(formatClockTime(540)).toBe('9am');
+    expect(formatClockTime(13 * 60 + 30)).toBe('1:30pm');
+    expect(formatClockTime(0)).toBe('12am');
+  });
+});
+
+describe('getBusinessHoursStatus', () => {
+  test('is open during the day\'s hours', () => {
+    // Wednesday 10:00 EST
+    const status = getBusinessHoursStatus(WEEKDAYS_9_TO_5, TIMEZONE, new Date('2026-03-04T15:00:00Z'));
+
+    expect(status).toMatchObject({ open: true, day: 'wed', localTime: '10:00', closesAt: '17:00', nextOpening: null });
+  });
+
+  test('opens later today before opening time', () => {
+    // Wednesday 07:00 EST
+    const status = getBusinessHoursStatus(WEEKDAYS_9_TO_5, TIMEZONE, new Date('2026-03-04T12:00:00Z'));
+
+    expect(status.open).toBe(false);
+    expect(status.nextOpening).toMatchObject({ inDays: 0, label: 'later today at 9am', at: '2026-03-04T14:00:00.000Z' });
+  });
+
+  test('after Friday close it next opens on Monday, in daylight time', () => {
+    // Friday 17:00 EST; the clocks go forward on Sunday
+    const status = getBusinessHoursStatus(WEEKDAYS_9_TO_5, TIMEZONE, new Date('2026-03-06T22:00:00Z'));
+
+    expect(status.open).toBe(false);
+    expect(status.nextOpening).toMatchObject({
+      date: '2026-03-09',
+      day: 'mon',
+      inDays: 3,
+      label: 'Monday at 9am',
+      at: '2026-03-09T13:00:00.000Z'
+    });
+  });
+
+  test('a date override replaces the weekly hours', () => {
+    const status = getBusinessHoursStatus(WEEKDAYS_9_TO_5, TIMEZONE, new Date('2026-03-04T15:00:00Z'), {
+      overrides: { '2026-03-04': 'closed' }
+    });
+
+    expect(status).toMatchObject({ open: false, todayHours: 'closed' });
+    expect(status.nextOpening.label).toBe('tomorrow at 9am');
+  });
+
+  test('a closure with reduced hours', () => {
+    const closures = [{ id: 'closure-1', name: 'Half day', start_date: '2026-03-04', hours: '9-13' }];
+
+    // Wednesday 14:00 EST
+    const status = getBusinessHoursStatus(WEEKDAYS_9_TO_5, TIMEZONE, new Date('2026-03-04T19:00:00Z'), { closures });
+
+    expect(status).toMatchObject({ open: false, todayHours: '9-13', closure: { id: 'closure-1', name: 'Half day' } });
+  });
+
+  test('a business without hours is always open', () => {
+    expect(getBusinessHoursStatus({}, TIMEZONE, new Date('2026-03-08T08:00:00Z')).open).toBe(true);
+  });
+});
+
+describe('getNextOpenTime', () => {
+  const business = { business_hours: WEEKDAYS_9_TO_5, timezone: TIMEZONE, closures: [] };
+
+  test('is the time given when already open', () => {
+    const now = new Date('2026-03-04T15:00:00Z');
+
+    expect(getNextOpenTime(business, now)).toBe(now);
+  });
+
+  test('skips a closure', () => {
+    const closed = {
+      ...business,
+      closures: [{ id: 'closure-1', name: 'Conference', start_date: '2026-03-09', end_date: '2026-03-10' }]
+    };
+
+    expect(getNextOpenTime(closed, new Date('2026-03-06T22:00:00Z')).toISOString()).toBe('2026-03-11T13:00:00.000Z');
+    expect(getBusinessAvailability(closed, new Date('2026-03-09T15:00:00Z')).closure.name).toBe('Conference');
+  });
+});
@@ -0,0 +1,75 @@
+const { getOccurrence, getNextOccurrence, findClosure } = require('../../src/utils/closures');
+
+const christmas = { id: 'christmas', name: 'Christmas', start_date: '2025-12-25', end_date: '2025-12-26', recurrence: 'yearly' };
+const newYear = { id: 'new-year', name: 'New Year', start_date: '2025-12-31', end_date: '2026-01-02', recurrence: 'yearly' };
+const thanksgiving = {
+  id: 'thanksgiving',
+  name: 'Thanksgiving',
+  start_date: '2025-11-27',
+  end_date: '2025-11-28',
+  recurrence: 'nth_weekday',
+  recurrence_rule: { month: 11, weekday: 'thu', nth: 4 }
+};
+
+describe('getOccurrence', () => {
+  test('a yearly closure repeats on the same dates', () => {
+    expect(getOccurrence(christmas, 2027)).toEqual({ start: '2027-12-25', end: '2027-12-26' });
+  });
+
+  test('a closure does not happen before the year it was added', () => {
+    expect(getOccurrence(christmas, 2024)).toBeNull();
+  });
+
+  test('a one-off closure happens only once', () => {
+    const vacation = { start_date: '2026-07-01', end_date: '2026-07-14' };
+
+    expect(getOccurrence(vacation, 2026)).toEqual({ start: '2026-07-01', end: '2026-07-14' });
+    expect(getOccurrence(vacation, 2027)).toBeNull();
+  });
+
+  test('Feb 29 falls on Feb 28 outside leap years', () => {
+    const leapDay = { start_date: '2024-02-29', recurrence: 'yearly' };
+
+    expect(getOccurrence(leapDay, 2027)).toEqual({ start: '2027-02-28', end: '2027-02-28' });
+    expect(getOccurrence(leapDay, 2028)).toEqual({ start: '2028-02-29', end: '2028-02-29' });
+  });
+
+  test('the nth weekday of a month keeps its length', () => {
+    expect(getOccurrence(thanksgiving, 2026)).toEqual({ start: '2026-11-26', end: '2026-11-27' });
+    expect(getOccurrence(thanksgiving, 2027)).toEqual({ start: '2027-11-25', end: '2027-11-26' });
+  });
+
+  test('the last weekday of a month', () => {
+    const memorialDay = { start_date: '2025-05-26', recurrence: 'nth_weekday', recurrence_rule: { month: 5, weekday: 'mon', nth: -1 } };
+
+    expect(getOccurrence(memorialDay, 2026)).toEqual({ start: '2026-05-25', end: '2026-05-25' });
+  });
+
+  test('a fifth weekday the month does not have', () => {
+    const fifthMonday = { start_date: '2025-01-01', recurrence: 'nth_weekday', recurrence_rule: { month: 2, weekday: 'mon', nth: 5 } };
+
+    expect(getOccurrence(fifthMonday, 2026)).toBeNull();
+  });
+});
+
+describe('findClosure', () => {
+  test('finds the closure covering a date', () => {
+    expect(findClosure([christmas, thanksgiving], '2026-11-27')).toBe(thanksgiving);
+    expect(findClosure([christmas, thanksgiving], '2026-11-25')).toBeNull();
+  });
+
+  test('finds a closure that started the year before', () => {
+    expect(findClosure([newYear], '2027-01-02')).toBe(newYear);
+    expect(findClosure([newYear], '2027-01-03')).toBeNull();
+  });
+});
+
+describe('getNextOccurrence', () => {
+  test('is the current occurrence while it is under way', () => {
+    expect(getNextOccurrence(christmas, '2026-12-26')).toEqual({ start: '2026-12-25', end: '2026-12-26' });
+  });
+
+  test('moves on to next year once it has passed', () => {
+    expect(getNextOccurrence(christmas, '2026-12-27')).toEqual({ start: '2027-12-25', end: '2027-12-26' });
+  });
+});
@@ -0,0 +1,124 @@
+const {
+  DEFAULT_CHANNELS,
+  getRecipientChannels,
+  getQuietHoursEnd,
+  getHoldUntil,
+  quietHoursSchema
+} = require('../../src/utils/notificationPreferences');
+
+const TIMEZONE = 'America/New_York';
+
+describe('getRecipientChannels', () => {
+  test.each(['urgent', 'high', 'medium', 'low'])('immediate escalations are emailed by default (%s)', (priority) => {
+    expect(getRecipientChannels({}, 'immediate_escalation', priority)).toContain('email');
+  });
+
+  test.each(['urgent', 'high'])('%s escalations are emailed by default', (priority) => {
+    expect(getRecipientChannels({}, 'escalation', priority)).toEqual(['sms', 'slack', 'email', 'push']);
+  });
+
+  test('a recipient\'s own channels replace the defaults', () => {
+    const recipient = { notification_preferences: { escalation: { high: ['call'] } } };
+
+    expect(getRecipientChannels(recipient, 'escalation', 'high')).toEqual(['call']);
+    expect(getRecipientChannels(recipient, 'escalation', 'low')).toEqual(DEFAULT_CHANNELS.escalation.low);
+  });
+
+  test('an empty list turns the alert off', () => {
+    const recipient = { notification_preferences: { hot_lead: { medium: [] } } };
+
+    expect(getRecipientChannels(recipient, 'hot_lead', 'medium')).toEqual([]);
+  });
+
+  test('priorities without defaults fall back to medium', () => {
+    expect(getRecipientChannels({}, 'hot_lead', 'high')).toEqual(['push']);
+  });
+
+  test('the SLA policy\'s channels are used for SLA breaches', () => {
+    expect(getRecipientChannels({}, 'sla_breach', 'high', ['call', 'sms'])).toEqual(['call', 'sms']);
+  });
+});
+
+describe('getQuietHoursEnd', () => {
+  const overnight = { start: '22:00', end: '07:00' };
+
+  test('holds until the morning when quiet hours run past midnight', () => {
+    // 23:00 in New York
+    const end = getQuietHoursEnd(overnight, TIMEZONE, new Date('2026-01-15T04:00:00Z'));
+
+    expect(end.toISOString()).toBe('2026-01-15T12:00:00.000Z');
+  });
+
+  test('holds until the same morning after midnight', () => {
+    // 03:30 in New York
+    const end = getQuietHoursEnd(overnight, TIMEZONE, new Date('2026-01-15T08:30:00Z'));
+
+    expect(end.toISOString()).toBe('2026-01-15T12:00:00.000Z');
+  });
+
+  test('is null outside quiet hours', () => {
+    // 12:00 in New York
+    expect(getQuietHoursEnd(overnight, TIMEZONE, new Date('2026-01-15T17:00:00Z'))).toBeNull();
+  });
+
+  test('ends at the local time on the night the clocks go forward', () => {
+    // 23:00 EST on March 7; quiet hours end at 07:00 EDT
+    const end = getQuietHoursEnd(overnight, TIMEZONE, new Date('2026-03-08T04:00:00Z'));
+
+    expect(end.toISOString()).toBe('2026-03-08T11:00:00.000Z');
+  });
+
+  test('handles windows within a day', () => {
+    const daytime = { start: '09:00', end: '17:00' };
+
+    expect(getQuietHoursEnd(daytime, TIMEZONE, new Date('2026-01-15T15:00:00Z')).toISOString()).toBe('2026-01-15T22:00:00.000Z');
+    expect(getQuietHoursEnd(daytime, TIMEZONE, new Date('2026-01-15T23:00:00Z'))).toBeNull();
+  });
+
+  test('the recipient\'s own timezone wins over the business\'s', () => {
+    const london = { ...overnight, timezone: 'Europe/London' };
+
+    // 23:00 in London, 18:00 in New York
+    const end = getQuietHoursEnd(london, TIMEZONE, new Date('2026-01-15T23:00:00Z'));
+
+    expect(end.toISOString()).toBe('2026-01-16T07:00:00.000Z');
+  });
+
+  test('is null without quiet hours', () => {
+    expect(getQuietHoursEnd(null, TIMEZONE)).toBeNull();
+  });
+});
+
+describe('getHoldUntil', () => {
+  const now = new Date('2026-01-15T04:00:00Z');
+  const recipient = { quiet_hours: { start: '22:00', end: '07:00' } };
+
+  test('urgent and high priority alerts break through quiet hours', () => {
+    expect(getHoldUntil(recipient, 'urgent', TIMEZONE, now)).toBeNull();
+    expect(getHoldUntil(recipient, 'high', TIMEZONE, now)).toBeNull();
+  });
+
+  test('other alerts are held', () => {
+    expect(getHoldUntil(recipient, 'medium', TIMEZONE, now).toISOString()).toBe('2026-01-15T12:00:00.000Z');
+  });
+
+  test('allow_urgent false holds everything', () => {
+    const strict = { quiet_hours: { ...recipient.quiet_hours, allow_urgent: false } };
+
+    expect(getHoldUntil(strict, 'urgent', TIMEZONE, now).toISOString()).toBe('2026-01-15T12:00:00.000Z');
+  });
+});
+
+describe('quietHoursSchema', () => {
+  test('rejects a window that starts and ends at the same time', () => {
+    expect(quietHoursSchema.validate({ start: '22:00', end: '22:00' }).error).toBeDefined();
+  });
+
+  test('rejects an unknown timezone', () => {
+    expect(quietHoursSchema.validate({ start: '22:00', end: '07:00', timezone: 'Mars/Base' }).error).toBeDefined();
+  });
+
+  test('defaults allow_urgent to true', () => {
+    expect(quietHoursSchema.validate({ start: '22:00', end: '07:00' }).value.allow_urgent).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+const { parseDuration, parseDeadline } = require('../../src/utils/timeline');
+
+describe('parseDuration', () => {
+  test.each([
+    ['2-4 weeks', { minDays: 14, maxDays: 28 }],
+    ['1 to 3 months', { minDays: 30, maxDays: 90 }],
+    ['2 weeks to 18 months', { minDays: 14, maxDays: 540 }],
+    ['3 days', { minDays: 3, maxDays: 3 }],
+    ['Same day', { minDays: 0, maxDays: 1 }]
+  ])('"%s"', (text, expected) => {
+    expect(parseDuration(text)).toEqual(expected);
+  });
+
+  test('converts minutes and hours to fractions of a day', () => {
+    const { minDays, maxDays } = parseDuration('45-60 minutes');
+
+    expect(minDays).toBeCloseTo(45 / 1440);
+    expect(maxDays).toBeCloseTo(1 / 24);
+  });
+
+  test.each([null, '', 'Ongoing', 'Depends on scope'])('is null for %p', (text) => {
+    expect(parseDuration(text)).toBeNull();
+  });
+});
+
+describe('parseDeadline', () => {
+  const now = new Date(2026, 4, 10);
+
+  test.each([
+    ['I need it in 3 weeks', 21, 'in 3 weeks'],
+    ['can it be done within a month?', 30, 'within a month'],
+    ['in a couple of weeks', 14, 'in a couple of weeks'],
+    ['we launch next week', 14, 'next week'],
+    ['need it by the end of the month', 30, 'end of the month'],
+    ['I need this urgently', 0, 'urgently'],
+    ['could you start tomorrow', 1, 'tomorrow']
+  ])('"%s"', (message, days, label) => {
+    expect(parseDeadline(message, now)).toEqual({ days, label });
+  });
+
+  test('counts the days to a named date', () => {
+    expect(parseDeadline('We need it before June 1st', now)).toEqual({ days: 22, label: 'before june 1st' });
+  });
+
+  test('a date that has passed this year means next year', () => {
+    expect(parseDeadline('ready by april 20', now).days).toBe(345);
+  });
+
+  test('is null without a deadline', () => {
+    expect(parseDeadline('How much is a website?', now)).toBeNull();
+  });
+});